@@ -2,14 +2,52 @@
 pragma solidity ^0.8.17;
 
 import "./ERC20.sol";
+import "./ERC20Permit.sol";
+import "./Permit2.sol";
 
 contract AtomicSwapERC20 {
 
+    /**
+     * @dev Uniswap's Permit2, deployed at the same address on every chain.
+     */
+    Permit2 constant PERMIT2 = Permit2(0x000000000022D473030F116dDEE9F6B43aC78BA3);
+
+    /**
+     * @dev Token address that stands for the chain's native currency (ETH).
+     */
+    ERC20 constant NATIVE = ERC20(address(0));
+
     /**
      * @dev Mapping of lockId to value stored in the lock.
      */
     mapping (bytes32 => uint) lockIdValue;
 
+    /**
+     * @dev EIP-2612 permit allowing this contract to transfer the lock value.
+     * @param deadline Timestamp after which the permit is invalid.
+     * @param v Signature recovery id.
+     * @param r Signature r value.
+     * @param s Signature s value.
+     */
+    struct PermitSignature {
+        uint deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    /**
+     * @dev Permit2 signature transfer of the lock value to this contract.
+     * @param nonce Unordered Permit2 nonce.
+     * @param deadline Timestamp after which the signature is invalid.
+     * @param signature Signature of the PermitTransferFrom.
+     */
+    struct Permit2Signature {
+        uint nonce;
+        uint deadline;
+        bytes signature;
+    }
+
     /**
      * @dev Value has been locked to buy from a sell order.
      * @param token Token locked.
@@ -104,9 +142,21 @@ contract AtomicSwapERC20 {
      */
     error TransferOutFailed(ERC20 token, address to, uint value);
 
+    /**
+     * @dev Native currency sent with a lock does not match its value.
+     * @param expected Value of the lock, or 0 for a token lock.
+     * @param sent Native currency sent.
+     */
+    error NativeValueMismatch(uint expected, uint sent);
+
+    /**
+     * @dev Permit and Permit2 locks only take tokens. Native currency is sent with lockBuy or lockSell.
+     */
+    error NativeTokenNotPermitted();
+
     /**
      * @dev Lock value to buy from a sell order.
-     * @param token Token to lock.
+     * @param token Token to lock, or the zero address for native currency sent with the call.
      * @param recipient Account that can unlock the lock.
      * @param hashedSecret Hash of the secret.
      * @param timeout Timestamp when the lock will expire.
@@ -115,27 +165,59 @@ contract AtomicSwapERC20 {
      * @param sellPrice Unit price the buyer is paying for asset.
      */
     function lockBuy(ERC20 token, address recipient, bytes32 hashedSecret, uint timeout, uint value, bytes32 sellAssetId, uint sellPrice)
-        external
-        
+        public
+        payable
     {
-        // Calculate intrinsic lockId.
-        bytes32 lockId = keccak256(abi.encode(token, msg.sender, recipient, hashedSecret, timeout));
-        // Ensure lockId is not already in use.
-        if (lockIdValue[lockId] != 0) revert LockAlreadyExists(lockId);
         // Lock value.
-        lockIdValue[lockId] = value;
+        bytes32 lockId = _lock(token, recipient, hashedSecret, timeout, value);
         // Transfer value.
-        (bool success, bytes memory data) = address(token).call(abi.encodeWithSelector(ERC20.transferFrom.selector, msg.sender, address(this), value));
-        if (!success || (data.length != 0 && !abi.decode(data, (bool)))) revert TransferInFailed(token, msg.sender, value);
+        _transferIn(token, value);
         // Log info.
-        
-        emit LockBuy(token, msg.sender, recipient, hashedSecret, timeout, value, sellAssetId, sellPrice,lockId);
-        
+        emit LockBuy(token, msg.sender, recipient, hashedSecret, timeout, value, sellAssetId, sellPrice, lockId);
+    }
+
+    /**
+     * @dev Lock value to buy from a sell order, approving the transfer with an EIP-2612 permit.
+     * @param token Token to lock. Must implement EIP-2612.
+     * @param recipient Account that can unlock the lock.
+     * @param hashedSecret Hash of the secret.
+     * @param timeout Timestamp when the lock will expire.
+     * @param value Value of token to lock.
+     * @param sellAssetId Asset the buyer is buying
+     * @param sellPrice Unit price the buyer is paying for asset.
+     * @param permit Permit for this contract to spend value.
+     */
+    function lockBuyWithPermit(ERC20 token, address recipient, bytes32 hashedSecret, uint timeout, uint value, bytes32 sellAssetId, uint sellPrice, PermitSignature calldata permit)
+        external
+    {
+        _requireToken(token);
+        _permit(token, value, permit);
+        lockBuy(token, recipient, hashedSecret, timeout, value, sellAssetId, sellPrice);
+    }
+
+    /**
+     * @dev Lock value to buy from a sell order, transferring it with a Permit2 signature.
+     * @param token Token to lock. Must be approved for Permit2.
+     * @param recipient Account that can unlock the lock.
+     * @param hashedSecret Hash of the secret.
+     * @param timeout Timestamp when the lock will expire.
+     * @param value Value of token to lock.
+     * @param sellAssetId Asset the buyer is buying
+     * @param sellPrice Unit price the buyer is paying for asset.
+     * @param permit Permit2 transfer of value to this contract.
+     */
+    function lockBuyWithPermit2(ERC20 token, address recipient, bytes32 hashedSecret, uint timeout, uint value, bytes32 sellAssetId, uint sellPrice, Permit2Signature calldata permit)
+        external
+    {
+        _requireToken(token);
+        bytes32 lockId = _lock(token, recipient, hashedSecret, timeout, value);
+        _transferInPermit2(token, value, permit);
+        emit LockBuy(token, msg.sender, recipient, hashedSecret, timeout, value, sellAssetId, sellPrice, lockId);
     }
 
     /**
      * @dev Lock value to sell in response to a buy lock.
-     * @param token Token to lock.
+     * @param token Token to lock, or the zero address for native currency sent with the call.
      * @param recipient Account that can unlock the value.
      * @param hashedSecret Hash of the secret.
      * @param timeout Timestamp when the lock will expire.
@@ -144,21 +226,56 @@ contract AtomicSwapERC20 {
      * @param buyLockId Buy lock this lock is responding to.
      */
     function lockSell(ERC20 token, address recipient, bytes32 hashedSecret, uint timeout, uint value, bytes32 buyAssetId, bytes32 buyLockId)
-        external
+        public
+        payable
     {
-        // Calculate intrinsic lockId.
-        bytes32 lockId = keccak256(abi.encode(token, msg.sender, recipient, hashedSecret, timeout));
-        // Ensure lockId is not already in use.
-        if (lockIdValue[lockId] != 0) revert LockAlreadyExists(lockId);
         // Lock value.
-        lockIdValue[lockId] = value;
+        _lock(token, recipient, hashedSecret, timeout, value);
         // Transfer value.
-        (bool success, bytes memory data) = address(token).call(abi.encodeWithSelector(ERC20.transferFrom.selector, msg.sender, address(this), value));
-        if (!success || (data.length != 0 && !abi.decode(data, (bool)))) revert TransferInFailed(token, msg.sender, value);
+        _transferIn(token, value);
         // Log info.
         emit LockSell(token, msg.sender, recipient, hashedSecret, timeout, value, buyAssetId, buyLockId);
     }
 
+    /**
+     * @dev Lock value to sell in response to a buy lock, approving the transfer with an EIP-2612 permit.
+     * @param token Token to lock. Must implement EIP-2612.
+     * @param recipient Account that can unlock the value.
+     * @param hashedSecret Hash of the secret.
+     * @param timeout Timestamp when the lock will expire.
+     * @param value Value of token to lock.
+     * @param buyAssetId Asset of the buy lock this lock is responding to.
+     * @param buyLockId Buy lock this lock is responding to.
+     * @param permit Permit for this contract to spend value.
+     */
+    function lockSellWithPermit(ERC20 token, address recipient, bytes32 hashedSecret, uint timeout, uint value, bytes32 buyAssetId, bytes32 buyLockId, PermitSignature calldata permit)
+        external
+    {
+        _requireToken(token);
+        _permit(token, value, permit);
+        lockSell(token, recipient, hashedSecret, timeout, value, buyAssetId, buyLockId);
+    }
+
+    /**
+     * @dev Lock value to sell in response to a buy lock, transferring it with a Permit2 signature.
+     * @param token Token to lock. Must be approved for Permit2.
+     * @param recipient Account that can unlock the value.
+     * @param hashedSecret Hash of the secret.
+     * @param timeout Timestamp when the lock will expire.
+     * @param value Value of token to lock.
+     * @param buyAssetId Asset of the buy lock this lock is responding to.
+     * @param buyLockId Buy lock this lock is responding to.
+     * @param permit Permit2 transfer of value to this contract.
+     */
+    function lockSellWithPermit2(ERC20 token, address recipient, bytes32 hashedSecret, uint timeout, uint value, bytes32 buyAssetId, bytes32 buyLockId, Permit2Signature calldata permit)
+        external
+    {
+        _requireToken(token);
+        _lock(token, recipient, hashedSecret, timeout, value);
+        _transferInPermit2(token, value, permit);
+        emit LockSell(token, msg.sender, recipient, hashedSecret, timeout, value, buyAssetId, buyLockId);
+    }
+
     /**
      * @dev Transfer value back to creator (called by recipient).
      * @param token Token locked.
@@ -178,8 +295,7 @@ contract AtomicSwapERC20 {
         // Delete lock.
         delete lockIdValue[lockId];
         // Transfer value.
-        (bool success, bytes memory data) = address(token).call(abi.encodeWithSelector(ERC20.transfer.selector, creator, value));
-        if (!success || (data.length != 0 && !abi.decode(data, (bool)))) revert TransferOutFailed(token, creator, value);
+        _transferOut(token, creator, value);
         // Log info.
         emit Decline(token, creator, msg.sender, lockId);
     }
@@ -205,8 +321,7 @@ contract AtomicSwapERC20 {
         // Delete lock.
         delete lockIdValue[lockId];
         // Transfer value.
-        (bool success, bytes memory data) = address(token).call(abi.encodeWithSelector(ERC20.transfer.selector, msg.sender, value));
-        if (!success || (data.length != 0 && !abi.decode(data, (bool)))) revert TransferOutFailed(token, msg.sender, value);
+        _transferOut(token, msg.sender, value);
         // Log info.
         emit Unlock(token, creator, msg.sender, lockId, secret);
     }
@@ -232,12 +347,115 @@ contract AtomicSwapERC20 {
         // Delete lock.
         delete lockIdValue[lockId];
         // Transfer value.
-        (bool success, bytes memory data) = address(token).call(abi.encodeWithSelector(ERC20.transfer.selector, msg.sender, value));
-        if (!success || (data.length != 0 && !abi.decode(data, (bool)))) revert TransferOutFailed(token, msg.sender, value);
+        _transferOut(token, msg.sender, value);
         // Log info.
         emit Retrieve(token, msg.sender, recipient, lockId);
     }
 
+    /**
+     * @dev Record value in a new lock created by the sender.
+     * @param token Token to lock.
+     * @param recipient Account that can unlock the value.
+     * @param hashedSecret Hash of the secret.
+     * @param timeout Timestamp when the lock will expire.
+     * @param value Value of token to lock.
+     * @return lockId Intrinsic lockId of the new lock.
+     */
+    function _lock(ERC20 token, address recipient, bytes32 hashedSecret, uint timeout, uint value)
+        internal
+        returns (bytes32 lockId)
+    {
+        // Calculate intrinsic lockId.
+        lockId = keccak256(abi.encode(token, msg.sender, recipient, hashedSecret, timeout));
+        // Ensure lockId is not already in use.
+        if (lockIdValue[lockId] != 0) revert LockAlreadyExists(lockId);
+        // Lock value.
+        lockIdValue[lockId] = value;
+    }
+
+    /**
+     * @dev Transfer value from the sender to this contract using its allowance,
+     * or check the native currency sent with the call.
+     * @param token Token to transfer, or NATIVE.
+     * @param value Value to transfer.
+     */
+    function _transferIn(ERC20 token, uint value)
+        internal
+    {
+        // Native currency comes with the call.
+        if (token == NATIVE) {
+            if (msg.value != value) revert NativeValueMismatch(value, msg.value);
+            return;
+        }
+        if (msg.value != 0) revert NativeValueMismatch(0, msg.value);
+        (bool success, bytes memory data) = address(token).call(abi.encodeWithSelector(ERC20.transferFrom.selector, msg.sender, address(this), value));
+        if (!success || (data.length != 0 && !abi.decode(data, (bool)))) revert TransferInFailed(token, msg.sender, value);
+    }
+
+    /**
+     * @dev Transfer value from this contract.
+     * @param token Token to transfer, or NATIVE.
+     * @param to Transfer recipient.
+     * @param value Value to transfer.
+     */
+    function _transferOut(ERC20 token, address to, uint value)
+        internal
+    {
+        if (token == NATIVE) {
+            (bool sent, ) = to.call{value: value}("");
+            if (!sent) revert TransferOutFailed(token, to, value);
+            return;
+        }
+        (bool success, bytes memory data) = address(token).call(abi.encodeWithSelector(ERC20.transfer.selector, to, value));
+        if (!success || (data.length != 0 && !abi.decode(data, (bool)))) revert TransferOutFailed(token, to, value);
+    }
+
+    /**
+     * @dev Revert for native currency, before any state is written. Permit2 would
+     * "transfer" from the zero address without error, leaving the lock unfunded,
+     * and a permit on the zero address is meaningless.
+     * @param token Token to check.
+     */
+    function _requireToken(ERC20 token)
+        internal
+        pure
+    {
+        if (token == NATIVE) revert NativeTokenNotPermitted();
+    }
+
+    /**
+     * @dev Transfer value from the sender to this contract with a Permit2 signature.
+     * @param token Token to transfer.
+     * @param value Value to transfer.
+     * @param permit Permit2 signature of the sender.
+     */
+    function _transferInPermit2(ERC20 token, uint value, Permit2Signature calldata permit)
+        internal
+    {
+        PERMIT2.permitTransferFrom(
+            Permit2.PermitTransferFrom(Permit2.TokenPermissions(address(token), value), permit.nonce, permit.deadline),
+            Permit2.SignatureTransferDetails(address(this), value),
+            msg.sender,
+            permit.signature
+        );
+    }
+
+    /**
+     * @dev Approve this contract to spend value of the sender's tokens with an EIP-2612 permit.
+     * A permit that fails is ignored: it may have been used already by someone
+     * front-running this call, and the transfer fails anyway without an allowance.
+     * @param token Token to permit.
+     * @param value Value to permit.
+     * @param permit Permit signature of the sender.
+     */
+    function _permit(ERC20 token, uint value, PermitSignature calldata permit)
+        internal
+    {
+        try ERC20Permit(address(token)).permit(msg.sender, address(this), value, permit.deadline, permit.v, permit.r, permit.s) {
+        } catch {
+        }
+    }
+
     /**
      * @dev Get value locked.
      * @param lockId Lock to examine.
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.17;
+
+/**
+ * @title Interface for the signature transfers of Uniswap's Permit2.
+ * @dev https://github.com/Uniswap/permit2 (ISignatureTransfer)
+ */
+interface Permit2 {
+    struct TokenPermissions {
+        address token;
+        uint amount;
+    }
+
+    struct PermitTransferFrom {
+        TokenPermissions permitted;
+        uint nonce;
+        uint deadline;
+    }
+
+    struct SignatureTransferDetails {
+        address to;
+        uint requestedAmount;
+    }
+
+    function permitTransferFrom(
+        PermitTransferFrom memory permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external;
+}
@@ -3,23 +3,9 @@ const path = require("path");
 const solc = require("solc");
 
 // Define contract files to compile
-const contractFiles = ["AtomicSwapERC20.sol", "ERC20.sol"];
+const contractFiles = ["AtomicSwapERC20.sol", "ERC20.sol", "ERC20Permit.sol", "Permit2.sol"];
 const buildPath = path.join(__dirname, "build");
 
-// Ensure build directory exists
-if (!fs.existsSync(buildPath)) {
-  fs.mkdirSync(buildPath);
-}
-
-// Read the content of the contract files
-const sources = {};
-contractFiles.forEach(contractFile => {
-  const filePath = path.resolve(__dirname, contractFile);
-  sources[contractFile] = {
-    content: fs.readFileSync(filePath, 'utf8')
-  };
-});
-
 // Import callback for OpenZeppelin and other imports
 function findImports(importPath) {
   try {
@@ -46,21 +32,32 @@ function findImports(importPath) {
   }
 }
 
-const input = {
-  language: "Solidity",
-  sources,
-  settings: {
-    outputSelection: {
-      "*": {
-        "*": ["abi", "evm.bytecode.object"],
+// Compile contract files (paths relative to this directory).
+// Pass evmVersion to target an older hardfork than the compiler default.
+// Returns { [contractName]: { abi, bytecode } } and throws on compilation errors.
+function compile(files = contractFiles, { evmVersion } = {}) {
+  // Read the content of the contract files
+  const sources = {};
+  files.forEach(contractFile => {
+    const filePath = path.resolve(__dirname, contractFile);
+    sources[contractFile] = {
+      content: fs.readFileSync(filePath, 'utf8')
+    };
+  });
+
+  const input = {
+    language: "Solidity",
+    sources,
+    settings: {
+      ...(evmVersion ? { evmVersion } : {}),
+      outputSelection: {
+        "*": {
+          "*": ["abi", "evm.bytecode.object"],
+        },
       },
     },
-  },
-};
-
-console.log("Compiling contracts...");
+  };
 
-try {
   const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
 
   // Error handling
@@ -69,34 +66,60 @@ try {
       console[err.severity === 'error' ? 'error' : 'warn'](err.formattedMessage);
     });
     if (output.errors.some(err => err.severity === 'error')) {
-      console.error("Compilation failed");
-      process.exit(1);
+      throw new Error("Compilation failed");
     }
   }
 
-  // Write ABIs and bytecode to files
+  const contracts = {};
   for (const contractFileName in output.contracts) {
     for (const contractName in output.contracts[contractFileName]) {
       const contract = output.contracts[contractFileName][contractName];
-      
-      // Write ABI to file
-      fs.writeFileSync(
-        path.join(buildPath, `${contractName}.abi`),
-        JSON.stringify(contract.abi, null, 2)
-      );
-      
-      // Write bytecode to file
-      fs.writeFileSync(
-        path.join(buildPath, `${contractName}.bin`),
-        contract.evm.bytecode.object
-      );
-      
-      console.log(`✅ Compiled ${contractName} successfully!`);
-      console.log(`- ABI saved to: ${path.join(buildPath, `${contractName}.abi`)}`);
-      console.log(`- Bytecode saved to: ${path.join(buildPath, `${contractName}.bin`)}`);
+      contracts[contractName] = {
+        abi: contract.abi,
+        bytecode: contract.evm.bytecode.object
+      };
     }
   }
-} catch (error) {
-  console.error("Compilation error:", error);
-  process.exit(1);
-} 
\ No newline at end of file
+  return contracts;
+}
+
+// Write ABIs and bytecode to the build directory
+function writeArtifacts(contracts) {
+  // Ensure build directory exists
+  if (!fs.existsSync(buildPath)) {
+    fs.mkdirSync(buildPath);
+  }
+
+  for (const contractName in contracts) {
+    const contract = contracts[contractName];
+    
+    // Write ABI to file
+    fs.writeFileSync(
+      path.join(buildPath, `${contractName}.abi`),
+      JSON.stringify(contract.abi, null, 2)
+    );
+    
+    // Write bytecode to file
+    fs.writeFileSync(
+      path.join(buildPath, `${contractName}.bin`),
+      contract.bytecode
+    );
+    
+    console.log(`✅ Compiled ${contractName} successfully!`);
+    console.log(`- ABI saved to: ${path.join(buildPath, `${contractName}.abi`)}`);
+    console.log(`- Bytecode saved to: ${path.join(buildPath, `${contractName}.bin`)}`);
+  }
+}
+
+if (require.main === module) {
+  console.log("Compiling contracts...");
+
+  try {
+    writeArtifacts(compile());
+  } catch (error) {
+    console.error("Compilation error:", error);
+    process.exit(1);
+  }
+}
+
+module.exports = { compile, writeArtifacts, contractFiles, buildPath };
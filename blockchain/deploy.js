@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Paths to compiled artifacts and the frontend contract files they feed
+const buildPath = path.join(__dirname, "build");
+const frontendContractsPath = path.join(__dirname, "..", "frontend", "contracts");
+const contractName = "AtomicSwapERC20";
+// Optional features of the contract in contracts/, recorded with each
+// deployment so the frontend can tell it apart from older deployments
+const contractFeatures = ["nativeLocks", "permits"];
+
+const usage = `Usage: node deploy.js [--rpc-url <url>] [--private-key <key>] [--default]
+
+  --rpc-url      RPC endpoint to deploy to (env RPC_URL, default http://127.0.0.1:8545)
+  --private-key  Deployer key (env PRIVATE_KEY). Without one, the node's first
+                 unlocked account is used, which works for local Anvil/Hardhat nodes.
+  --default      Make this chain the frontend's default network`;
+
+// Parse command line arguments, falling back to environment variables
+function parseArgs(argv) {
+  const options = {
+    rpcUrl: process.env.RPC_URL || "http://127.0.0.1:8545",
+    privateKey: process.env.PRIVATE_KEY || null,
+    setDefault: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--rpc-url":
+        options.rpcUrl = argv[++i];
+        break;
+      case "--private-key":
+        options.privateKey = argv[++i];
+        break;
+      case "--default":
+        options.setDefault = true;
+        break;
+      case "--help":
+      case "-h":
+        console.log(usage);
+        process.exit(0);
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        console.error(usage);
+        process.exit(1);
+    }
+  }
+
+  if (!options.rpcUrl) {
+    console.error("Missing value for --rpc-url");
+    process.exit(1);
+  }
+
+  return options;
+}
+
+// Read the ABI and bytecode written by compile.js
+function readArtifacts(name) {
+  const abiPath = path.join(buildPath, `${name}.abi`);
+  const binPath = path.join(buildPath, `${name}.bin`);
+
+  if (!fs.existsSync(abiPath) || !fs.existsSync(binPath)) {
+    throw new Error(`Missing build artifacts for ${name}. Run "npm run compile" first.`);
+  }
+
+  return {
+    abi: JSON.parse(fs.readFileSync(abiPath, "utf8")),
+    bytecode: fs.readFileSync(binPath, "utf8").trim(),
+  };
+}
+
+// Record a deployment under its chainId in a deployments file, keeping the
+// entries of other chains
+function recordDeployment(addressPath, chainId, deployment, setDefault) {
+  let addresses = { deployments: {} };
+  if (fs.existsSync(addressPath)) {
+    addresses = JSON.parse(fs.readFileSync(addressPath, "utf8"));
+    addresses.deployments = addresses.deployments || {};
+  }
+
+  addresses.deployments[chainId] = { ...deployment, features: contractFeatures };
+  if (setDefault || addresses.defaultChainId === undefined) {
+    addresses.defaultChainId = Number(chainId);
+  }
+
+  fs.writeFileSync(addressPath, JSON.stringify(addresses, null, 4) + "\n");
+  console.log(`- Address saved to: ${addressPath}`);
+}
+
+// Merge the new deployment into the frontend's address file and refresh its ABI
+function writeFrontendArtifacts(abi, chainId, deployment, setDefault) {
+  const abiPath = path.join(frontendContractsPath, `${contractName}-abi.json`);
+
+  recordDeployment(path.join(frontendContractsPath, `${contractName}-address.json`), chainId, deployment, setDefault);
+  fs.writeFileSync(abiPath, JSON.stringify(abi, null, 2) + "\n");
+  console.log(`- ABI saved to: ${abiPath}`);
+}
+
+// Deployments to throwaway local chains go to a git-ignored file that the
+// frontend merges over the committed one, so the tracked files stay untouched
+function writeLocalDeployment(chainId, deployment, setDefault) {
+  recordDeployment(path.join(frontendContractsPath, `${contractName}-address.local.json`), chainId, deployment, setDefault);
+}
+
+async function deploy(options) {
+  const provider = new ethers.JsonRpcProvider(options.rpcUrl);
+  const { chainId } = await provider.getNetwork();
+
+  const signer = options.privateKey
+    ? new ethers.Wallet(options.privateKey, provider)
+    : await provider.getSigner(0);
+
+  const { abi, bytecode } = readArtifacts(contractName);
+
+  console.log(`Deploying ${contractName} to chain ${chainId} from ${await signer.getAddress()}...`);
+
+  const factory = new ethers.ContractFactory(abi, bytecode, signer);
+  const contract = await factory.deploy();
+  const tx = contract.deploymentTransaction();
+  console.log(`- Transaction sent: ${tx.hash}`);
+
+  const receipt = await tx.wait();
+  const address = await contract.getAddress();
+
+  console.log(`✅ Deployed ${contractName} at ${address} in block ${receipt.blockNumber}`);
+
+  writeFrontendArtifacts(abi, chainId.toString(), {
+    address,
+    deploymentBlock: receipt.blockNumber,
+    txHash: tx.hash,
+  }, options.setDefault);
+
+  return { address, chainId, receipt };
+}
+
+if (require.main === module) {
+  deploy(parseArgs(process.argv.slice(2))).catch(error => {
+    console.error("Deployment error:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { deploy, readArtifacts, writeFrontendArtifacts, writeLocalDeployment };
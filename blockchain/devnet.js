@@ -0,0 +1,85 @@
+const ganache = require("ganache");
+const { ethers } = require("ethers");
+const { compile, contractFiles } = require("./compile");
+const { writeLocalDeployment } = require("./deploy");
+
+// Two local chains for trying cross-chain swaps: the same accounts on both, so
+// one MetaMask account can act on either chain
+const chains = [
+  { chainId: 31337, port: 8545 },
+  { chainId: 31338, port: 8546 },
+];
+
+// Ganache's deterministic wallet, so the accounts survive restarts
+const mnemonic = "myth like bonus scare over problem client lizard pioneer submit female collect";
+
+const usage = `Usage: node devnet.js
+
+Starts Ganache on http://127.0.0.1:8545 (chainId 31337) and
+http://127.0.0.1:8546 (chainId 31338), deploys AtomicSwapERC20 to both and
+registers the deployments with the frontend in the git-ignored
+frontend/contracts/AtomicSwapERC20-address.local.json. Runs until interrupted.`;
+
+async function startChain({ chainId, port }) {
+  const server = ganache.server({
+    logging: { quiet: true },
+    // Ganache does not support Cancun opcodes yet
+    chain: { chainId, hardfork: "shanghai" },
+    wallet: { mnemonic, totalAccounts: 4 },
+  });
+  await server.listen(port, "127.0.0.1");
+  return server;
+}
+
+async function deployTo({ chainId, port }, { abi, bytecode }) {
+  const provider = new ethers.JsonRpcProvider(`http://127.0.0.1:${port}`, chainId, { staticNetwork: true });
+  const signer = await provider.getSigner(0);
+
+  const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy();
+  const tx = contract.deploymentTransaction();
+  const receipt = await tx.wait();
+  const address = await contract.getAddress();
+  provider.destroy();
+
+  console.log(`✅ Deployed AtomicSwapERC20 on chain ${chainId} at ${address}`);
+  return { address, deploymentBlock: receipt.blockNumber, txHash: tx.hash };
+}
+
+async function main() {
+  const { AtomicSwapERC20 } = compile(contractFiles, { evmVersion: "shanghai" });
+  const servers = [];
+
+  const stop = async () => {
+    await Promise.all(servers.map(server => server.close()));
+    process.exit(0);
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  for (const chain of chains) {
+    servers.push(await startChain(chain));
+    console.log(`Chain ${chain.chainId} listening on http://127.0.0.1:${chain.port}`);
+
+    const deployment = await deployTo(chain, AtomicSwapERC20);
+    writeLocalDeployment(chain.chainId.toString(), deployment, chain === chains[0]);
+  }
+
+  const accounts = servers[0].provider.getInitialAccounts();
+  console.log("\nFunded accounts (the same on both chains):");
+  Object.entries(accounts).forEach(([address, { secretKey }]) => {
+    console.log(`- ${ethers.getAddress(address)}  private key ${secretKey}`);
+  });
+  console.log("\nPress Ctrl-C to stop.");
+}
+
+if (require.main === module) {
+  if (process.argv.includes("--help") || process.argv.includes("-h")) {
+    console.log(usage);
+    process.exit(0);
+  }
+
+  main().catch(error => {
+    console.error("Devnet error:", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,546 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("assert");
+const { ethers } = require("ethers");
+const {
+  startChain,
+  deployContract,
+  latestTimestamp,
+  increaseTime,
+  hashSecret,
+  calculateLockId,
+  signTypedData,
+  expectCustomError,
+} = require("./helpers");
+
+const VALUE = 1_000_000n;
+const SELL_ASSET_ID = ethers.keccak256(ethers.toUtf8Bytes("asset"));
+const SELL_PRICE = 5_000_000n;
+const PERMIT2_ADDRESS = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+
+describe("AtomicSwapERC20", () => {
+  let chain;
+  let provider;
+  let buyer;
+  let seller;
+  let stranger;
+  let swap;
+  let token;
+  let secret;
+  let hashedSecret;
+  let timeout;
+
+  before(async () => {
+    chain = await startChain();
+    provider = chain.provider;
+    [, buyer, seller, stranger] = chain.signers;
+  });
+
+  after(async () => {
+    await chain.stop();
+  });
+
+  beforeEach(async () => {
+    swap = await deployContract("AtomicSwapERC20", chain.signers[0]);
+    token = await deployContract("MockERC20", chain.signers[0], "Mock USD", "mUSD", 6);
+    await (await token.mint(buyer.address, VALUE * 10n)).wait();
+    await (await token.mint(seller.address, VALUE * 10n)).wait();
+    await (await token.connect(buyer).approve(swap.target, ethers.MaxUint256)).wait();
+    await (await token.connect(seller).approve(swap.target, ethers.MaxUint256)).wait();
+
+    secret = ethers.hexlify(ethers.randomBytes(32));
+    hashedSecret = hashSecret(secret);
+    timeout = (await latestTimestamp(provider)) + 3600;
+  });
+
+  // Buyer locks VALUE of token for the seller
+  const lockBuy = (lockToken = token, value = VALUE) =>
+    swap.connect(buyer).lockBuy(lockToken.target, seller.address, hashedSecret, timeout, value, SELL_ASSET_ID, SELL_PRICE);
+
+  const parseEvent = (receipt, name) => receipt.logs
+    .map(log => {
+      try {
+        return swap.interface.parseLog(log);
+      } catch (e) {
+        return null;
+      }
+    })
+    .find(event => event && event.name === name);
+
+  describe("lockBuy", () => {
+    it("locks the value under the intrinsic lockId", async () => {
+      const receipt = await (await lockBuy()).wait();
+      const lockId = calculateLockId(token.target, buyer.address, seller.address, hashedSecret, timeout);
+
+      const event = parseEvent(receipt, "LockBuy");
+      assert.strictEqual(event.args.lockId, lockId);
+      assert.strictEqual(event.args.hashedSecret, hashedSecret);
+      assert.strictEqual(event.args.sellAssetId, SELL_ASSET_ID);
+      assert.strictEqual(event.args.sellPrice, SELL_PRICE);
+      assert.strictEqual(await swap.getLockValue(lockId), VALUE);
+      assert.strictEqual(await token.balanceOf(swap.target), VALUE);
+      assert.strictEqual(await token.balanceOf(buyer.address), VALUE * 9n);
+    });
+
+    it("reverts with LockAlreadyExists for a duplicate lock", async () => {
+      await (await lockBuy()).wait();
+      const decoded = await expectCustomError(lockBuy(), swap, "LockAlreadyExists");
+      assert.strictEqual(decoded.args.lockId, calculateLockId(token.target, buyer.address, seller.address, hashedSecret, timeout));
+    });
+
+    it("reverts with TransferInFailed when the transfer reverts", async () => {
+      await (await token.connect(buyer).approve(swap.target, 0)).wait();
+      const decoded = await expectCustomError(lockBuy(), swap, "TransferInFailed");
+      assert.strictEqual(decoded.args.token, token.target);
+      assert.strictEqual(decoded.args.from, buyer.address);
+      assert.strictEqual(decoded.args.value, VALUE);
+    });
+
+    it("reverts with TransferInFailed when the token returns false", async () => {
+      const falseToken = await deployContract("FalseReturningERC20", chain.signers[0], "False", "FALSE", 18);
+      await expectCustomError(lockBuy(falseToken), swap, "TransferInFailed");
+    });
+  });
+
+  describe("lockSell", () => {
+    it("locks the value and references the buy lock", async () => {
+      const buyLockId = calculateLockId(token.target, buyer.address, seller.address, hashedSecret, timeout);
+      const sellTimeout = timeout - 1800;
+
+      const receipt = await (await swap.connect(seller).lockSell(
+        token.target, buyer.address, hashedSecret, sellTimeout, VALUE, SELL_ASSET_ID, buyLockId
+      )).wait();
+
+      const event = parseEvent(receipt, "LockSell");
+      assert.strictEqual(event.args.buyLockId, buyLockId);
+      assert.strictEqual(event.args.buyAssetId, SELL_ASSET_ID);
+      const sellLockId = calculateLockId(token.target, seller.address, buyer.address, hashedSecret, sellTimeout);
+      assert.strictEqual(await swap.getLockValue(sellLockId), VALUE);
+    });
+
+    it("reverts with LockAlreadyExists for a duplicate lock", async () => {
+      const sell = () => swap.connect(seller).lockSell(
+        token.target, buyer.address, hashedSecret, timeout, VALUE, SELL_ASSET_ID, ethers.ZeroHash
+      );
+      await (await sell()).wait();
+      await expectCustomError(sell(), swap, "LockAlreadyExists");
+    });
+  });
+
+  describe("unlock", () => {
+    it("transfers the value to the recipient and reveals the secret", async () => {
+      await (await lockBuy()).wait();
+      const lockId = calculateLockId(token.target, buyer.address, seller.address, hashedSecret, timeout);
+
+      const receipt = await (await swap.connect(seller).unlock(token.target, buyer.address, secret, timeout)).wait();
+
+      const event = parseEvent(receipt, "Unlock");
+      assert.strictEqual(event.args.lockId, lockId);
+      assert.strictEqual(event.args.secret, secret);
+      assert.strictEqual(await swap.getLockValue(lockId), 0n);
+      assert.strictEqual(await token.balanceOf(seller.address), VALUE * 11n);
+    });
+
+    it("reverts with LockNotFound for a wrong secret", async () => {
+      await (await lockBuy()).wait();
+      const wrongSecret = ethers.hexlify(ethers.randomBytes(32));
+      await expectCustomError(
+        swap.connect(seller).unlock(token.target, buyer.address, wrongSecret, timeout), swap, "LockNotFound"
+      );
+    });
+
+    it("reverts with LockNotFound when called by someone other than the recipient", async () => {
+      await (await lockBuy()).wait();
+      await expectCustomError(
+        swap.connect(stranger).unlock(token.target, buyer.address, secret, timeout), swap, "LockNotFound"
+      );
+    });
+
+    it("reverts with LockTimedOut after the timeout", async () => {
+      await (await lockBuy()).wait();
+      await increaseTime(provider, 3601);
+      await expectCustomError(
+        swap.connect(seller).unlock(token.target, buyer.address, secret, timeout), swap, "LockTimedOut"
+      );
+    });
+  });
+
+  describe("retrieve", () => {
+    it("reverts with LockNotTimedOut before the timeout", async () => {
+      await (await lockBuy()).wait();
+      await expectCustomError(
+        swap.connect(buyer).retrieve(token.target, seller.address, hashedSecret, timeout), swap, "LockNotTimedOut"
+      );
+    });
+
+    it("returns the value to the creator after the timeout", async () => {
+      await (await lockBuy()).wait();
+      await increaseTime(provider, 3601);
+
+      const receipt = await (await swap.connect(buyer).retrieve(token.target, seller.address, hashedSecret, timeout)).wait();
+
+      assert.ok(parseEvent(receipt, "Retrieve"));
+      assert.strictEqual(await token.balanceOf(buyer.address), VALUE * 10n);
+      assert.strictEqual(await token.balanceOf(swap.target), 0n);
+    });
+
+    it("reverts with LockNotFound for an unknown lock", async () => {
+      await expectCustomError(
+        swap.connect(buyer).retrieve(token.target, seller.address, hashedSecret, timeout), swap, "LockNotFound"
+      );
+    });
+  });
+
+  describe("decline", () => {
+    it("returns the value to the creator when the recipient declines", async () => {
+      await (await lockBuy()).wait();
+
+      const receipt = await (await swap.connect(seller).decline(token.target, buyer.address, hashedSecret, timeout)).wait();
+
+      assert.ok(parseEvent(receipt, "Decline"));
+      assert.strictEqual(await token.balanceOf(buyer.address), VALUE * 10n);
+    });
+
+    it("reverts with LockNotFound when called by someone other than the recipient", async () => {
+      await (await lockBuy()).wait();
+      await expectCustomError(
+        swap.connect(stranger).decline(token.target, buyer.address, hashedSecret, timeout), swap, "LockNotFound"
+      );
+    });
+
+    it("reverts with LockNotFound when declined twice", async () => {
+      await (await lockBuy()).wait();
+      await (await swap.connect(seller).decline(token.target, buyer.address, hashedSecret, timeout)).wait();
+      await expectCustomError(
+        swap.connect(seller).decline(token.target, buyer.address, hashedSecret, timeout), swap, "LockNotFound"
+      );
+    });
+  });
+
+  describe("full swap", () => {
+    it("swaps two tokens once the buyer reveals the secret", async () => {
+      const otherToken = await deployContract("MockERC20", chain.signers[0], "Other", "OTH", 18);
+      await (await otherToken.mint(seller.address, VALUE)).wait();
+      await (await otherToken.connect(seller).approve(swap.target, VALUE)).wait();
+
+      const buyReceipt = await (await lockBuy()).wait();
+      const buyLockId = parseEvent(buyReceipt, "LockBuy").args.lockId;
+
+      const sellTimeout = timeout - 1800;
+      await (await swap.connect(seller).lockSell(
+        otherToken.target, buyer.address, hashedSecret, sellTimeout, VALUE, SELL_ASSET_ID, buyLockId
+      )).wait();
+
+      // Buyer unlocks the seller's lock, publishing the secret
+      const unlockReceipt = await (await swap.connect(buyer).unlock(otherToken.target, seller.address, secret, sellTimeout)).wait();
+      const revealed = parseEvent(unlockReceipt, "Unlock").args.secret;
+
+      // Seller uses the revealed secret on the buy lock
+      await (await swap.connect(seller).unlock(token.target, buyer.address, revealed, timeout)).wait();
+
+      assert.strictEqual(await otherToken.balanceOf(buyer.address), VALUE);
+      assert.strictEqual(await token.balanceOf(seller.address), VALUE * 11n);
+      assert.strictEqual(await swap.getLockValue(buyLockId), 0n);
+    });
+  });
+
+  describe("non-standard tokens", () => {
+    it("locks and unlocks tokens that return no bool", async () => {
+      const usdtLike = await deployContract("NonStandardERC20", chain.signers[0], "Tether", "USDT", 6);
+      await (await usdtLike.mint(buyer.address, VALUE)).wait();
+      await (await usdtLike.connect(buyer).approve(swap.target, VALUE)).wait();
+
+      await (await lockBuy(usdtLike)).wait();
+      assert.strictEqual(await usdtLike.balanceOf(swap.target), VALUE);
+
+      await (await swap.connect(seller).unlock(usdtLike.target, buyer.address, secret, timeout)).wait();
+      assert.strictEqual(await usdtLike.balanceOf(seller.address), VALUE);
+    });
+
+    it("records the full value for fee-on-transfer tokens, so the lock cannot be paid out", async () => {
+      // 1% fee
+      const feeToken = await deployContract("FeeOnTransferERC20", chain.signers[0], "Fee", "FEE", 18, 100);
+      await (await feeToken.mint(buyer.address, VALUE)).wait();
+      await (await feeToken.connect(buyer).approve(swap.target, VALUE)).wait();
+
+      await (await lockBuy(feeToken)).wait();
+      const lockId = calculateLockId(feeToken.target, buyer.address, seller.address, hashedSecret, timeout);
+
+      assert.strictEqual(await swap.getLockValue(lockId), VALUE);
+      assert.strictEqual(await feeToken.balanceOf(swap.target), VALUE - VALUE / 100n);
+
+      const decoded = await expectCustomError(
+        swap.connect(seller).unlock(feeToken.target, buyer.address, secret, timeout), swap, "TransferOutFailed"
+      );
+      assert.strictEqual(decoded.args.to, seller.address);
+      assert.strictEqual(decoded.args.value, VALUE);
+    });
+  });
+  describe("native currency", () => {
+    const NATIVE = ethers.ZeroAddress;
+
+    const lockBuyNative = (value = VALUE, sent = value) =>
+      swap.connect(buyer).lockBuy(NATIVE, seller.address, hashedSecret, timeout, value, SELL_ASSET_ID, SELL_PRICE, { value: sent });
+
+    // Native currency spent on gas by a transaction
+    const gasCost = (receipt) => receipt.gasUsed * receipt.gasPrice;
+
+    it("locks the value sent with the call", async () => {
+      const receipt = await (await lockBuyNative()).wait();
+
+      const lockId = calculateLockId(NATIVE, buyer.address, seller.address, hashedSecret, timeout);
+      const event = parseEvent(receipt, "LockBuy");
+      assert.strictEqual(event.args.token, NATIVE);
+      assert.strictEqual(event.args.lockId, lockId);
+      assert.strictEqual(await swap.getLockValue(lockId), VALUE);
+      assert.strictEqual(await provider.getBalance(swap.target), VALUE);
+    });
+
+    it("reverts with NativeValueMismatch when the value sent differs", async () => {
+      const decoded = await expectCustomError(lockBuyNative(VALUE, VALUE - 1n), swap, "NativeValueMismatch");
+      assert.strictEqual(decoded.args.expected, VALUE);
+      assert.strictEqual(decoded.args.sent, VALUE - 1n);
+    });
+
+    it("reverts with NativeValueMismatch when native currency is sent with a token lock", async () => {
+      await expectCustomError(
+        swap.connect(buyer).lockBuy(token.target, seller.address, hashedSecret, timeout, VALUE, SELL_ASSET_ID, SELL_PRICE, { value: 1n }),
+        swap,
+        "NativeValueMismatch"
+      );
+    });
+
+    it("pays the recipient on unlock", async () => {
+      await (await lockBuyNative()).wait();
+      const before = await provider.getBalance(seller.address);
+
+      const receipt = await (await swap.connect(seller).unlock(NATIVE, buyer.address, secret, timeout)).wait();
+
+      assert.strictEqual(await provider.getBalance(seller.address), before + VALUE - gasCost(receipt));
+      assert.strictEqual(await provider.getBalance(swap.target), 0n);
+    });
+
+    it("returns the value to the creator on retrieve", async () => {
+      await (await lockBuyNative()).wait();
+      await increaseTime(provider, 3601);
+      const before = await provider.getBalance(buyer.address);
+
+      const receipt = await (await swap.connect(buyer).retrieve(NATIVE, seller.address, hashedSecret, timeout)).wait();
+
+      assert.strictEqual(await provider.getBalance(buyer.address), before + VALUE - gasCost(receipt));
+    });
+
+    it("swaps native currency for a token", async () => {
+      const buyReceipt = await (await lockBuyNative()).wait();
+      const buyLockId = parseEvent(buyReceipt, "LockBuy").args.lockId;
+
+      const sellTimeout = timeout - 1800;
+      await (await swap.connect(seller).lockSell(
+        token.target, buyer.address, hashedSecret, sellTimeout, VALUE, SELL_ASSET_ID, buyLockId
+      )).wait();
+
+      await (await swap.connect(buyer).unlock(token.target, seller.address, secret, sellTimeout)).wait();
+      const before = await provider.getBalance(seller.address);
+      const receipt = await (await swap.connect(seller).unlock(NATIVE, buyer.address, secret, timeout)).wait();
+
+      assert.strictEqual(await token.balanceOf(buyer.address), VALUE * 11n);
+      assert.strictEqual(await provider.getBalance(seller.address), before + VALUE - gasCost(receipt));
+    });
+  });
+
+  describe("permit", () => {
+    let permitToken;
+
+    beforeEach(async () => {
+      permitToken = await deployContract("MockPermitERC20", chain.signers[0], "Permit USD", "pUSD", 6);
+      await (await permitToken.mint(buyer.address, VALUE)).wait();
+    });
+
+    // EIP-2612 permit for the swap contract, signed by owner
+    const signPermit = async (owner, value, deadline) => {
+      const domain = { name: "Permit USD", version: "1", chainId: 31337, verifyingContract: permitToken.target };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const nonce = await permitToken.nonces(owner.address);
+      const signature = ethers.Signature.from(await signTypedData(owner, domain, types, {
+        owner: owner.address, spender: swap.target, value, nonce, deadline,
+      }));
+      return { deadline, v: signature.v, r: signature.r, s: signature.s };
+    };
+
+    it("locks without a prior approval", async () => {
+      const permit = await signPermit(buyer, VALUE, timeout);
+      const receipt = await (await swap.connect(buyer).lockBuyWithPermit(
+        permitToken.target, seller.address, hashedSecret, timeout, VALUE, SELL_ASSET_ID, SELL_PRICE, permit
+      )).wait();
+
+      const lockId = calculateLockId(permitToken.target, buyer.address, seller.address, hashedSecret, timeout);
+      assert.strictEqual(parseEvent(receipt, "LockBuy").args.lockId, lockId);
+      assert.strictEqual(await swap.getLockValue(lockId), VALUE);
+      assert.strictEqual(await permitToken.balanceOf(swap.target), VALUE);
+      assert.strictEqual(await permitToken.allowance(buyer.address, swap.target), 0n);
+    });
+
+    it("locks with an allowance already set by a front-run permit", async () => {
+      const permit = await signPermit(buyer, VALUE, timeout);
+      await (await permitToken.connect(stranger).permit(
+        buyer.address, swap.target, VALUE, permit.deadline, permit.v, permit.r, permit.s
+      )).wait();
+
+      await (await swap.connect(buyer).lockSellWithPermit(
+        permitToken.target, seller.address, hashedSecret, timeout, VALUE, SELL_ASSET_ID, ethers.ZeroHash, permit
+      )).wait();
+      assert.strictEqual(await permitToken.balanceOf(swap.target), VALUE);
+    });
+
+    it("reverts with NativeTokenNotPermitted for a native currency lock", async () => {
+      const permit = await signPermit(buyer, VALUE, timeout);
+      await expectCustomError(
+        swap.connect(buyer).lockBuyWithPermit(
+          ethers.ZeroAddress, seller.address, hashedSecret, timeout, VALUE, SELL_ASSET_ID, SELL_PRICE, permit
+        ),
+        swap,
+        "NativeTokenNotPermitted"
+      );
+      await expectCustomError(
+        swap.connect(buyer).lockSellWithPermit(
+          ethers.ZeroAddress, seller.address, hashedSecret, timeout, VALUE, SELL_ASSET_ID, ethers.ZeroHash, permit
+        ),
+        swap,
+        "NativeTokenNotPermitted"
+      );
+    });
+
+    it("reverts with TransferInFailed when the permit is invalid", async () => {
+      const permit = await signPermit(stranger, VALUE, timeout);
+      await expectCustomError(
+        swap.connect(buyer).lockBuyWithPermit(
+          permitToken.target, seller.address, hashedSecret, timeout, VALUE, SELL_ASSET_ID, SELL_PRICE, permit
+        ),
+        swap,
+        "TransferInFailed"
+      );
+    });
+  });
+
+  describe("Permit2", () => {
+    let permit2;
+
+    before(async () => {
+      // Install the mock's code at the canonical Permit2 address
+      const mock = await deployContract("MockPermit2", chain.signers[0]);
+      await provider.send("evm_setAccountCode", [PERMIT2_ADDRESS, await provider.getCode(mock.target)]);
+    });
+
+    beforeEach(async () => {
+      permit2 = (await deployContract("MockPermit2", chain.signers[0])).attach(PERMIT2_ADDRESS);
+      await (await token.connect(buyer).approve(swap.target, 0)).wait();
+      await (await token.connect(buyer).approve(PERMIT2_ADDRESS, ethers.MaxUint256)).wait();
+    });
+
+    // Permit2 signature transfer to the swap contract, signed by owner
+    const signPermit2 = async (owner, value, nonce, deadline, permittedToken = token.target) => {
+      const domain = { name: "Permit2", chainId: 31337, verifyingContract: PERMIT2_ADDRESS };
+      const types = {
+        PermitTransferFrom: [
+          { name: "permitted", type: "TokenPermissions" },
+          { name: "spender", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+        TokenPermissions: [
+          { name: "token", type: "address" },
+          { name: "amount", type: "uint256" },
+        ],
+      };
+      const signature = await signTypedData(owner, domain, types, {
+        permitted: { token: permittedToken, amount: value }, spender: swap.target, nonce, deadline,
+      });
+      return { nonce, deadline, signature };
+    };
+
+    it("locks with a Permit2 signature instead of an allowance for the swap contract", async () => {
+      const permit = await signPermit2(buyer, VALUE, 1n, timeout);
+      const receipt = await (await swap.connect(buyer).lockBuyWithPermit2(
+        token.target, seller.address, hashedSecret, timeout, VALUE, SELL_ASSET_ID, SELL_PRICE, permit
+      )).wait();
+
+      const lockId = calculateLockId(token.target, buyer.address, seller.address, hashedSecret, timeout);
+      assert.strictEqual(parseEvent(receipt, "LockBuy").args.lockId, lockId);
+      assert.strictEqual(await swap.getLockValue(lockId), VALUE);
+      assert.strictEqual(await token.balanceOf(swap.target), VALUE);
+    });
+
+    it("locks a sell with a Permit2 signature", async () => {
+      const permit = await signPermit2(seller, VALUE, 2n, timeout);
+      await (await token.connect(seller).approve(PERMIT2_ADDRESS, ethers.MaxUint256)).wait();
+      await (await swap.connect(seller).lockSellWithPermit2(
+        token.target, buyer.address, hashedSecret, timeout, VALUE, SELL_ASSET_ID, ethers.ZeroHash, permit
+      )).wait();
+
+      const lockId = calculateLockId(token.target, seller.address, buyer.address, hashedSecret, timeout);
+      assert.strictEqual(await swap.getLockValue(lockId), VALUE);
+    });
+
+    it("rejects a Permit2 signature that was already used", async () => {
+      const permit = await signPermit2(buyer, VALUE, 3n, timeout);
+      await (await swap.connect(buyer).lockBuyWithPermit2(
+        token.target, seller.address, hashedSecret, timeout, VALUE, SELL_ASSET_ID, SELL_PRICE, permit
+      )).wait();
+
+      const otherSecret = hashSecret(ethers.hexlify(ethers.randomBytes(32)));
+      await expectCustomError(
+        swap.connect(buyer).lockBuyWithPermit2(
+          token.target, seller.address, otherSecret, timeout, VALUE, SELL_ASSET_ID, SELL_PRICE, permit
+        ),
+        permit2,
+        "InvalidNonce"
+      );
+    });
+
+    it("reverts with NativeTokenNotPermitted for a native currency lock", async () => {
+      // Escrowed native currency that an unfunded native lock could pay out
+      await (await swap.connect(seller).lockBuy(
+        ethers.ZeroAddress, buyer.address, hashedSecret, timeout, VALUE, SELL_ASSET_ID, SELL_PRICE, { value: VALUE }
+      )).wait();
+
+      const buyPermit = await signPermit2(buyer, VALUE, 5n, timeout, ethers.ZeroAddress);
+      await expectCustomError(
+        swap.connect(buyer).lockBuyWithPermit2(
+          ethers.ZeroAddress, seller.address, hashedSecret, timeout, VALUE, SELL_ASSET_ID, SELL_PRICE, buyPermit
+        ),
+        swap,
+        "NativeTokenNotPermitted"
+      );
+      const sellPermit = await signPermit2(buyer, VALUE, 6n, timeout, ethers.ZeroAddress);
+      await expectCustomError(
+        swap.connect(buyer).lockSellWithPermit2(
+          ethers.ZeroAddress, seller.address, hashedSecret, timeout, VALUE, SELL_ASSET_ID, ethers.ZeroHash, sellPermit
+        ),
+        swap,
+        "NativeTokenNotPermitted"
+      );
+
+      const lockId = calculateLockId(ethers.ZeroAddress, buyer.address, seller.address, hashedSecret, timeout);
+      assert.strictEqual(await swap.getLockValue(lockId), 0n);
+      assert.strictEqual(await provider.getBalance(swap.target), VALUE);
+    });
+
+    it("rejects a Permit2 signature from another account", async () => {
+      const permit = await signPermit2(stranger, VALUE, 4n, timeout);
+      await expectCustomError(
+        swap.connect(buyer).lockBuyWithPermit2(
+          token.target, seller.address, hashedSecret, timeout, VALUE, SELL_ASSET_ID, SELL_PRICE, permit
+        ),
+        permit2,
+        "InvalidSigner"
+      );
+    });
+  });
+});
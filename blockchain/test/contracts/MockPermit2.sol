@@ -0,0 +1,71 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.17;
+
+import "../../Permit2.sol";
+
+/**
+ * @dev Signature transfers of Uniswap's Permit2, enough to test against. The
+ * tests install its code at the canonical Permit2 address.
+ */
+contract MockPermit2 is Permit2 {
+
+    bytes32 constant TOKEN_PERMISSIONS_TYPEHASH = keccak256("TokenPermissions(address token,uint256 amount)");
+    bytes32 constant PERMIT_TRANSFER_FROM_TYPEHASH = keccak256("PermitTransferFrom(TokenPermissions permitted,address spender,uint256 nonce,uint256 deadline)TokenPermissions(address token,uint256 amount)");
+
+    /**
+     * @dev Unordered nonces: one bit per nonce, in words of 256.
+     */
+    mapping (address => mapping (uint => uint)) public nonceBitmap;
+
+    error SignatureExpired(uint deadline);
+    error InvalidNonce();
+    error InvalidSigner();
+    error InvalidAmount(uint maxAmount);
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)"),
+            keccak256("Permit2"),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    function permitTransferFrom(
+        PermitTransferFrom memory permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external {
+        if (block.timestamp > permit.deadline) revert SignatureExpired(permit.deadline);
+        if (transferDetails.requestedAmount > permit.permitted.amount) revert InvalidAmount(permit.permitted.amount);
+        _useNonce(owner, permit.nonce);
+
+        bytes32 structHash = keccak256(abi.encode(
+            PERMIT_TRANSFER_FROM_TYPEHASH,
+            keccak256(abi.encode(TOKEN_PERMISSIONS_TYPEHASH, permit.permitted.token, permit.permitted.amount)),
+            msg.sender,
+            permit.nonce,
+            permit.deadline
+        ));
+        if (_recover(keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash)), signature) != owner) revert InvalidSigner();
+
+        (bool success, bytes memory data) = permit.permitted.token.call(abi.encodeWithSignature("transferFrom(address,address,uint256)", owner, transferDetails.to, transferDetails.requestedAmount));
+        require(success && (data.length == 0 || abi.decode(data, (bool))), "TRANSFER_FROM_FAILED");
+    }
+
+    function _useNonce(address owner, uint nonce) internal {
+        uint bit = 1 << (nonce & 0xff);
+        uint flipped = nonceBitmap[owner][nonce >> 8] ^= bit;
+        if (flipped & bit == 0) revert InvalidNonce();
+    }
+
+    function _recover(bytes32 digest, bytes calldata signature) internal pure returns (address signer) {
+        if (signature.length != 65) revert InvalidSigner();
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        signer = ecrecover(digest, v, r, s);
+        if (signer == address(0)) revert InvalidSigner();
+    }
+}
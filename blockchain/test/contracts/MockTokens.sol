@@ -0,0 +1,170 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.17;
+
+/**
+ * @dev Minimal mintable token shared by the mocks below.
+ */
+abstract contract MockTokenBase {
+
+    string public name;
+    string public symbol;
+    uint8 public decimals;
+    uint public totalSupply;
+
+    mapping (address => uint) public balanceOf;
+    mapping (address => mapping (address => uint)) public allowance;
+
+    event Transfer(address indexed _from, address indexed _to, uint _value);
+    event Approval(address indexed _owner, address indexed _spender, uint _value);
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals) {
+        name = _name;
+        symbol = _symbol;
+        decimals = _decimals;
+    }
+
+    function mint(address to, uint value) external {
+        balanceOf[to] += value;
+        totalSupply += value;
+        emit Transfer(address(0), to, value);
+    }
+
+    function approve(address spender, uint value) external returns (bool) {
+        allowance[msg.sender][spender] = value;
+        emit Approval(msg.sender, spender, value);
+        return true;
+    }
+
+    /**
+     * @dev Move value between accounts, taking fee out of the amount received.
+     */
+    function _move(address from, address to, uint value, uint fee) internal {
+        require(balanceOf[from] >= value, "balance");
+        balanceOf[from] -= value;
+        balanceOf[to] += value - fee;
+        totalSupply -= fee;
+        emit Transfer(from, to, value - fee);
+    }
+
+    function _spendAllowance(address from, uint value) internal {
+        require(allowance[from][msg.sender] >= value, "allowance");
+        allowance[from][msg.sender] -= value;
+    }
+}
+
+/**
+ * @dev Standard token that returns a bool from transfer functions.
+ */
+contract MockERC20 is MockTokenBase {
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals)
+        MockTokenBase(_name, _symbol, _decimals) {}
+
+    function transfer(address to, uint value) external returns (bool) {
+        _move(msg.sender, to, value, 0);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint value) external returns (bool) {
+        _spendAllowance(from, value);
+        _move(from, to, value, 0);
+        return true;
+    }
+}
+
+/**
+ * @dev Token whose transfer functions return nothing, like USDT on mainnet.
+ */
+contract NonStandardERC20 is MockTokenBase {
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals)
+        MockTokenBase(_name, _symbol, _decimals) {}
+
+    function transfer(address to, uint value) external {
+        _move(msg.sender, to, value, 0);
+    }
+
+    function transferFrom(address from, address to, uint value) external {
+        _spendAllowance(from, value);
+        _move(from, to, value, 0);
+    }
+}
+
+/**
+ * @dev Token that returns false instead of reverting when a transfer cannot be made.
+ */
+contract FalseReturningERC20 is MockTokenBase {
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals)
+        MockTokenBase(_name, _symbol, _decimals) {}
+
+    function transfer(address to, uint value) external returns (bool) {
+        if (balanceOf[msg.sender] < value) return false;
+        _move(msg.sender, to, value, 0);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint value) external returns (bool) {
+        if (balanceOf[from] < value || allowance[from][msg.sender] < value) return false;
+        _spendAllowance(from, value);
+        _move(from, to, value, 0);
+        return true;
+    }
+}
+
+/**
+ * @dev Token that burns a fee (in basis points) on every transfer.
+ */
+contract FeeOnTransferERC20 is MockTokenBase {
+
+    uint public feeBasisPoints;
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals, uint _feeBasisPoints)
+        MockTokenBase(_name, _symbol, _decimals)
+    {
+        feeBasisPoints = _feeBasisPoints;
+    }
+
+    function transfer(address to, uint value) external returns (bool) {
+        _move(msg.sender, to, value, value * feeBasisPoints / 10000);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint value) external returns (bool) {
+        _spendAllowance(from, value);
+        _move(from, to, value, value * feeBasisPoints / 10000);
+        return true;
+    }
+}
+
+/**
+ * @dev Standard token with EIP-2612 permit.
+ */
+contract MockPermitERC20 is MockERC20 {
+
+    bytes32 constant PERMIT_TYPEHASH = keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    mapping (address => uint) public nonces;
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals)
+        MockERC20(_name, _symbol, _decimals) {}
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256(bytes(name)),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    function permit(address owner, address spender, uint value, uint deadline, uint8 v, bytes32 r, bytes32 s) external {
+        require(block.timestamp <= deadline, "permit expired");
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, nonces[owner]++, deadline));
+        address signer = ecrecover(keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash)), v, r, s);
+        require(signer != address(0) && signer == owner, "permit signer");
+        allowance[owner][spender] = value;
+        emit Approval(owner, spender, value);
+    }
+}
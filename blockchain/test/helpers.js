@@ -0,0 +1,107 @@
+const assert = require("assert");
+const ganache = require("ganache");
+const { ethers } = require("ethers");
+const { compile, contractFiles } = require("../compile");
+
+// Mock tokens are compiled alongside the real contracts
+const testContractFiles = [...contractFiles, "test/contracts/MockTokens.sol", "test/contracts/MockPermit2.sol"];
+
+let compiled = null;
+
+// Compile once per test run. Ganache does not support Cancun opcodes yet.
+function getArtifacts() {
+  if (!compiled) {
+    compiled = compile(testContractFiles, { evmVersion: "shanghai" });
+  }
+  return compiled;
+}
+
+// Start an in-memory chain and return an ethers provider with its funded signers
+async function startChain() {
+  const chain = ganache.provider({
+    logging: { quiet: true },
+    chain: { chainId: 31337, hardfork: "shanghai" },
+    wallet: { totalAccounts: 4 },
+  });
+  // Disable request caching so block timestamps are fresh after time travel
+  const provider = new ethers.BrowserProvider(chain, undefined, { cacheTimeout: -1 });
+  const signers = await Promise.all([0, 1, 2, 3].map(i => provider.getSigner(i)));
+
+  const stop = async () => {
+    provider.destroy();
+    await chain.disconnect();
+  };
+
+  return { provider, signers, stop };
+}
+
+async function deployContract(name, signer, ...args) {
+  const { abi, bytecode } = getArtifacts()[name];
+  const factory = new ethers.ContractFactory(abi, bytecode, signer);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+async function latestTimestamp(provider) {
+  const block = await provider.getBlock("latest");
+  return block.timestamp;
+}
+
+// Move chain time forward and mine a block
+async function increaseTime(provider, seconds) {
+  await provider.send("evm_increaseTime", [seconds]);
+  await provider.send("evm_mine", []);
+}
+
+// Hash a secret the way the contract does: keccak256(abi.encode(secret))
+function hashSecret(secret) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [secret]));
+}
+
+// Intrinsic lockId: keccak256(abi.encode(token, creator, recipient, hashedSecret, timeout))
+function calculateLockId(token, creator, recipient, hashedSecret, timeout) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ["address", "address", "address", "bytes32", "uint256"],
+    [token, creator, recipient, hashedSecret, timeout]
+  ));
+}
+
+// EIP-712 signature by a Ganache account. Ganache expects the typed data as an
+// object, while ethers' signers send it as a JSON string.
+async function signTypedData(signer, domain, types, value) {
+  const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+  return signer.provider.send("eth_signTypedData_v4", [signer.address, payload]);
+}
+
+// Assert that a call reverts with the named custom error of contract
+async function expectCustomError(promise, contract, errorName) {
+  let error;
+  try {
+    await promise;
+  } catch (e) {
+    error = e;
+  }
+  assert.ok(error, `Expected revert with ${errorName}, but the call succeeded`);
+
+  // Ganache reports revert data under info.error.data.result rather than error.data
+  const data = error.data || error.info?.error?.data?.result;
+  assert.ok(typeof data === "string", `Expected revert data for ${errorName}, got: ${error.message}`);
+
+  const decoded = contract.interface.parseError(data);
+  assert.ok(decoded, `Could not decode revert data ${data}`);
+  assert.strictEqual(decoded.name, errorName);
+  return decoded;
+}
+
+module.exports = {
+  getArtifacts,
+  startChain,
+  deployContract,
+  latestTimestamp,
+  increaseTime,
+  hashSecret,
+  calculateLockId,
+  signTypedData,
+  expectCustomError,
+};
@@ -1,4 +1,10 @@
+import "./scripts/local-deployments.mjs";
+
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  env: {
+    LOCAL_DEPLOYMENTS: process.env.LOCAL_DEPLOYMENTS || "",
+  },
+};
 
 export default nextConfig;
@@ -0,0 +1,148 @@
+// Server-side event indexer. Walks the swap contract's events with the same
+// indexer the browser uses (src/lib/event-indexer.js) and stores them in SQLite,
+// where the /api routes serve them from.
+// Must come first: networks.js reads the local devnet deployments it loads
+import "./local-deployments.mjs";
+import { ethers } from "ethers";
+import { syncEvents } from "../src/lib/event-indexer.js";
+import { getNetwork, supportedChainIds } from "../src/lib/networks.js";
+import { swapAbi } from "../src/lib/contractrefs.js";
+import { openEventDatabase, createSqliteStore, closeEventDatabases } from "../src/lib/server/event-db.js";
+
+const usage = `Usage: npm run indexer -- [--chain <chainId>] [--rpc-url <url>] [--db <path>] [--interval <seconds>] [--once]
+
+  --chain     Chain to index; repeat for several (env INDEXER_CHAIN_IDS, comma
+              separated). Defaults to every chain in contracts/AtomicSwapERC20-address.json.
+  --rpc-url   RPC endpoint, only with a single --chain (env RPC_URL). Defaults
+              to the chain's first RPC URL in src/lib/networks.js.
+  --db        SQLite file (env EVENT_DB_PATH, default data/events.sqlite)
+  --interval  Seconds between syncs (default 15)
+  --once      Sync once and exit`;
+
+// Parse command line arguments, falling back to environment variables
+function parseArgs(argv) {
+  const options = {
+    chainIds: process.env.INDEXER_CHAIN_IDS
+      ? process.env.INDEXER_CHAIN_IDS.split(",").map(Number)
+      : [],
+    rpcUrl: process.env.RPC_URL || null,
+    interval: 15,
+    once: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--chain":
+        options.chainIds.push(Number(argv[++i]));
+        break;
+      case "--rpc-url":
+        options.rpcUrl = argv[++i];
+        break;
+      case "--db":
+        // Read by openEventDatabase
+        process.env.EVENT_DB_PATH = argv[++i];
+        break;
+      case "--interval":
+        options.interval = Number(argv[++i]);
+        break;
+      case "--once":
+        options.once = true;
+        break;
+      case "--help":
+      case "-h":
+        console.log(usage);
+        process.exit(0);
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        console.error(usage);
+        process.exit(1);
+    }
+  }
+
+  if (options.chainIds.length === 0) {
+    options.chainIds = supportedChainIds;
+  }
+  if (options.rpcUrl && options.chainIds.length !== 1) {
+    console.error("--rpc-url needs exactly one --chain");
+    process.exit(1);
+  }
+  if (!Number.isFinite(options.interval) || options.interval <= 0) {
+    console.error("--interval must be a positive number of seconds");
+    process.exit(1);
+  }
+
+  return options;
+}
+
+// Contract and provider for each chain to index
+function createTargets(options) {
+  return options.chainIds.map((chainId) => {
+    const network = getNetwork(chainId);
+    if (!network) {
+      console.error(`The swap contract is not deployed on chain ${chainId}`);
+      process.exit(1);
+    }
+
+    const rpcUrl = options.rpcUrl || network.rpcUrls[0];
+    if (!rpcUrl) {
+      console.error(`No RPC URL for chain ${chainId}, pass one with --rpc-url`);
+      process.exit(1);
+    }
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl, network.chainId, { staticNetwork: true });
+    return {
+      network,
+      provider,
+      contract: new ethers.Contract(network.address, swapAbi, provider),
+    };
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const targets = createTargets(options);
+  const store = createSqliteStore(openEventDatabase());
+
+  // Ctrl-C finishes the current sync, then exits instead of waiting out the interval
+  let stopping = false;
+  let wake = null;
+  const stop = () => {
+    stopping = true;
+    wake?.();
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  while (!stopping) {
+    for (const { network, provider, contract } of targets) {
+      try {
+        const events = await syncEvents(contract, provider, {
+          chainId: network.chainId,
+          deploymentBlock: network.deploymentBlock,
+          store,
+        });
+        console.log(`[${network.name}] ${events.length} events indexed`);
+      } catch (error) {
+        // Keep serving the last indexed state and retry on the next round
+        console.error(`[${network.name}] Sync failed:`, error.message);
+      }
+    }
+
+    if (options.once || stopping) break;
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, options.interval * 1000);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  targets.forEach(({ provider }) => provider.destroy());
+  closeEventDatabases();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,11 @@
+// Deployments to local devnets (blockchain/devnet.js) are recorded in the
+// git-ignored contracts/AtomicSwapERC20-address.local.json. They reach
+// src/lib/networks.js through the LOCAL_DEPLOYMENTS environment variable, set
+// here for Node scripts and passed on to the app by next.config.mjs.
+import fs from "fs";
+
+const localDeploymentsPath = new URL("../contracts/AtomicSwapERC20-address.local.json", import.meta.url);
+
+if (!process.env.LOCAL_DEPLOYMENTS && fs.existsSync(localDeploymentsPath)) {
+  process.env.LOCAL_DEPLOYMENTS = fs.readFileSync(localDeploymentsPath, "utf8");
+}
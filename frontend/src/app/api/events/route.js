@@ -0,0 +1,13 @@
+import { withEventIndex, jsonError } from '@/lib/server/api';
+import { getEvents } from '@/lib/server/event-db';
+
+// GET /api/events?chainId=&fromBlock= - every indexed event of the swap contract
+export async function GET(request) {
+  return withEventIndex(request, ({ db, network, searchParams }) => {
+    const fromBlock = Number(searchParams.get('fromBlock') ?? 0);
+    if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+      return jsonError(400, "fromBlock must be a block number");
+    }
+    return { events: getEvents(db, network.chainId, network.address, { fromBlock }) };
+  });
+}
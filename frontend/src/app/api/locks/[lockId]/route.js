@@ -0,0 +1,25 @@
+import { ethers } from 'ethers';
+import { withEventIndex, jsonError } from '@/lib/server/api';
+import { findLockHashedSecret, getSwapEvents } from '@/lib/server/event-db';
+import { buildSwaps, findLock } from '@/lib/swaps';
+
+// GET /api/locks/:lockId?chainId= - a lock and the swap it belongs to
+export async function GET(request, { params }) {
+  const { lockId } = await params;
+
+  return withEventIndex(request, ({ db, network }) => {
+    if (!ethers.isHexString(lockId, 32)) {
+      return jsonError(400, "lockId must be a 32-byte hex string");
+    }
+
+    const hashedSecret = findLockHashedSecret(db, network.chainId, network.address, lockId);
+    const swaps = hashedSecret ? buildSwaps(getSwapEvents(db, network.chainId, network.address, hashedSecret)) : [];
+    const lock = findLock(swaps, lockId);
+    if (!lock) {
+      return jsonError(404, `Lock ${lockId} not found`);
+    }
+
+    const swap = swaps.find(candidate => candidate.buyLock === lock || candidate.sellLock === lock);
+    return { lock, swap };
+  });
+}
@@ -0,0 +1,22 @@
+import { ethers } from 'ethers';
+import { withEventIndex, jsonError } from '@/lib/server/api';
+import { getAccountEvents } from '@/lib/server/event-db';
+import { buildSwaps } from '@/lib/swaps';
+
+// GET /api/locks?account=&chainId= - locks the account created or is the recipient of
+export async function GET(request) {
+  return withEventIndex(request, ({ db, network, searchParams }) => {
+    const account = searchParams.get('account');
+    if (!account || !ethers.isAddress(account)) {
+      return jsonError(400, "account must be an address");
+    }
+
+    const normalized = account.toLowerCase();
+    const swaps = buildSwaps(getAccountEvents(db, network.chainId, network.address, account));
+    const locks = swaps.flatMap(swap => [swap.buyLock, swap.sellLock]
+      .filter(leg => leg && (leg.creator.toLowerCase() === normalized || leg.recipient.toLowerCase() === normalized))
+      .map(leg => ({ ...leg, swapId: swap.id, swapState: swap.state })));
+
+    return { account, locks };
+  });
+}
@@ -0,0 +1,22 @@
+import { ethers } from 'ethers';
+import { withEventIndex, jsonError } from '@/lib/server/api';
+import { getSwapEvents } from '@/lib/server/event-db';
+import { buildSwaps } from '@/lib/swaps';
+
+// GET /api/swaps/:hashedSecret?chainId= - the swaps locked under a hashedSecret
+// (normally one; more only if a secret was reused)
+export async function GET(request, { params }) {
+  const { hashedSecret } = await params;
+
+  return withEventIndex(request, ({ db, network }) => {
+    if (!ethers.isHexString(hashedSecret, 32)) {
+      return jsonError(400, "hashedSecret must be a 32-byte hex string");
+    }
+
+    const swaps = buildSwaps(getSwapEvents(db, network.chainId, network.address, hashedSecret));
+    if (swaps.length === 0) {
+      return jsonError(404, `No swap found for hashedSecret ${hashedSecret}`);
+    }
+    return { hashedSecret, swaps };
+  });
+}
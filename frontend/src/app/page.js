@@ -1,6 +1,8 @@
 import Link from "next/link";
 import { Button } from "@/components/ui/button";
 import {swapAddress} from "../lib/contractrefs"
+import { defaultNetwork, networks } from "../lib/networks"
+import NetworkOverview from "@/components/swap/NetworkOverview";
 export default function Home() {
   return (
     <div className="min-h-screen flex flex-col items-center justify-center p-8 text-center">
@@ -38,6 +40,11 @@ export default function Home() {
           </div>
         </div>
         
+        <div className="mb-12">
+          <h2 className="text-xl font-semibold mb-4">Live Activity</h2>
+          <NetworkOverview />
+        </div>
+        
         <div className="flex justify-center">
           <Link href="/swap">
             <Button size="lg" className="text-lg px-8 py-6 h-auto">
@@ -48,8 +55,8 @@ export default function Home() {
       </main>
       
       <footer className="mt-16 text-gray-500 text-sm">
-        <p>Running on Sepolia Testnet</p>
-        <p className="mt-2">Contract address : {swapAddress}</p>
+        <p>Running on {Object.values(networks).map(network => network.name).join(", ")}</p>
+        <p className="mt-2">Contract address ({defaultNetwork?.name}) : {swapAddress}</p>
       </footer>
     </div>
   );
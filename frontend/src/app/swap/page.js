@@ -2,6 +2,10 @@ import { ClientProviders } from "@/components/providers/ClientProviders";
 import WalletConnect from "@/components/swap/WalletConnect";
 import SwapTabs from "@/components/swap/SwapTabs";
 import EventsList from "@/components/swap/EventsList";
+import SecretVault from "@/components/swap/SecretVault";
+import TransactionActivity from "@/components/swap/TransactionActivity";
+import ApprovalsManager from "@/components/swap/ApprovalsManager";
+import CrossChainSwaps from "@/components/swap/CrossChainSwaps";
 
 export default function SwapPage() {
   return (
@@ -9,15 +13,21 @@ export default function SwapPage() {
       <div className="min-h-screen p-4 md:p-8">
         <header className="flex justify-between items-center mb-8">
           <h1 className="text-2xl font-bold">P2P Token Swap</h1>
-          <WalletConnect />
+          <div className="flex items-center gap-3">
+            <TransactionActivity />
+            <WalletConnect />
+          </div>
         </header>
 
         <main className="container mx-auto max-w-7xl">
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
             <div>
               <SwapTabs />
+              <SecretVault />
+              <ApprovalsManager />
             </div>
             <div>
+              <CrossChainSwaps />
               <EventsList />
             </div>
           </div>
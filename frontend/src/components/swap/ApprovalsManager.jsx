@@ -0,0 +1,172 @@
+"use client";
+
+import { useState } from 'react';
+import { ethers } from 'ethers';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useBlockchain } from '@/lib/blockchain-context';
+import { useTokensMetadata } from '@/lib/use-token-metadata';
+import { useSwapAllowances } from '@/lib/use-allowances';
+import { formatTokenAmount, isNativeToken } from '@/lib/token-metadata';
+import { getKnownAssets, ASSET_KINDS } from '@/lib/assets';
+import {
+  APPROVAL_STRATEGIES,
+  APPROVAL_STRATEGY_LABELS,
+  DEFAULT_APPROVAL_STRATEGY,
+  loadApprovalStrategies,
+  setApprovalStrategy,
+  isUnlimitedAllowance,
+} from '@/lib/approvals';
+
+const shortAddress = (address) => `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+
+// Approval strategy and current allowance of the swap contract, per token
+const ApprovalsManager = () => {
+  const { account, chainId, events, isConnected, setSwapAllowance } = useBlockchain();
+  const [addedTokens, setAddedTokens] = useState([]);
+  const [newToken, setNewToken] = useState('');
+  // Saved strategies, keyed by "<chainId>:<token>"
+  const [strategies, setStrategies] = useState(loadApprovalStrategies);
+  const [revoking, setRevoking] = useState(null);
+
+  // Tokens the account has locked, token assets and saved strategies on this chain,
+  // and added tokens. Native currency needs no approval.
+  const strategyPrefix = `${Number(chainId)}:`;
+  const tokens = [...new Set([
+    ...events
+      .filter(event => account && event.creator?.toLowerCase() === account.toLowerCase())
+      .map(event => event.token),
+    ...getKnownAssets()
+      .filter(asset => asset.kind === ASSET_KINDS.TOKEN && asset.chainId === Number(chainId))
+      .map(asset => asset.token),
+    ...Object.keys(strategies)
+      .filter(key => key.startsWith(strategyPrefix))
+      .map(key => key.substring(strategyPrefix.length)),
+    ...addedTokens,
+  ].filter(token => token && !isNativeToken(token)).map(token => token.toLowerCase()))].sort();
+  const metadataByToken = useTokensMetadata(tokens);
+  const { allowances, refresh: refreshAllowances } = useSwapAllowances(tokens);
+
+  const getStrategy = (token) => strategies[`${strategyPrefix}${token}`] || DEFAULT_APPROVAL_STRATEGY;
+
+  const handleStrategyChange = (token, strategy) => {
+    setApprovalStrategy(chainId, token, strategy);
+    setStrategies(loadApprovalStrategies());
+  };
+
+  const handleRevoke = async (token) => {
+    setRevoking(token);
+    try {
+      await setSwapAllowance(token, 0n);
+    } catch (error) {
+      // Already shown in a toast
+      console.error("Error revoking approval:", error);
+    } finally {
+      setRevoking(null);
+      refreshAllowances();
+    }
+  };
+
+  const handleAddToken = (e) => {
+    e.preventDefault();
+    if (!ethers.isAddress(newToken)) {
+      alert("Please enter a valid token address");
+      return;
+    }
+    if (isNativeToken(newToken)) {
+      alert("Native currency is sent with each lock and needs no approval");
+      return;
+    }
+    setAddedTokens(prev => [...prev, newToken.toLowerCase()]);
+    setNewToken('');
+  };
+
+  const formatAllowance = (token) => {
+    const allowance = allowances[token];
+    if (allowance === undefined) return 'Loading...';
+    if (allowance === null) return 'Unavailable';
+    if (allowance === 0n) return 'None';
+    if (isUnlimitedAllowance(allowance)) return 'Unlimited';
+    const metadata = metadataByToken[token];
+    return metadata
+      ? `${formatTokenAmount(allowance, metadata.decimals)} ${metadata.symbol}`
+      : `${allowance.toString()} base units`;
+  };
+
+  if (!isConnected) return null;
+
+  return (
+    <Card className="w-full max-w-lg mx-auto mt-4">
+      <CardHeader>
+        <CardTitle>Token Approvals</CardTitle>
+        <CardDescription>
+          Choose how much the swap contract is approved for when you lock a token. Unlimited approves once, so later locks need no approval.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {tokens.length === 0 && (
+          <p className="text-sm text-gray-500">No tokens yet. Tokens you lock appear here.</p>
+        )}
+
+        {tokens.map(token => {
+          const strategy = getStrategy(token);
+          const allowance = allowances[token];
+          const metadata = metadataByToken[token];
+          return (
+            <div key={token} className="p-3 border rounded-md space-y-2 text-sm">
+              <div className="flex justify-between items-center">
+                <span className="font-medium">{metadata?.symbol || 'Token'}</span>
+                <span className="font-mono text-xs text-gray-500" title={token}>{shortAddress(token)}</span>
+              </div>
+              <p>Current allowance: {formatAllowance(token)}</p>
+              <div className="flex items-center justify-between gap-2">
+                <select
+                  aria-label="Approval strategy"
+                  className="border rounded-md px-2 py-1 text-sm bg-white"
+                  value={strategy}
+                  onChange={(e) => handleStrategyChange(token, e.target.value)}
+                >
+                  {Object.values(APPROVAL_STRATEGIES).map(value => (
+                    <option key={value} value={value}>{APPROVAL_STRATEGY_LABELS[value]}</option>
+                  ))}
+                </select>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleRevoke(token)}
+                  disabled={!allowance || revoking === token}
+                >
+                  {revoking === token ? 'Revoking...' : 'Revoke'}
+                </Button>
+              </div>
+              {strategy === APPROVAL_STRATEGIES.EXACT && typeof allowance === 'bigint' && isUnlimitedAllowance(allowance) && (
+                <p className="text-xs text-yellow-600">
+                  An unlimited approval is still in place. Revoke it to stop the swap contract from spending this token.
+                </p>
+              )}
+            </div>
+          );
+        })}
+
+        <form onSubmit={handleAddToken} className="space-y-2">
+          <Label htmlFor="approvalToken">Add a token</Label>
+          <div className="flex gap-2">
+            <Input
+              id="approvalToken"
+              placeholder="0x..."
+              value={newToken}
+              onChange={(e) => setNewToken(e.target.value)}
+            />
+            <Button type="submit" variant="outline">Add</Button>
+          </div>
+        </form>
+
+        <Button variant="ghost" size="sm" onClick={refreshAllowances}>Refresh allowances</Button>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ApprovalsManager;
@@ -0,0 +1,34 @@
+"use client";
+
+import { useAssetResolver } from '@/lib/use-assets';
+
+const formatShort = (value) => `${value.substring(0, 6)}...${value.substring(value.length - 4)}`;
+
+// Round badge with the asset's symbol
+export const AssetIcon = ({ asset }) => (
+  <span
+    className="inline-flex items-center justify-center h-5 min-w-[1.25rem] px-1 rounded-full text-[10px] font-bold text-white font-sans"
+    style={{ backgroundColor: asset.color }}
+  >
+    {asset.symbol.substring(0, 4)}
+  </span>
+);
+
+// Icon and label of an asset ID, or the shortened hash if it isn't known
+const AssetBadge = ({ assetId }) => {
+  const resolveAsset = useAssetResolver();
+  if (!assetId) return null;
+
+  const asset = resolveAsset(assetId);
+  if (!asset) {
+    return <span className="font-mono" title={assetId}>{formatShort(assetId)}</span>;
+  }
+  return (
+    <span className="inline-flex items-center gap-1 font-sans" title={assetId}>
+      <AssetIcon asset={asset} />
+      {asset.label}
+    </span>
+  );
+};
+
+export default AssetBadge;
@@ -0,0 +1,81 @@
+"use client";
+
+import { useState } from 'react';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { parseAssetInput, searchAssets } from '@/lib/assets';
+import { useAssetResolver } from '@/lib/use-assets';
+import { AssetIcon } from './AssetBadge';
+
+// Asset ID field with autocomplete over the asset registry. Accepts a known
+// symbol, "<chainId>:<token address>", free text or a raw bytes32 asset ID.
+const AssetPicker = ({ id, label, value, onChange, required = false }) => {
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const resolveAsset = useAssetResolver();
+
+  let assetId = null;
+  try {
+    assetId = parseAssetInput(value);
+  } catch (error) {
+    // Incomplete token address, e.g. a bad checksum while typing
+  }
+  const asset = assetId ? resolveAsset(assetId) : null;
+  const suggestions = showSuggestions ? searchAssets(value) : [];
+
+  return (
+    <div className="space-y-2">
+      <Label htmlFor={id}>{label}</Label>
+      <div className="relative">
+        <Input
+          id={id}
+          placeholder="BTC, <chainId>:<token address> or 0x asset ID"
+          value={value}
+          autoComplete="off"
+          onChange={(e) => {
+            onChange(e.target.value);
+            setShowSuggestions(true);
+          }}
+          onFocus={() => setShowSuggestions(true)}
+          onBlur={() => setShowSuggestions(false)}
+          required={required}
+        />
+        {suggestions.length > 0 && (
+          <div className="absolute z-10 mt-1 w-full rounded-md border bg-white shadow-md">
+            {suggestions.map(suggestion => (
+              <button
+                key={suggestion.id}
+                type="button"
+                className="flex w-full items-center gap-2 px-3 py-2 text-left text-sm hover:bg-gray-100"
+                // mousedown fires before the input's blur hides the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  onChange(suggestion.id);
+                  setShowSuggestions(false);
+                }}
+              >
+                <AssetIcon asset={suggestion} />
+                <span>{suggestion.label}</span>
+                <span className="ml-auto text-xs text-gray-500">{suggestion.symbol}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {assetId && (
+        <p className="flex items-center gap-1 text-xs text-gray-500">
+          {asset ? (
+            <>
+              <AssetIcon asset={asset} />
+              <span>{asset.label}</span>
+            </>
+          ) : (
+            <span>Unregistered asset</span>
+          )}
+          <span className="font-mono break-all">{assetId}</span>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AssetPicker;
@@ -0,0 +1,222 @@
+"use client";
+
+import { useEffect, useRef, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/components/ui/use-toast';
+import { useBlockchain } from '@/lib/blockchain-context';
+import { useCrossChainSwaps } from '@/lib/use-cross-chain-swaps';
+import { useVaultSecret } from '@/lib/use-secret-vault';
+import { COORDINATOR_ACTIONS, getCoordinatorAction } from '@/lib/cross-chain';
+import { SWAP_STATE_LABELS, LEG_STATUS_LABELS } from '@/lib/swaps';
+import { getNetwork, supportedChainIds } from '@/lib/networks';
+import { getReadProvider } from '@/lib/read-providers';
+import { getCachedTokenMetadata, getTokenMetadata, formatTokenAmount } from '@/lib/token-metadata';
+import { formatTimeout } from '@/lib/timeouts';
+
+const chainName = (chainId) => getNetwork(chainId)?.name || `Chain ${chainId}`;
+
+const ACTION_LABELS = {
+  [COORDINATOR_ACTIONS.REVEAL]: 'Unlock and reveal the secret',
+  [COORDINATOR_ACTIONS.CLAIM]: 'Claim with the revealed secret',
+  [COORDINATOR_ACTIONS.RETRIEVE]: 'Retrieve your lock',
+};
+
+// Metadata of the tokens locked on each chain, keyed by "<chainId>:<token>"
+function useLegMetadata(legs) {
+  const [metadataByLeg, setMetadataByLeg] = useState({});
+  const legsKey = [...new Set(legs.map(leg => `${leg.chainId}:${leg.token.toLowerCase()}`))].sort().join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    (legsKey ? legsKey.split(',') : []).forEach(key => {
+      const [chainId, token] = key.split(':');
+      const cached = getCachedTokenMetadata(Number(chainId), token);
+      if (cached) {
+        setMetadataByLeg(prev => ({ ...prev, [key]: cached }));
+        return;
+      }
+      const provider = getReadProvider(chainId);
+      if (!provider) return;
+      getTokenMetadata(provider, Number(chainId), token)
+        .then(metadata => {
+          if (!cancelled) setMetadataByLeg(prev => ({ ...prev, [key]: metadata }));
+        })
+        .catch(error => {
+          console.error(`Error loading metadata for token ${token} on chain ${chainId}:`, error);
+        });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [legsKey]);
+
+  return metadataByLeg;
+}
+
+const LegRow = ({ label, leg, metadata }) => (
+  <div className="flex justify-between gap-2">
+    <span>
+      {label} on <span className="font-medium">{chainName(leg.chainId)}</span>:{' '}
+      {metadata ? `${formatTokenAmount(leg.value, metadata.decimals)} ${metadata.symbol}` : `${leg.value} (raw units)`}
+    </span>
+    <span className="text-xs text-gray-600 whitespace-nowrap" title={`Times out ${formatTimeout(leg.timeout)}`}>
+      {LEG_STATUS_LABELS[leg.status]}
+    </span>
+  </div>
+);
+
+const CrossChainSwapRow = ({ swap, chainTimes, metadataByLeg, onAction, busy }) => {
+  const { account, chainId } = useBlockchain();
+  // The buyer's own secret, needed to reveal it on the seller's chain
+  const vaultEntry = useVaultSecret(swap.hashedSecret);
+  const action = getCoordinatorAction(swap, account, chainTimes, vaultEntry?.secret);
+  const metadataFor = (leg) => metadataByLeg[`${leg.chainId}:${leg.token.toLowerCase()}`];
+  const onActionChain = action.chainId === Number(chainId);
+
+  return (
+    <div className="p-3 border rounded-md space-y-2 text-sm">
+      <div className="flex justify-between items-center">
+        <span className="font-medium">{chainName(swap.buyLock.chainId)} ↔ {chainName(swap.sellLock.chainId)}</span>
+        <span className="text-xs font-medium text-gray-700">{SWAP_STATE_LABELS[swap.state]}</span>
+      </div>
+      <LegRow label="Buy lock" leg={swap.buyLock} metadata={metadataFor(swap.buyLock)} />
+      <LegRow label="Sell lock" leg={swap.sellLock} metadata={metadataFor(swap.sellLock)} />
+
+      {action.type === COORDINATOR_ACTIONS.WAIT && (
+        <p className="text-xs text-gray-500">
+          Waiting for your counterparty. Your lock on {chainName(action.chainId)} can be retrieved after {formatTimeout(action.leg.timeout)}.
+        </p>
+      )}
+      {action.type === COORDINATOR_ACTIONS.REVEAL && !action.secret && (
+        <p className="text-xs text-yellow-600">
+          The secret for this swap is not in your vault. Unlock the vault, or unlock the sell lock from the Unlock tab on {chainName(action.chainId)}.
+        </p>
+      )}
+      {ACTION_LABELS[action.type] && (action.type !== COORDINATOR_ACTIONS.REVEAL || action.secret) && (
+        onActionChain ? (
+          <Button size="sm" className="w-full" onClick={() => onAction(action)} disabled={busy}>
+            {busy ? 'Submitting...' : `${ACTION_LABELS[action.type]} on ${chainName(action.chainId)}`}
+          </Button>
+        ) : (
+          <Button size="sm" variant="outline" className="w-full" onClick={() => onAction(action)}>
+            Switch to {chainName(action.chainId)} to {ACTION_LABELS[action.type].toLowerCase()}
+          </Button>
+        )
+      )}
+    </div>
+  );
+};
+
+// Coordinates swaps whose buy and sell locks are on different chains. Every
+// registered chain is watched through its own RPC, so the secret revealed on
+// one chain is seen even while the wallet is on the other. Each step is sent
+// from the wallet, after switching it to the chain the step is on.
+const CrossChainSwaps = () => {
+  const { account, chainId, isConnected, unlock, retrieve, switchToCorrectNetwork } = useBlockchain();
+  const { swaps, chainTimes, errors, refresh } = useCrossChainSwaps();
+  const metadataByLeg = useLegMetadata(swaps.flatMap(swap => [swap.buyLock, swap.sellLock]));
+  const { toast } = useToast();
+  const [autoClaim, setAutoClaim] = useState(false);
+  const [busySwap, setBusySwap] = useState(null);
+  // Swaps already notified about or auto-claimed, so each happens once
+  const notifiedRef = useRef(new Set());
+  const autoClaimedRef = useRef(new Set());
+
+  const runAction = async (swap, action) => {
+    if (action.chainId !== Number(chainId)) {
+      await switchToCorrectNetwork(action.chainId);
+      return;
+    }
+
+    const { leg } = action;
+    setBusySwap(swap.id);
+    try {
+      if (action.type === COORDINATOR_ACTIONS.RETRIEVE) {
+        await retrieve(leg.token, leg.recipient, leg.hashedSecret, leg.timeout);
+      } else {
+        await unlock(leg.token, leg.creator, action.secret, leg.timeout);
+      }
+    } catch (error) {
+      // Already shown in a toast
+      console.error(`Error in cross-chain ${action.type}:`, error);
+    } finally {
+      setBusySwap(null);
+      refresh();
+    }
+  };
+
+  // Once the buyer reveals the secret, the seller's claim is due: notify, and
+  // claim right away if auto-claim is on and the wallet is on the right chain
+  const claims = swaps
+    .map(swap => ({ swap, action: getCoordinatorAction(swap, account, chainTimes) }))
+    .filter(({ action }) => action.type === COORDINATOR_ACTIONS.CLAIM);
+  const claimsKey = claims.map(({ swap }) => swap.id).join(',');
+  const latestRef = useRef({ claims, runAction });
+
+  useEffect(() => {
+    latestRef.current = { claims, runAction };
+  });
+
+  useEffect(() => {
+    const latest = latestRef.current;
+    latest.claims.forEach(({ swap, action }) => {
+      if (!notifiedRef.current.has(swap.id)) {
+        notifiedRef.current.add(swap.id);
+        toast({
+          title: "Secret Revealed",
+          description: `Your counterparty revealed the secret on ${chainName(swap.sellLock.chainId)}. Claim the buy lock on ${chainName(action.chainId)} before it times out.`,
+        });
+      }
+      if (autoClaim && action.chainId === Number(chainId) && !autoClaimedRef.current.has(swap.id)) {
+        autoClaimedRef.current.add(swap.id);
+        latest.runAction(swap, action);
+      }
+    });
+  }, [claimsKey, autoClaim, chainId, toast]);
+
+  if (!isConnected || supportedChainIds.length < 2) return null;
+
+  const syncErrors = Object.entries(errors).filter(([, error]) => error);
+
+  return (
+    <Card className="w-full mb-8">
+      <CardHeader>
+        <CardTitle>Cross-Chain Swaps</CardTitle>
+        <CardDescription>
+          Swaps with the buy lock on one chain and the sell lock on another. Both chains are watched, so you can act on whichever chain the next step is on.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={autoClaim} onChange={(e) => setAutoClaim(e.target.checked)} />
+          Claim automatically when the secret is revealed and the wallet is on the right chain
+        </label>
+
+        {syncErrors.map(([errorChainId, error]) => (
+          <p key={errorChainId} className="text-xs text-red-600">
+            Cannot reach {chainName(errorChainId)}: {error}
+          </p>
+        ))}
+
+        {swaps.length === 0 ? (
+          <p className="text-sm text-gray-500">No cross-chain swaps yet.</p>
+        ) : swaps.map(swap => (
+          <CrossChainSwapRow
+            key={swap.id}
+            swap={swap}
+            chainTimes={chainTimes}
+            metadataByLeg={metadataByLeg}
+            onAction={(action) => runAction(swap, action)}
+            busy={busySwap === swap.id}
+          />
+        ))}
+
+        <Button variant="ghost" size="sm" onClick={refresh}>Refresh</Button>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CrossChainSwaps;
@@ -5,21 +5,34 @@ import { Card, CardHeader, CardTitle, CardContent, CardFooter } from '@/componen
 import { Button } from '@/components/ui/button';
 import { RefreshCw, Copy, CheckCircle2, Unlock as UnlockIcon, X as XIcon, User, UserPlus } from 'lucide-react';
 import { useEffect, useState } from 'react';
+import LockVerifier from './LockVerifier';
+import AssetBadge from './AssetBadge';
+import { useTokensMetadata } from '@/lib/use-token-metadata';
+import { formatTokenAmount, isNativeToken } from '@/lib/token-metadata';
+import { getSecret } from '@/lib/secret-vault';
+import { useAccountSwaps } from '@/lib/use-account-swaps';
+import { SWAP_STATES, SWAP_STATE_LABELS, LEG_STATUS, LEG_STATUS_LABELS } from '@/lib/swaps';
 
 const EventsList = () => {
-  const { events, account, isConnected, refreshEvents, unlock, decline } = useBlockchain();
+  const { events, indexingProgress, swaps, counterUnlocks, claimCounterUnlock, account, isConnected, readOnly, network, swapContract, refreshEvents, unlock, decline } = useBlockchain();
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [copiedField, setCopiedField] = useState(null);
   const [unlockingEvent, setUnlockingEvent] = useState(null);
   const [unlockSecret, setUnlockSecret] = useState('');
   const [unlockStatus, setUnlockStatus] = useState(null);
+  const [unlockSecretSource, setUnlockSecretSource] = useState(null);
   const [decliningEvent, setDecliningEvent] = useState(null);
   const [declineStatus, setDeclineStatus] = useState(null);
+  const [claimingLockId, setClaimingLockId] = useState(null);
 
-  // Filter events to show both where the user is recipient or creator
-  const userEvents = events.filter(event => 
-    (event.recipient && event.recipient.toLowerCase() === account?.toLowerCase()) ||
-    (event.creator && event.creator.toLowerCase() === account?.toLowerCase())
+  // Swaps where the user is creator or recipient of either leg. Without a
+  // wallet, every swap on the network is browsable.
+  const accountSwaps = useAccountSwaps();
+  const userSwaps = readOnly ? swaps : accountSwaps;
+
+  // Decimals and symbols for every token in the user's swaps
+  const tokenMetadata = useTokensMetadata(
+    userSwaps.flatMap(swap => [swap.buyLock?.token, swap.sellLock?.token])
   );
 
   // Refresh when account changes
@@ -32,14 +45,14 @@ const EventsList = () => {
   // Add debugging info
   useEffect(() => {
     console.log('EventsList - All events:', events.length);
-    console.log('EventsList - User events:', userEvents.length);
+    console.log('EventsList - User swaps:', userSwaps.length);
     console.log('EventsList - Current account:', account);
-  }, [events, userEvents, account]);
+  }, [events, userSwaps, account]);
   
   // Function to handle manual refresh
   const handleRefresh = async () => {
-    if (!isConnected) {
-      console.log("Cannot refresh events - not connected");
+    if (!swapContract) {
+      console.log("Cannot refresh events - no contract on this network");
       return;
     }
     
@@ -78,17 +91,20 @@ const EventsList = () => {
     return `${hash.substring(0, 6)}...${hash.substring(hash.length - 4)}`;
   };
 
-  // Format value by dividing by 1000000
-  const formatValue = (value) => {
+  // Native currency locks show the currency; token locks the token address
+  const formatToken = (token) => {
+    if (!isNativeToken(token)) return formatHash(token);
+    return `${tokenMetadata[token.toLowerCase()]?.symbol || 'ETH'} (native)`;
+  };
+
+  // Format a base-unit value with the token's decimals and symbol.
+  // Falls back to raw units until the token metadata has loaded.
+  const formatValue = (value, token) => {
     if (!value) return '0';
+    const metadata = token ? tokenMetadata[token.toLowerCase()] : null;
+    if (!metadata) return `${value} (raw units)`;
     try {
-      const numValue = BigInt(value);
-      // Format with 6 decimal places
-      const intPart = numValue / BigInt(1000000);
-      const fracPart = numValue % BigInt(1000000);
-      // Pad with leading zeros
-      const fracString = fracPart.toString().padStart(6, '0');
-      return `${intPart}.${fracString}`;
+      return `${formatTokenAmount(value, metadata.decimals)} ${metadata.symbol}`;
     } catch (error) {
       console.error("Error formatting value:", error);
       return value;
@@ -100,6 +116,32 @@ const EventsList = () => {
     return new Date(timestamp).toLocaleString();
   };
 
+  // Format a lock timeout (unix seconds), flagging ones that have passed
+  const formatDeadline = (timeout) => {
+    const date = new Date(Number(timeout) * 1000).toLocaleString();
+    return Number(timeout) * 1000 < Date.now() ? `${date} (expired)` : date;
+  };
+
+  // Get badge color by swap state
+  const getStateColor = (state) => {
+    switch (state) {
+      case SWAP_STATES.AWAITING_COUNTER_LOCK:
+        return 'bg-blue-100 text-blue-800';
+      case SWAP_STATES.BOTH_LOCKED:
+        return 'bg-green-100 text-green-800';
+      case SWAP_STATES.SECRET_REVEALED:
+        return 'bg-purple-100 text-purple-800';
+      case SWAP_STATES.COMPLETED:
+        return 'bg-gray-100 text-gray-800';
+      case SWAP_STATES.REFUNDED:
+        return 'bg-yellow-100 text-yellow-800';
+      case SWAP_STATES.DECLINED:
+        return 'bg-red-100 text-red-800';
+      default:
+        return 'bg-gray-100 text-gray-800';
+    }
+  };
+
   // Get event color by type
   const getEventColor = (type) => {
     switch (type) {
@@ -118,13 +160,39 @@ const EventsList = () => {
     }
   };
 
-  // Handle unlock event
-  const handleUnlock = async (event) => {
+  // Handle unlock event, pre-filling the secret when it is already public or in the vault
+  const handleUnlock = async (event, knownSecret = null) => {
     if (!event || !isConnected) return;
     
     setUnlockingEvent(event);
-    setUnlockSecret('');
+    setUnlockSecret(knownSecret || '');
+    setUnlockSecretSource(knownSecret ? 'chain' : null);
     setUnlockStatus(null);
+
+    if (!knownSecret) {
+      try {
+        const entry = await getSecret(event.hashedSecret);
+        if (entry) {
+          setUnlockSecret(current => current || entry.secret);
+          setUnlockSecretSource('vault');
+        }
+      } catch (error) {
+        console.error("Error reading secret from vault:", error);
+      }
+    }
+  };
+
+  // One-click unlock of a counter-lock whose secret the counterparty revealed
+  const handleClaimCounterUnlock = async (leg) => {
+    setClaimingLockId(leg.lockId);
+    try {
+      await claimCounterUnlock(leg, leg.secret);
+      handleRefresh();
+    } catch (error) {
+      console.error("Counter-unlock error:", error);
+    } finally {
+      setClaimingLockId(null);
+    }
   };
 
   // Execute the unlock function
@@ -263,15 +331,144 @@ const EventsList = () => {
     );
   };
 
+  // Render one leg of a swap with its lock details and actions
+  const renderLeg = (swap, leg, title, fieldId) => {
+    const event = leg.event;
+
+    return (
+      <div className={`p-3 rounded-md border ${getEventColor(event.type)}`}>
+        <div className="flex justify-between items-start mb-2">
+          <div>
+            <h5 className="font-semibold">{title} ({event.type})</h5>
+            <div className="flex items-center mt-1 text-sm text-gray-600">
+              {isUserCreator(event) ? (
+                <div className="flex items-center">
+                  <User className="h-3 w-3 mr-1" />
+                  <span>You created this lock</span>
+                </div>
+              ) : isUserRecipient(event) ? (
+                <div className="flex items-center">
+                  <UserPlus className="h-3 w-3 mr-1" />
+                  <span>You are the recipient</span>
+                </div>
+              ) : null}
+            </div>
+          </div>
+          <span className="text-xs font-medium text-gray-700">{LEG_STATUS_LABELS[leg.status]}</span>
+        </div>
+
+        <div className="space-y-1 text-sm divide-y">
+          <DataField
+            label="Token"
+            value={event.token}
+            displayValue={formatToken(event.token)}
+            fieldId={fieldId}
+          />
+
+          <DataField
+            label="Creator"
+            value={event.creator}
+            displayValue={formatAddress(event.creator)}
+            fieldId={fieldId}
+          />
+
+          <DataField
+            label="Recipient"
+            value={event.recipient}
+            displayValue={formatAddress(event.recipient)}
+            fieldId={fieldId}
+          />
+
+          <DataField
+            label="Timeout"
+            value={event.timeout ? event.timeout.toString() : ''}
+            displayValue={event.timeout ? formatDeadline(event.timeout) : ''}
+            fieldId={fieldId}
+          />
+
+          <DataField
+            label="Value"
+            value={event.value}
+            displayValue={formatValue(event.value, event.token)}
+            fieldId={fieldId}
+          />
+
+          <DataField
+            label="Lock ID"
+            value={event.lockId}
+            displayValue={formatHash(event.lockId)}
+            fieldId={fieldId}
+          />
+
+          {leg.status === LEG_STATUS.LOCKED && (
+            <div className="py-1 px-2">
+              <LockVerifier lockId={event.lockId} tokenAddress={event.token} />
+            </div>
+          )}
+
+          <DataField
+            label="Sell Asset ID"
+            value={event.sellAssetId}
+            displayValue={<AssetBadge assetId={event.sellAssetId} />}
+            fieldId={fieldId}
+          />
+
+          <DataField
+            label="Sell Price"
+            value={event.sellPrice}
+            displayValue={event.sellPrice ? formatValue(event.sellPrice, event.token) : ''}
+            fieldId={fieldId}
+          />
+
+          <DataField
+            label="Buy Asset ID"
+            value={event.buyAssetId}
+            displayValue={<AssetBadge assetId={event.buyAssetId} />}
+            fieldId={fieldId}
+          />
+
+          {leg.closingEvent && (
+            <p className="py-1 px-2 text-xs text-gray-600">
+              {leg.closingEvent.type} at {formatTimestamp(leg.closingEvent.timestamp)}
+            </p>
+          )}
+
+          {/* Only show unlock/decline buttons for open locks where user is the recipient */}
+          {leg.status === LEG_STATUS.LOCKED && isUserRecipient(event) && (
+            <div className="pt-3 mt-2 flex space-x-2">
+              <Button
+                onClick={() => handleUnlock(event, swap.secret)}
+                size="sm"
+                className="flex-1 flex items-center justify-center"
+              >
+                <UnlockIcon className="h-4 w-4 mr-2" />
+                Unlock
+              </Button>
+              <Button
+                onClick={() => handleDecline(event)}
+                size="sm"
+                variant="destructive"
+                className="flex-1 flex items-center justify-center"
+              >
+                <XIcon className="h-4 w-4 mr-2" />
+                Decline
+              </Button>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   return (
     <Card className="w-full">
       <CardHeader className="flex flex-row items-center justify-between">
-        <CardTitle>Your Events</CardTitle>
+        <CardTitle>{readOnly ? 'Recent Swaps' : 'Your Swaps'}</CardTitle>
         <Button 
           variant="outline" 
           size="sm" 
           onClick={handleRefresh} 
-          disabled={isRefreshing || !isConnected}
+          disabled={isRefreshing || !swapContract}
         >
           <RefreshCw className={`h-4 w-4 mr-2 ${isRefreshing ? 'animate-spin' : ''}`} />
           Refresh
@@ -279,10 +476,20 @@ const EventsList = () => {
       </CardHeader>
       <CardContent>
         <div className="space-y-4">
-          {!isConnected ? (
+          {indexingProgress && (
+            <p className="text-xs text-muted-foreground">
+              Indexing history: block {indexingProgress.currentBlock} of {indexingProgress.toBlock}
+            </p>
+          )}
+          {readOnly && (
+            <p className="text-xs text-muted-foreground">
+              Browsing {network?.name} read-only. Connect your wallet to act on your swaps.
+            </p>
+          )}
+          {!isConnected && !readOnly ? (
             <p className="text-sm text-muted-foreground">Connect your wallet to see events</p>
-          ) : userEvents.length === 0 ? (
-            <p className="text-sm text-muted-foreground">No events to display</p>
+          ) : userSwaps.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No swaps to display</p>
           ) : (
             <>
               {/* Unlock Dialog */}
@@ -296,13 +503,13 @@ const EventsList = () => {
                         <span className="font-medium">Event Type:</span> {unlockingEvent.type}
                       </p>
                       <p className="text-sm mb-2">
-                        <span className="font-medium">Token:</span> {formatHash(unlockingEvent.token)}
+                        <span className="font-medium">Token:</span> {formatToken(unlockingEvent.token)}
                       </p>
                       <p className="text-sm mb-2">
                         <span className="font-medium">Creator:</span> {formatAddress(unlockingEvent.creator)}
                       </p>
                       <p className="text-sm mb-2">
-                        <span className="font-medium">Value:</span> {formatValue(unlockingEvent.value)}
+                        <span className="font-medium">Value:</span> {formatValue(unlockingEvent.value, unlockingEvent.token)}
                       </p>
                     </div>
                     
@@ -321,6 +528,12 @@ const EventsList = () => {
                       <p className="text-xs text-gray-500 mt-1">
                         Enter the secret provided by the creator to unlock this event
                       </p>
+                      {unlockSecretSource === 'vault' && (
+                        <p className="text-xs text-green-600 mt-1">Secret loaded from your vault</p>
+                      )}
+                      {unlockSecretSource === 'chain' && (
+                        <p className="text-xs text-green-600 mt-1">Secret revealed on chain by your counterparty</p>
+                      )}
                     </div>
                     
                     <div className="flex justify-end space-x-2">
@@ -360,13 +573,13 @@ const EventsList = () => {
                         <span className="font-medium">Event Type:</span> {decliningEvent.type}
                       </p>
                       <p className="text-sm mb-2">
-                        <span className="font-medium">Token:</span> {formatHash(decliningEvent.token)}
+                        <span className="font-medium">Token:</span> {formatToken(decliningEvent.token)}
                       </p>
                       <p className="text-sm mb-2">
                         <span className="font-medium">Creator:</span> {formatAddress(decliningEvent.creator)}
                       </p>
                       <p className="text-sm mb-2">
-                        <span className="font-medium">Value:</span> {formatValue(decliningEvent.value)}
+                        <span className="font-medium">Value:</span> {formatValue(decliningEvent.value, decliningEvent.token)}
                       </p>
                     </div>
                     
@@ -401,141 +614,85 @@ const EventsList = () => {
                 </div>
               )}
 
-              {userEvents.map((event, index) => (
-                <div 
-                  key={index} 
-                  className={`p-4 rounded-md border ${getEventColor(event.type)}`}
-                >
-                  <div className="flex justify-between items-start mb-3">
+              {/* Counter-locks claimable with a secret the counterparty already revealed */}
+              {counterUnlocks.length > 0 && (
+                <div className="p-4 rounded-md border border-purple-300 bg-purple-50 space-y-2">
+                  <h4 className="font-semibold">Secret revealed - unlock your tokens</h4>
+                  <p className="text-sm text-gray-700">
+                    Your counterparty published the secret on chain. Unlock these locks before they time out.
+                  </p>
+                  {counterUnlocks.map(leg => (
+                    <div key={leg.lockId} className="flex items-center justify-between text-sm">
+                      <span>
+                        {formatValue(leg.value, leg.token)} from {formatAddress(leg.creator)}, times out {formatDeadline(leg.timeout)}
+                      </span>
+                      <Button
+                        size="sm"
+                        onClick={() => handleClaimCounterUnlock(leg)}
+                        disabled={claimingLockId !== null}
+                      >
+                        <UnlockIcon className="h-4 w-4 mr-2" />
+                        {claimingLockId === leg.lockId ? 'Processing...' : 'Unlock now'}
+                      </Button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {userSwaps.map((swap, swapIndex) => (
+                <div key={swap.id || swapIndex} className="p-4 rounded-md border space-y-3">
+                  <div className="flex justify-between items-start">
                     <div>
-                      <h4 className="font-semibold text-lg">{event.type}</h4>
-                      <div className="flex items-center mt-1 text-sm text-gray-600">
-                        {isUserCreator(event) ? (
-                          <div className="flex items-center">
-                            <User className="h-3 w-3 mr-1" />
-                            <span>You created this event</span>
-                          </div>
-                        ) : (
-                          <div className="flex items-center">
-                            <UserPlus className="h-3 w-3 mr-1" />
-                            <span>You are the recipient</span>
-                          </div>
-                        )}
-                      </div>
+                      <h4 className="font-semibold text-lg">Swap {formatHash(swap.hashedSecret)}</h4>
+                      <span className={`inline-block mt-1 px-2 py-0.5 rounded text-xs font-medium ${getStateColor(swap.state)}`}>
+                        {SWAP_STATE_LABELS[swap.state]}
+                      </span>
                     </div>
-                    <span className="text-xs text-gray-500">{formatTimestamp(event.timestamp)}</span>
+                    <span className="text-xs text-gray-500">{formatTimestamp(swap.updatedAt)}</span>
                   </div>
-                  
-                  <div className="space-y-1 text-sm divide-y">
-                    <DataField 
-                      label="Token" 
-                      value={event.token} 
-                      displayValue={formatHash(event.token)}
-                      fieldId={`event-${index}`} 
-                    />
-                    
-                    <DataField 
-                      label="Creator" 
-                      value={event.creator} 
-                      displayValue={formatAddress(event.creator)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Recipient" 
-                      value={event.recipient} 
-                      displayValue={formatAddress(event.recipient)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Hashed Secret" 
-                      value={event.hashedSecret} 
-                      displayValue={formatHash(event.hashedSecret)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Timeout" 
-                      value={event.timeout ? event.timeout.toString() : ''} 
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Value" 
-                      value={event.value} 
-                      displayValue={formatValue(event.value)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Lock ID" 
-                      value={event.lockId} 
-                      displayValue={formatHash(event.lockId)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Sell Asset ID" 
-                      value={event.sellAssetId} 
-                      displayValue={formatHash(event.sellAssetId)}
-                      fieldId={`event-${index}`}
+
+                  <div className="space-y-1 text-sm">
+                    <DataField
+                      label="Hashed Secret"
+                      value={swap.hashedSecret}
+                      displayValue={formatHash(swap.hashedSecret)}
+                      fieldId={`swap-${swapIndex}`}
                     />
-                    
-                    <DataField 
-                      label="Sell Price" 
-                      value={event.sellPrice} 
-                      displayValue={event.sellPrice ? formatValue(event.sellPrice) : ''}
-                      fieldId={`event-${index}`}
+                    <DataField
+                      label="Secret"
+                      value={swap.secret}
+                      displayValue={formatHash(swap.secret)}
+                      fieldId={`swap-${swapIndex}`}
                     />
-                    
-                    <DataField 
-                      label="Buy Asset ID" 
-                      value={event.buyAssetId} 
-                      displayValue={formatHash(event.buyAssetId)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    <DataField 
-                      label="Buy Lock ID" 
-                      value={event.buyLockId} 
-                      displayValue={formatHash(event.buyLockId)}
-                      fieldId={`event-${index}`}
-                    />
-                    
-                    {/* Only show unlock/decline buttons for LockBuy and LockSell events where user is the recipient */}
-                    {(event.type === 'LockBuy' || event.type === 'LockSell') && isUserRecipient(event) && (
-                      <div className="pt-3 mt-2 flex space-x-2">
-                        <Button 
-                          onClick={() => handleUnlock(event)}
-                          size="sm"
-                          className="flex-1 flex items-center justify-center"
-                        >
-                          <UnlockIcon className="h-4 w-4 mr-2" />
-                          Unlock
-                        </Button>
-                        <Button 
-                          onClick={() => handleDecline(event)}
-                          size="sm"
-                          variant="destructive"
-                          className="flex-1 flex items-center justify-center"
-                        >
-                          <XIcon className="h-4 w-4 mr-2" />
-                          Decline
-                        </Button>
+                    {swap.deadlines.next !== null && (
+                      <div className="flex items-center justify-between py-1 px-2">
+                        <span className="font-medium">Next deadline:</span>
+                        <span>{formatDeadline(swap.deadlines.next)}</span>
                       </div>
                     )}
                   </div>
+
+                  {swap.buyLock ? (
+                    renderLeg(swap, swap.buyLock, 'Buy leg', `swap-${swapIndex}-buy`)
+                  ) : (
+                    <p className="text-sm text-muted-foreground">The buy lock for this swap was not found in the loaded events.</p>
+                  )}
+
+                  {swap.sellLock ? (
+                    renderLeg(swap, swap.sellLock, 'Sell leg', `swap-${swapIndex}-sell`)
+                  ) : (
+                    <p className="text-sm text-muted-foreground">Waiting for the counterparty to lock the other side.</p>
+                  )}
                 </div>
               ))}
             </>
           )}
         </div>
       </CardContent>
-      {isConnected && userEvents.length > 0 && (
+      {(isConnected || readOnly) && userSwaps.length > 0 && (
         <CardFooter>
           <p className="text-xs text-muted-foreground">
-            Showing {userEvents.length} event{userEvents.length !== 1 ? 's' : ''}
+            Showing {userSwaps.length} swap{userSwaps.length !== 1 ? 's' : ''}
           </p>
         </CardFooter>
       )}
@@ -0,0 +1,117 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { useBlockchain } from '@/lib/blockchain-context';
+import { decodeSwapOffer, readOfferFromLocation, verifySwapOffer, getOfferLockId } from '@/lib/swap-offer';
+import { buildSellDraft } from '@/lib/order-book';
+import { getChainTime, formatTimeout } from '@/lib/timeouts';
+import { getNetwork } from '@/lib/networks';
+import AssetBadge from './AssetBadge';
+
+// Swap offer opened from a shared link: decoded from the URL, verified against
+// the LockBuy on chain, then used to pre-fill the Lock Sell form
+const IncomingOffer = ({ onRespond }) => {
+  const { provider, swapContract, chainId, account, readOnly, browseNetwork } = useBlockchain();
+  const [offer, setOffer] = useState(null);
+  const [decodeError, setDecodeError] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [dismissed, setDismissed] = useState(false);
+
+  useEffect(() => {
+    const encoded = readOfferFromLocation();
+    if (!encoded) return;
+    try {
+      setOffer(decodeSwapOffer(encoded));
+    } catch (error) {
+      console.error("Error decoding swap offer:", error);
+      setDecodeError(error.message);
+    }
+  }, []);
+
+  // Without a wallet, browse the offer's network so it can be verified read-only
+  useEffect(() => {
+    if (offer && readOnly && Number(chainId) !== offer.chainId && getNetwork(offer.chainId)) {
+      browseNetwork(offer.chainId);
+    }
+  }, [offer, readOnly, chainId, browseNetwork]);
+
+  // Re-verify whenever the wallet, network or contract changes
+  useEffect(() => {
+    if (!offer || !provider || !swapContract) return;
+    let cancelled = false;
+    setVerification(null);
+
+    verifySwapOffer(offer, { provider, contract: swapContract, chainId, account })
+      .then(result => {
+        if (!cancelled) setVerification(result);
+      })
+      .catch(error => {
+        console.error("Error verifying swap offer:", error);
+        if (!cancelled) {
+          setVerification({ issues: [{ level: 'error', message: `Could not verify the offer: ${error.message}` }], lock: null });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [offer, provider, swapContract, chainId, account]);
+
+  if (dismissed || (!offer && !decodeError)) return null;
+
+  const errors = verification ? verification.issues.filter(issue => issue.level === 'error') : [];
+  const canRespond = verification && verification.lock && errors.length === 0;
+
+  const handleRespond = async () => {
+    const chainTime = await getChainTime(provider);
+    onRespond(buildSellDraft(verification.lock, chainTime));
+  };
+
+  return (
+    <Card className="w-full max-w-lg mx-auto mb-4">
+      <CardHeader>
+        <CardTitle>Swap Offer</CardTitle>
+        <CardDescription>Opened from a shared offer link</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        {decodeError && <p className="text-red-500">{decodeError}</p>}
+
+        {offer && (
+          <div className="space-y-1 text-xs">
+            <p>Lock ID: <span className="font-mono break-all">{getOfferLockId(offer)}</span></p>
+            <p>Buyer: <span className="font-mono">{offer.creator}</span></p>
+            <p>Recipient: <span className="font-mono">{offer.recipient}</span></p>
+            <p>Asset: <AssetBadge assetId={offer.sellAssetId} /></p>
+            <p>Expires: {formatTimeout(offer.timeout)}</p>
+          </div>
+        )}
+
+        {offer && !swapContract && (
+          <p className="text-gray-500">Connect your wallet to verify the offer.</p>
+        )}
+        {offer && swapContract && !verification && (
+          <p className="text-gray-500">Verifying the offer on chain...</p>
+        )}
+        {verification && verification.issues.map(issue => (
+          <p key={issue.message} className={issue.level === 'error' ? 'text-red-500' : 'text-yellow-600'}>
+            {issue.message}
+          </p>
+        ))}
+        {canRespond && (
+          <p className="text-green-600">The offer matches a funded LockBuy on chain.</p>
+        )}
+
+        <div className="flex space-x-2">
+          {canRespond && (
+            <Button size="sm" onClick={handleRespond}>Respond with LockSell</Button>
+          )}
+          <Button size="sm" variant="outline" onClick={() => setDismissed(true)}>Dismiss</Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default IncomingOffer;
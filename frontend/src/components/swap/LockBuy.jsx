@@ -5,23 +5,59 @@ import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { useBlockchain } from '@/lib/blockchain-context';
+import { tryCalculateLockId } from '@/lib/lock-id';
+import { useTokenMetadata } from '@/lib/use-token-metadata';
+import { parseTokenAmount, formatTokenAmount } from '@/lib/token-metadata';
+import { isVaultUnlocked, saveSecret } from '@/lib/secret-vault';
+import { DEFAULT_BUY_DURATION, checkBuyTimeout, toAbsoluteTimeout } from '@/lib/timeouts';
+import { useChainTime } from '@/lib/use-chain-time';
+import { LEGACY_DEFAULT_ASSET_ID, parseAssetInput, registerAssetInput } from '@/lib/assets';
+import TimeoutPicker, { confirmIssues } from './TimeoutPicker';
+import TokenPicker from './TokenPicker';
+import LockVerifier from './LockVerifier';
+import AssetPicker from './AssetPicker';
+import ShareOffer from './ShareOffer';
 
-const LockBuy = () => {
-  const [tokenAddress, setTokenAddress] = useState(''); // Default to USDT
+const LockBuy = ({ draft }) => {
+  const [tokenAddress, setTokenAddress] = useState('');
   const [recipient, setRecipient] = useState('');
   const [secret, setSecret] = useState('');
   const [hashedSecret, setHashedSecret] = useState('');
-  const [timeout, setTimeout] = useState(3600); // 1 hour in seconds
+  const [preimage, setPreimage] = useState(''); // bytes32 value actually hashed
+  const [duration, setDuration] = useState(DEFAULT_BUY_DURATION); // Lock duration in seconds
   const [value, setValue] = useState('10'); // Default amount in tokens
-  const [rawTokenValue, setRawTokenValue] = useState('1000000'); // Default raw token value (1 USDT with 6 decimals)
-  const [useRawValue, setUseRawValue] = useState(true); // Toggle for value format - default true for USDT
-  const [sellAssetId, setSellAssetId] = useState('0x95b58483568979bea3b27def505f49beeda8b41a13274e3622c64e61d087a796'); // Default asset ID
+  const [rawTokenValue, setRawTokenValue] = useState(''); // Amount in base units
+  const [useRawValue, setUseRawValue] = useState(false); // Toggle for value format
+  const [sellAssetId, setSellAssetId] = useState(LEGACY_DEFAULT_ASSET_ID); // Asset being bought, see lib/assets
   const [sellPrice, setSellPrice] = useState('10'); // Default price in tokens
-  const [rawSellPrice, setRawSellPrice] = useState('1000000'); // Default raw sell price (1 USDT with 6 decimals)
-  const [useRawSellPrice, setUseRawSellPrice] = useState(true); // Toggle for price format - default true for USDT
+  const [rawSellPrice, setRawSellPrice] = useState(''); // Price in base units
+  const [useRawSellPrice, setUseRawSellPrice] = useState(false); // Toggle for price format
   const [loading, setLoading] = useState(false);
+  const [createdLockId, setCreatedLockId] = useState(null);
+  const [createdLock, setCreatedLock] = useState(null); // { transactionHash, lock } for sharing
 
-  const { lockBuy, isConnected, isCorrectNetwork, switchToCorrectNetwork, account } = useBlockchain();
+  const { lockBuy, isConnected, isCorrectNetwork, switchToCorrectNetwork, account, chainId } = useBlockchain();
+  const tokenMetadata = useTokenMetadata(tokenAddress);
+  const tokenSymbol = tokenMetadata ? tokenMetadata.symbol : 'tokens';
+  const { chainTime, refreshChainTime } = useChainTime();
+
+  // Absolute timeout the lock would get now
+  const timeout = chainTime !== null ? toAbsoluteTimeout(duration, chainTime) : null;
+  const timeoutIssues = timeout !== null ? checkBuyTimeout(timeout, chainTime) : [];
+
+  // Fill in the terms of an accepted off-chain intent; amounts come in base units
+  useEffect(() => {
+    if (!draft) return;
+    setTokenAddress(draft.tokenAddress);
+    setRecipient(draft.recipient);
+    setRawTokenValue(draft.rawValue);
+    setUseRawValue(true);
+    setSellAssetId(draft.sellAssetId);
+    setRawSellPrice(draft.rawSellPrice);
+    setUseRawSellPrice(true);
+    setCreatedLockId(null);
+    setCreatedLock(null);
+  }, [draft]);
 
   // Generate hashed secret whenever secret changes
   useEffect(() => {
@@ -30,20 +66,47 @@ const LockBuy = () => {
     }
   }, [secret]);
   
-  // Set standard USDT values for common amounts
-  const setUsdtAmount = (amount) => {
-    // USDT on Sepolia has 6 decimals 
-    const rawAmount = amount * 1000000; // 1 USDT = 1000000 units
-    setRawTokenValue(rawAmount.toString());
-    setUseRawValue(true);
+  // Set common whole-token amounts
+  const setPresetAmount = (amount) => {
+    setValue(amount.toString());
+    setUseRawValue(false);
   };
   
-  // Set standard USDT values for sell price
-  const setUsdtSellPrice = (amount) => {
-    // USDT on Sepolia has 6 decimals
-    const rawAmount = amount * 1000000; // 1 USDT = 1000000 units
-    setRawSellPrice(rawAmount.toString());
-    setUseRawSellPrice(true);
+  // Set common whole-token sell prices
+  const setPresetSellPrice = (amount) => {
+    setSellPrice(amount.toString());
+    setUseRawSellPrice(false);
+  };
+  
+  // Convert between token and raw amounts with the token's decimals when toggling
+  const convertAmount = (amount, toRaw) => {
+    if (!tokenMetadata || amount === '') return amount;
+    try {
+      return toRaw
+        ? parseTokenAmount(amount, tokenMetadata.decimals).toString()
+        : formatTokenAmount(amount, tokenMetadata.decimals);
+    } catch (error) {
+      console.warn("Could not convert amount:", error);
+      return '';
+    }
+  };
+  
+  const toggleRawValue = () => {
+    if (useRawValue) {
+      setValue(convertAmount(rawTokenValue, false));
+    } else {
+      setRawTokenValue(convertAmount(value, true));
+    }
+    setUseRawValue(!useRawValue);
+  };
+  
+  const toggleRawSellPrice = () => {
+    if (useRawSellPrice) {
+      setSellPrice(convertAmount(rawSellPrice, false));
+    } else {
+      setRawSellPrice(convertAmount(sellPrice, true));
+    }
+    setUseRawSellPrice(!useRawSellPrice);
   };
 
   const generateHashedSecret = () => {
@@ -62,11 +125,7 @@ const LockBuy = () => {
           ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [randomSecretHex])
         );
         
-        console.log({
-          randomSecret: randomSecretHex,
-          hashedSecret: hashedSecret,
-        });
-        
+        setPreimage(randomSecretHex);
         setHashedSecret(hashedSecret);
       } else {
         // For text input or manual hex input
@@ -88,12 +147,7 @@ const LockBuy = () => {
           ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [secretToEncode])
         );
         
-        console.log({
-          secret,
-          secretToEncode,
-          hashedSecret: hashedSecret,
-        });
-        
+        setPreimage(secretToEncode);
         setHashedSecret(hashedSecret);
       }
     } catch (error) {
@@ -139,43 +193,38 @@ const LockBuy = () => {
     try {
       setLoading(true);
       
-      // Use the default asset ID or the provided one
-      let formattedSellAssetId = sellAssetId;
-      if (!sellAssetId || sellAssetId.trim() === '') {
-        formattedSellAssetId = '0x95b58483568979bea3b27def505f49beeda8b41a13274e3622c64e61d087a796';
-      } else if (sellAssetId.startsWith('0x') && sellAssetId.length === 66) {
-        formattedSellAssetId = sellAssetId;
-      } else {
-        // If not a valid bytes32 format, use a hash of the input
-        formattedSellAssetId = ethers.keccak256(
-          ethers.toUtf8Bytes(sellAssetId)
-        );
-      }
+      // Derive the asset ID from the picked asset, falling back to the default one
+      const formattedSellAssetId = parseAssetInput(sellAssetId) || LEGACY_DEFAULT_ASSET_ID;
+      registerAssetInput(sellAssetId);
       
-      // Format timeout properly - could be either seconds from now or a specific timestamp
-      let timeoutValue = Number(timeout);
+      // Resolve the timeout from the latest block time right before signing
+      const latestChainTime = await refreshChainTime();
+      const timeoutValue = toAbsoluteTimeout(duration, latestChainTime);
       
-      // Simply use the timeout value as is without any adjustments
-      console.log("Using raw timeout value:", timeoutValue);
+      if (!confirmIssues(checkBuyTimeout(timeoutValue, latestChainTime))) {
+        return;
+      }
       
       // Use either the ETH value or the raw token value
       const valueToUse = useRawValue ? rawTokenValue : value;
       // Use either the ETH sell price or the raw sell price
       const sellPriceToUse = useRawSellPrice ? rawSellPrice : sellPrice;
       
-      console.log("Submitting lockBuy transaction with parameters:", {
-        tokenAddress,
-        recipient,
-        hashedSecret,
-        timeout: timeoutValue,
-        value: valueToUse,
-        useRawValue,
-        sellAssetId: formattedSellAssetId,
-        sellPrice: sellPriceToUse,
-        useRawSellPrice
-      });
+      // Store the preimage before locking, so it survives a closed tab
+      if (isVaultUnlocked()) {
+        await saveSecret({
+          secret: preimage,
+          token: tokenAddress,
+          counterparty: recipient,
+          timeout: timeoutValue,
+          lockId: tryCalculateLockId(tokenAddress, account, recipient, hashedSecret, timeoutValue),
+          chainId
+        });
+      } else if (!confirm("Your secret vault is locked, so this secret will not be saved. Make sure you have stored it safely before continuing.")) {
+        return;
+      }
       
-      await lockBuy(
+      const result = await lockBuy(
         tokenAddress,
         recipient,
         hashedSecret,
@@ -186,6 +235,10 @@ const LockBuy = () => {
         useRawValue,
         useRawSellPrice
       );
+      if (result && result.lockId) {
+        setCreatedLockId(result.lockId);
+        setCreatedLock(result.lock ? { transactionHash: result.receipt.hash, lock: result.lock } : null);
+      }
     } catch (error) {
       console.error("Error in lockBuy transaction:", error);
       alert(`Transaction failed: ${error.message}`);
@@ -198,6 +251,9 @@ const LockBuy = () => {
     setSecret(e.target.value);
   };
 
+  // Lock ID the contract will assign to this lock
+  const expectedLockId = tryCalculateLockId(tokenAddress, account, recipient, hashedSecret, timeout);
+
   return (
     <Card className="w-full max-w-md mx-auto">
       <CardHeader>
@@ -208,17 +264,13 @@ const LockBuy = () => {
       </CardHeader>
       <CardContent>
         <form onSubmit={handleSubmit} className="space-y-4">
-          <div className="space-y-2">
-            <Label htmlFor="tokenAddress">Token Address (USDT)</Label>
-            <Input
-              id="tokenAddress"
-              placeholder="0x"
-              value={tokenAddress}
-              onChange={(e) => setTokenAddress(e.target.value)}
-              required
-            />
-            <p className="text-xs text-gray-500">Default:  (Sepolia USDT)</p>
-          </div>
+          <TokenPicker
+            id="tokenAddress"
+            tokenAddress={tokenAddress}
+            onTokenAddressChange={setTokenAddress}
+            tokenMetadata={tokenMetadata}
+            placeholder="0x"
+          />
           
           <div className="space-y-2">
             <Label htmlFor="recipient">Recipient Address</Label>
@@ -253,20 +305,18 @@ const LockBuy = () => {
             </div>
           )}
           
-          <div className="space-y-2">
-            <Label htmlFor="timeout">Timeout (seconds)</Label>
-            <Input
-              id="timeout"
-              type="number"
-              min="60"
-              value={timeout}
-              onChange={(e) => setTimeout(e.target.value)}
-              required
-            />
+          <TimeoutPicker
+            id="timeout"
+            label="Lock Duration (hours)"
+            duration={duration}
+            onDurationChange={setDuration}
+            chainTime={chainTime}
+            issues={timeoutIssues}
+          >
             <p className="text-xs text-gray-500">
-              Enter the exact timeout value in seconds. This value will be used directly as the lock timeout.
+              The counterparty's Lock Sell must expire well before this lock, so give them enough time.
             </p>
-          </div>
+          </TimeoutPicker>
           
           <div className="space-y-2">
             <Label htmlFor="value-format">Token Value Format</Label>
@@ -275,52 +325,52 @@ const LockBuy = () => {
                 type="checkbox"
                 id="value-format"
                 checked={useRawValue}
-                onChange={() => setUseRawValue(!useRawValue)}
+                onChange={toggleRawValue}
               />
-              <span>Use raw token value (for tokens with decimals like USDT)</span>
+              <span>Use raw token value (base units, without decimals)</span>
             </div>
           </div>
           
           {useRawValue ? (
             <div className="space-y-2">
-              <Label htmlFor="rawTokenValue">Raw Token Value (e.g., 1000000 for 1 USDT)</Label>
+              <Label htmlFor="rawTokenValue">Raw Token Value (e.g., 1000000 for 1 token with 6 decimals)</Label>
               <Input
                 id="rawTokenValue"
                 value={rawTokenValue}
                 onChange={(e) => setRawTokenValue(e.target.value)}
                 required={useRawValue}
               />
-              <div className="flex space-x-2 mt-2">
-                <Button type="button" variant="outline" size="sm" onClick={() => setUsdtAmount(1)}>1 USDT</Button>
-                <Button type="button" variant="outline" size="sm" onClick={() => setUsdtAmount(5)}>5 USDT</Button>
-                <Button type="button" variant="outline" size="sm" onClick={() => setUsdtAmount(10)}>10 USDT</Button>
-              </div>
+              {tokenMetadata && rawTokenValue && /^\d+$/.test(rawTokenValue) && (
+                <p className="text-xs text-gray-500">= {formatTokenAmount(rawTokenValue, tokenMetadata.decimals)} {tokenSymbol}</p>
+              )}
             </div>
           ) : (
             <div className="space-y-2">
-              <Label htmlFor="value">Token Value</Label>
+              <Label htmlFor="value">Token Value ({tokenSymbol})</Label>
               <Input
                 id="value"
                 type="number"
-                step="0.000000000000000001"
+                step="any"
                 min="0"
                 value={value}
                 onChange={(e) => setValue(e.target.value)}
                 required={!useRawValue}
               />
+              <div className="flex space-x-2 mt-2">
+                <Button type="button" variant="outline" size="sm" onClick={() => setPresetAmount(1)}>1 {tokenSymbol}</Button>
+                <Button type="button" variant="outline" size="sm" onClick={() => setPresetAmount(5)}>5 {tokenSymbol}</Button>
+                <Button type="button" variant="outline" size="sm" onClick={() => setPresetAmount(10)}>10 {tokenSymbol}</Button>
+              </div>
             </div>
           )}
           
-          <div className="space-y-2">
-            <Label htmlFor="sellAssetId">Default Asset ID</Label>
-            <Input
-              id="sellAssetId"
-              value={sellAssetId}
-              onChange={(e) => setSellAssetId(e.target.value)}
-              required
-            />
-            <p className="text-xs text-gray-500">Default asset ID is pre-filled for convenience</p>
-          </div>
+          <AssetPicker
+            id="sellAssetId"
+            label="Asset to Buy"
+            value={sellAssetId}
+            onChange={setSellAssetId}
+            required
+          />
           
           <div className="space-y-2">
             <Label htmlFor="price-format">Price Format</Label>
@@ -329,39 +379,54 @@ const LockBuy = () => {
                 type="checkbox"
                 id="price-format"
                 checked={useRawSellPrice}
-                onChange={() => setUseRawSellPrice(!useRawSellPrice)}
+                onChange={toggleRawSellPrice}
               />
-              <span>Use raw price (for tokens with decimals like USDT)</span>
+              <span>Use raw price (base units, without decimals)</span>
             </div>
           </div>
           
           {useRawSellPrice ? (
             <div className="space-y-2">
-              <Label htmlFor="rawSellPrice">Raw Sell Price (e.g., 1000000 for 1 USDT)</Label>
+              <Label htmlFor="rawSellPrice">Raw Sell Price (e.g., 1000000 for 1 token with 6 decimals)</Label>
               <Input
                 id="rawSellPrice"
                 value={rawSellPrice}
                 onChange={(e) => setRawSellPrice(e.target.value)}
                 required={useRawSellPrice}
               />
-              <div className="flex space-x-2 mt-2">
-                <Button type="button" variant="outline" size="sm" onClick={() => setUsdtSellPrice(1)}>1 USDT</Button>
-                <Button type="button" variant="outline" size="sm" onClick={() => setUsdtSellPrice(5)}>5 USDT</Button>
-                <Button type="button" variant="outline" size="sm" onClick={() => setUsdtSellPrice(10)}>10 USDT</Button>
-              </div>
+              {tokenMetadata && rawSellPrice && /^\d+$/.test(rawSellPrice) && (
+                <p className="text-xs text-gray-500">= {formatTokenAmount(rawSellPrice, tokenMetadata.decimals)} {tokenSymbol}</p>
+              )}
             </div>
           ) : (
             <div className="space-y-2">
-              <Label htmlFor="sellPrice">Sell Price</Label>
+              <Label htmlFor="sellPrice">Sell Price ({tokenSymbol})</Label>
               <Input
                 id="sellPrice"
                 type="number"
-                step="0.000000000000000001"
+                step="any"
                 min="0"
                 value={sellPrice}
                 onChange={(e) => setSellPrice(e.target.value)}
                 required={!useRawSellPrice}
               />
+              <div className="flex space-x-2 mt-2">
+                <Button type="button" variant="outline" size="sm" onClick={() => setPresetSellPrice(1)}>1 {tokenSymbol}</Button>
+                <Button type="button" variant="outline" size="sm" onClick={() => setPresetSellPrice(5)}>5 {tokenSymbol}</Button>
+                <Button type="button" variant="outline" size="sm" onClick={() => setPresetSellPrice(10)}>10 {tokenSymbol}</Button>
+              </div>
+            </div>
+          )}
+          
+          {expectedLockId && (
+            <div className="space-y-2">
+              <Label htmlFor="expectedLockId">Expected Lock ID</Label>
+              <Input
+                id="expectedLockId"
+                value={expectedLockId}
+                readOnly
+                className="font-mono text-xs"
+              />
             </div>
           )}
           
@@ -369,6 +434,17 @@ const LockBuy = () => {
             {loading ? "Processing..." : "Create Lock Buy"}
           </Button>
         </form>
+
+        {createdLockId && (
+          <div className="mt-6 p-4 border rounded-md bg-gray-50 space-y-2">
+            <h3 className="font-medium">Lock Created</h3>
+            <p className="text-xs font-mono break-all">{createdLockId}</p>
+            <LockVerifier lockId={createdLockId} tokenAddress={tokenAddress} />
+            {createdLock && (
+              <ShareOffer transactionHash={createdLock.transactionHash} lock={createdLock.lock} />
+            )}
+          </div>
+        )}
       </CardContent>
     </Card>
   );
@@ -1,25 +1,65 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { ethers } from 'ethers';
 import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { useBlockchain } from '@/lib/blockchain-context';
+import { tryCalculateLockId } from '@/lib/lock-id';
+import { useTokenMetadata } from '@/lib/use-token-metadata';
+import { findLock } from '@/lib/swaps';
+import { DEFAULT_SELL_DURATION, DEFAULT_SAFETY_MARGIN, checkSellTimeout, maxSellTimeout, toAbsoluteTimeout } from '@/lib/timeouts';
+import { useChainTime } from '@/lib/use-chain-time';
+import { parseAssetInput, registerAssetInput } from '@/lib/assets';
+import LockVerifier from './LockVerifier';
+import TimeoutPicker, { confirmIssues } from './TimeoutPicker';
+import TokenPicker from './TokenPicker';
+import AssetPicker from './AssetPicker';
 
-const LockSell = () => {
+const LockSell = ({ draft }) => {
   const [tokenAddress, setTokenAddress] = useState('');
   const [recipient, setRecipient] = useState('');
   const [secret, setSecret] = useState('');
   const [hashedSecret, setHashedSecret] = useState('');
-  const [timeout, setTimeout] = useState(3600); // 1 hour in seconds
+  const [duration, setDuration] = useState(DEFAULT_SELL_DURATION); // Lock duration in seconds
+  const [safetyMargin, setSafetyMargin] = useState(DEFAULT_SAFETY_MARGIN); // Seconds before the buy lock's timeout
   const [value, setValue] = useState('0.01'); // Default amount
   const [buyAssetId, setBuyAssetId] = useState('');
   const [buyLockId, setBuyLockId] = useState('');
   const [loading, setLoading] = useState(false);
+  const [createdLockId, setCreatedLockId] = useState(null);
 
-  const { lockSell, isConnected, isCorrectNetwork, switchToCorrectNetwork } = useBlockchain();
+  const { lockSell, isConnected, isCorrectNetwork, switchToCorrectNetwork, account, swaps } = useBlockchain();
+  const tokenMetadata = useTokenMetadata(tokenAddress);
+  const { chainTime, refreshChainTime } = useChainTime();
 
+  // Fill in the offer picked in the order book; the token is left to the seller
+  useEffect(() => {
+    if (!draft) return;
+    setRecipient(draft.recipient);
+    setHashedSecret(draft.hashedSecret);
+    setBuyAssetId(draft.buyAssetId);
+    setBuyLockId(draft.buyLockId);
+    if (draft.value !== null) setValue(draft.value);
+    if (draft.duration !== null) setDuration(draft.duration);
+    setCreatedLockId(null);
+  }, [draft]);
 
+  // The buy lock being answered; its timeout bounds ours
+  const buyLock = findLock(swaps, buyLockId);
+  const buyTimeout = buyLock ? buyLock.timeout : null;
+
+  // Absolute timeout the lock would get now
+  const timeout = chainTime !== null ? toAbsoluteTimeout(duration, chainTime) : null;
+  const timeoutIssues = timeout !== null ? checkSellTimeout(timeout, buyTimeout, chainTime, safetyMargin) : [];
+
+  // Longest duration that still ends a safety margin before the buy lock
+  const safeDuration = buyTimeout !== null && chainTime !== null
+    ? maxSellTimeout(buyTimeout, safetyMargin) - chainTime
+    : null;
+
+  // Lock ID the contract will assign to this lock
+  const expectedLockId = tryCalculateLockId(tokenAddress, account, recipient, hashedSecret, timeout);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -45,11 +85,14 @@ const LockSell = () => {
     }
     
     // Ensure valid format for asset ID and lock ID
-    const formattedBuyAssetId = buyAssetId && buyAssetId.trim() !== '' 
-      ? (buyAssetId.startsWith('0x') && buyAssetId.length === 66 
-          ? buyAssetId 
-          : ethers.keccak256(ethers.toUtf8Bytes(buyAssetId)))
-      : ethers.ZeroHash;
+    let formattedBuyAssetId;
+    try {
+      formattedBuyAssetId = parseAssetInput(buyAssetId) || ethers.ZeroHash;
+    } catch (error) {
+      alert(`Invalid buy asset: ${error.message}`);
+      return;
+    }
+    registerAssetInput(buyAssetId);
     
     const formattedBuyLockId = buyLockId && buyLockId.trim() !== ''
       ? (buyLockId.startsWith('0x') && buyLockId.length === 66
@@ -60,25 +103,25 @@ const LockSell = () => {
     try {
       setLoading(true);
       
-      console.log("Submitting lockSell transaction with parameters:", {
-        tokenAddress,
-        recipient,
-        hashedSecret,
-        timeout: Number(timeout),
-        value,
-        buyAssetId: formattedBuyAssetId,
-        buyLockId: formattedBuyLockId
-      });
+      // Resolve the timeout from the latest block time right before signing.
+      // lockSell checks it against the buy lock along with the other pre-flight checks.
+      const latestChainTime = await refreshChainTime();
+      const timeoutValue = toAbsoluteTimeout(duration, latestChainTime);
       
-      await lockSell(
+      const result = await lockSell(
         tokenAddress,
         recipient,
         hashedSecret,
-        Number(timeout),
+        timeoutValue,
         value,
         formattedBuyAssetId,
-        formattedBuyLockId
+        formattedBuyLockId,
+        false,
+        { safetyMargin, confirmWarnings: confirmIssues }
       );
+      if (result && result.lockId) {
+        setCreatedLockId(result.lockId);
+      }
     } catch (error) {
       console.error("Error in lockSell transaction:", error);
       alert(`Transaction failed: ${error.message}`);
@@ -97,16 +140,12 @@ const LockSell = () => {
       </CardHeader>
       <CardContent>
         <form onSubmit={handleSubmit} className="space-y-4">
-          <div className="space-y-2">
-            <Label htmlFor="tokenAddress">Token Address</Label>
-            <Input
-              id="tokenAddress"
-              placeholder="0x..."
-              value={tokenAddress}
-              onChange={(e) => setTokenAddress(e.target.value)}
-              required
-            />
-          </div>
+          <TokenPicker
+            id="tokenAddress"
+            tokenAddress={tokenAddress}
+            onTokenAddressChange={setTokenAddress}
+            tokenMetadata={tokenMetadata}
+          />
           
           <div className="space-y-2">
             <Label htmlFor="recipient">Recipient Address</Label>
@@ -135,24 +174,43 @@ const LockSell = () => {
           
          
           
+          <TimeoutPicker
+            id="timeout"
+            label="Lock Duration (hours)"
+            duration={duration}
+            onDurationChange={setDuration}
+            chainTime={chainTime}
+            issues={timeoutIssues}
+          >
+            {safeDuration !== null && safeDuration > 0 && (
+              <Button type="button" variant="outline" size="sm" onClick={() => setDuration(safeDuration)}>
+                Use latest safe timeout
+              </Button>
+            )}
+          </TimeoutPicker>
+          
           <div className="space-y-2">
-            <Label htmlFor="timeout">Timeout (seconds)</Label>
+            <Label htmlFor="safetyMargin">Safety Margin (hours)</Label>
             <Input
-              id="timeout"
+              id="safetyMargin"
               type="number"
-              min="60"
-              value={timeout}
-              onChange={(e) => setTimeout(e.target.value)}
+              min="0"
+              step="0.25"
+              value={safetyMargin / 3600}
+              onChange={(e) => setSafetyMargin(Math.round(Number(e.target.value) * 3600))}
               required
             />
+            <p className="text-xs text-gray-500">
+              Your lock must expire at least this long before the buy lock, so you have time to unlock it once the secret is revealed.
+            </p>
           </div>
           
           <div className="space-y-2">
-            <Label htmlFor="value">Value </Label>
+            <Label htmlFor="value">Value ({tokenMetadata ? tokenMetadata.symbol : 'tokens'})</Label>
             <Input
               id="value"
               type="number"
-              step="0.000000000000000001"
+              step="any"
               min="0"
               value={value}
               onChange={(e) => setValue(e.target.value)}
@@ -160,16 +218,13 @@ const LockSell = () => {
             />
           </div>
           
-          <div className="space-y-2">
-            <Label htmlFor="buyAssetId">Buy Asset ID</Label>
-            <Input
-              id="buyAssetId"
-              placeholder="0x..."
-              value={buyAssetId}
-              onChange={(e) => setBuyAssetId(e.target.value)}
-              required
-            />
-          </div>
+          <AssetPicker
+            id="buyAssetId"
+            label="Buy Asset"
+            value={buyAssetId}
+            onChange={setBuyAssetId}
+            required
+          />
           
           <div className="space-y-2">
             <Label htmlFor="buyLockId">Buy Lock ID</Label>
@@ -180,12 +235,33 @@ const LockSell = () => {
               onChange={(e) => setBuyLockId(e.target.value)}
               required
             />
+            <LockVerifier lockId={buyLockId} />
           </div>
           
+          {expectedLockId && (
+            <div className="space-y-2">
+              <Label htmlFor="expectedLockId">Expected Lock ID</Label>
+              <Input
+                id="expectedLockId"
+                value={expectedLockId}
+                readOnly
+                className="font-mono text-xs"
+              />
+            </div>
+          )}
+          
           <Button type="submit" className="w-full" disabled={loading || !isConnected}>
             {loading ? "Processing..." : "Create Lock Sell"}
           </Button>
         </form>
+
+        {createdLockId && (
+          <div className="mt-6 p-4 border rounded-md bg-gray-50 space-y-2">
+            <h3 className="font-medium">Lock Created</h3>
+            <p className="text-xs font-mono break-all">{createdLockId}</p>
+            <LockVerifier lockId={createdLockId} tokenAddress={tokenAddress} />
+          </div>
+        )}
       </CardContent>
     </Card>
   );
@@ -0,0 +1,81 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { Button } from '@/components/ui/button';
+import { useBlockchain } from '@/lib/blockchain-context';
+import { useTokenMetadata } from '@/lib/use-token-metadata';
+import { formatTokenAmount } from '@/lib/token-metadata';
+import { LEG_STATUS, LEG_STATUS_LABELS } from '@/lib/swaps';
+
+// "Verify on chain" action: looks a lockId up with getLockValue, and in the
+// event index to tell why a lock is no longer funded
+const LockVerifier = ({ lockId, tokenAddress }) => {
+  const [status, setStatus] = useState(null);
+  const [lockValue, setLockValue] = useState(null);
+  const [closedLock, setClosedLock] = useState(null);
+
+  const { verifyLockOnChain, lookupLock, swapContract } = useBlockchain();
+  const tokenMetadata = useTokenMetadata(tokenAddress);
+
+  // Forget the previous result when the lockId changes
+  useEffect(() => {
+    setStatus(null);
+    setLockValue(null);
+    setClosedLock(null);
+  }, [lockId]);
+
+  const handleVerify = async () => {
+    setStatus('checking');
+    const value = await verifyLockOnChain(lockId);
+    if (value === null) {
+      setStatus('error');
+    } else if (value > 0n) {
+      setLockValue(value);
+      setStatus('found');
+    } else {
+      // The index may not have seen the closing event yet
+      const lock = await lookupLock(lockId);
+      setClosedLock(lock && lock.status !== LEG_STATUS.LOCKED ? lock : null);
+      setStatus('missing');
+    }
+  };
+
+  if (!lockId || !ethers.isHexString(lockId, 32)) return null;
+
+  return (
+    <div className="space-y-1">
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={handleVerify}
+        disabled={!swapContract || status === 'checking'}
+      >
+        {status === 'checking' ? "Checking..." : "Verify on chain"}
+      </Button>
+      {status === 'found' && (
+        <p className="text-xs text-green-600">
+          Lock exists on chain with {tokenMetadata
+            ? `${formatTokenAmount(lockValue, tokenMetadata.decimals)} ${tokenMetadata.symbol}`
+            : `${lockValue.toString()} raw token units`} locked.
+        </p>
+      )}
+      {status === 'missing' && closedLock && (
+        <p className="text-xs text-red-500">
+          This lock is no longer funded: {LEG_STATUS_LABELS[closedLock.status].toLowerCase()}.
+        </p>
+      )}
+      {status === 'missing' && !closedLock && (
+        <p className="text-xs text-red-500">
+          No funded lock with this ID. It hasn't been created yet, or it was already unlocked, retrieved or declined.
+        </p>
+      )}
+      {status === 'error' && (
+        <p className="text-xs text-red-500">Could not check the lock. Make sure your wallet is on a supported network.</p>
+      )}
+    </div>
+  );
+};
+
+export default LockVerifier;
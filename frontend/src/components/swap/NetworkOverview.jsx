@@ -0,0 +1,48 @@
+"use client";
+
+import { useMemo } from 'react';
+import { useChainEvents } from '@/lib/use-chain-events';
+import { networks, supportedChainIds } from '@/lib/networks';
+import { buildSwaps, SWAP_STATES } from '@/lib/swaps';
+import { getOpenBuyLocks } from '@/lib/order-book';
+
+// Live activity on every registered network, read through the networks' RPCs,
+// so it shows before a wallet is connected
+const NetworkOverview = () => {
+  const { eventsByChain, chainTimes, errors } = useChainEvents(supportedChainIds);
+
+  const stats = useMemo(() => Object.fromEntries(
+    Object.entries(eventsByChain).map(([chainId, events]) => {
+      const swaps = buildSwaps(events);
+      return [chainId, {
+        swaps: swaps.length,
+        completed: swaps.filter(swap => swap.state === SWAP_STATES.COMPLETED).length,
+        openOffers: getOpenBuyLocks(swaps, chainTimes[chainId] ?? null).length,
+      }];
+    })
+  ), [eventsByChain, chainTimes]);
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-left">
+      {Object.values(networks).map(network => {
+        const networkStats = stats[network.chainId];
+        return (
+          <div key={network.chainId} className="border rounded-lg p-4">
+            <h3 className="font-semibold">{network.name}</h3>
+            {errors[network.chainId] ? (
+              <p className="text-sm text-red-500">Network unreachable</p>
+            ) : networkStats ? (
+              <p className="text-sm text-gray-600">
+                {networkStats.openOffers} open offer{networkStats.openOffers !== 1 ? 's' : ''}, {networkStats.swaps} swap{networkStats.swaps !== 1 ? 's' : ''}, {networkStats.completed} completed
+              </p>
+            ) : (
+              <p className="text-sm text-gray-500">Loading activity...</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default NetworkOverview;
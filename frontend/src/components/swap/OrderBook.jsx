@@ -0,0 +1,113 @@
+"use client";
+
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { useBlockchain } from '@/lib/blockchain-context';
+import { useTokensMetadata } from '@/lib/use-token-metadata';
+import { useLockValues } from '@/lib/use-lock-values';
+import { useChainTime } from '@/lib/use-chain-time';
+import { formatTokenAmount } from '@/lib/token-metadata';
+import { formatDuration } from '@/lib/timeouts';
+import { getOpenBuyLocks, buildOrderBook, getOfferQuantity, getResponseDuration, buildSellDraft } from '@/lib/order-book';
+import AssetBadge from './AssetBadge';
+
+const formatShort = (value) => `${value.substring(0, 6)}...${value.substring(value.length - 4)}`;
+
+// Every open buy lock on the contract, grouped by the asset it wants
+const OrderBook = ({ onRespond }) => {
+  const { swaps, account, swapContract } = useBlockchain();
+  const { chainTime } = useChainTime();
+
+  const openLocks = getOpenBuyLocks(swaps, chainTime);
+  const lockValues = useLockValues(openLocks.map(leg => leg.lockId));
+  const tokenMetadata = useTokensMetadata(openLocks.map(leg => leg.token));
+
+  // Hide locks the contract reports as empty (unlocked, retrieved or declined
+  // before the events caught up); keep ones still being checked
+  const fundedLocks = openLocks.filter(leg => lockValues[leg.lockId.toLowerCase()] !== 0n);
+  const groups = buildOrderBook(fundedLocks);
+
+  const formatAmount = (value, token) => {
+    const metadata = tokenMetadata[token.toLowerCase()];
+    return metadata
+      ? `${formatTokenAmount(value, metadata.decimals)} ${metadata.symbol}`
+      : `${value} (raw units)`;
+  };
+
+  const getFundingLabel = (leg) => {
+    const value = lockValues[leg.lockId.toLowerCase()];
+    if (value === undefined) return <span className="text-gray-500">Checking...</span>;
+    if (value === null) return <span className="text-yellow-600">Unverified</span>;
+    return <span className="text-green-600">Funded</span>;
+  };
+
+  const renderAction = (leg) => {
+    const normalized = account ? account.toLowerCase() : null;
+    if (leg.creator.toLowerCase() === normalized) {
+      return <span className="text-xs text-gray-500">Your offer</span>;
+    }
+    if (leg.recipient.toLowerCase() !== normalized) {
+      return (
+        <span className="text-xs text-gray-500" title={leg.recipient}>
+          Reserved for {formatShort(leg.recipient)}
+        </span>
+      );
+    }
+    if (getResponseDuration(leg, chainTime) === null) {
+      return <span className="text-xs text-red-500">Expires too soon to answer safely</span>;
+    }
+    return (
+      <Button size="sm" onClick={() => onRespond(buildSellDraft(leg, chainTime))}>
+        Respond with LockSell
+      </Button>
+    );
+  };
+
+  return (
+    <Card className="w-full max-w-md mx-auto">
+      <CardHeader>
+        <CardTitle>Order Book</CardTitle>
+        <CardDescription>
+          Open buy locks waiting for a LockSell, best price first
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {!swapContract && (
+          <p className="text-sm text-gray-500">Connect your wallet to check which offers are still funded.</p>
+        )}
+        {groups.length === 0 && (
+          <p className="text-sm text-gray-500">No open buy locks.</p>
+        )}
+        {groups.map(group => (
+          <div key={group.key} className="space-y-2">
+            <h3 className="text-sm font-medium">
+              <AssetBadge assetId={group.sellAssetId} />
+              {' '}paid in {tokenMetadata[group.token.toLowerCase()]?.symbol || formatShort(group.token)}
+            </h3>
+            {group.offers.map(leg => {
+              const quantity = getOfferQuantity(leg);
+              return (
+                <div key={leg.lockId} className="p-3 border rounded-md text-xs space-y-1">
+                  <div className="flex justify-between">
+                    <span className="font-medium">{formatAmount(leg.event.sellPrice, leg.token)} per unit</span>
+                    {getFundingLabel(leg)}
+                  </div>
+                  <div className="flex justify-between text-gray-600">
+                    <span>Locked: {formatAmount(leg.value, leg.token)}{quantity !== null && ` (${quantity} units)`}</span>
+                    <span>{chainTime !== null ? `${formatDuration(leg.timeout - chainTime)} left` : ''}</span>
+                  </div>
+                  <div className="flex justify-between items-center">
+                    <span className="text-gray-500" title={leg.creator}>Buyer {formatShort(leg.creator)}</span>
+                    {renderAction(leg)}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default OrderBook;
@@ -5,20 +5,32 @@ import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { useBlockchain } from '@/lib/blockchain-context';
+import { tryCalculateLockId } from '@/lib/lock-id';
+import LockVerifier from './LockVerifier';
+import { isVaultUnlocked, saveSecret } from '@/lib/secret-vault';
+import { DEFAULT_BUY_DURATION, checkBuyTimeout, toAbsoluteTimeout } from '@/lib/timeouts';
+import { useChainTime } from '@/lib/use-chain-time';
+import TimeoutPicker from './TimeoutPicker';
 
 const SecretGenerator = () => {
   const [secret, setSecret] = useState('');
   const [hashedSecret, setHashedSecret] = useState('');
   const [lockId, setLockId] = useState('');
   const [customToken, setCustomToken] = useState(''); // Default to USDT
-  const [customTimeout, setCustomTimeout] = useState('3600');
+  const [recipient, setRecipient] = useState('');
+  const [duration, setDuration] = useState(DEFAULT_BUY_DURATION); // Lock duration in seconds
+  const [vaultStatus, setVaultStatus] = useState(null);
   const [copiedStates, setCopiedStates] = useState({
     secret: false,
     hashedSecret: false,
     lockId: false
   });
   
-  const { account, calculateLockId } = useBlockchain();
+  const { account, chainId } = useBlockchain();
+  const { chainTime } = useChainTime();
+
+  // Absolute timeout for the lock, from the latest block time
+  const customTimeout = chainTime !== null ? toAbsoluteTimeout(duration, chainTime) : null;
 
   const generateSecret = () => {
     try {
@@ -32,38 +44,44 @@ const SecretGenerator = () => {
         ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [secret])
       );
       setHashedSecret(hashedSecret);
-      
-      // Calculate the lock ID using the real context function
-      if (account && customToken) {
-        const lockId = calculateLockId(
-          customToken, 
-          account, 
-          hashedSecret,
-          Number(customTimeout)
-        );
-        setLockId(lockId);
+
+      // Keep a copy in the vault when it is unlocked
+      if (isVaultUnlocked()) {
+        saveSecret({
+          secret,
+          token: ethers.isAddress(customToken) ? customToken : null,
+          counterparty: ethers.isAddress(recipient) ? recipient : null,
+          timeout: customTimeout || null,
+          chainId
+        })
+          .then(() => setVaultStatus('saved'))
+          .catch(error => {
+            console.error("Error saving secret to vault:", error);
+            setVaultStatus('error');
+          });
+      } else {
+        setVaultStatus('locked');
       }
-      
-      console.log("🔐 Lock ID:", lockId);
-      console.log("🔑 Secret (save this safely):", secret);
-      console.log("# Hashed Secret:", hashedSecret);
     } catch (error) {
       console.error("Error generating secret:", error);
     }
   };
   
-  // Update lock ID when inputs change
+  // Update lock ID when inputs change - it matches the on-chain ID only once
+  // token, recipient and timeout are exactly what will be passed to lockBuy
   useEffect(() => {
-    if (hashedSecret && account && customToken) {
-      const newLockId = calculateLockId(
-        customToken, 
-        account, 
-        hashedSecret,
-        Number(customTimeout)
-      );
-      setLockId(newLockId);
+    const newLockId = tryCalculateLockId(
+      customToken, 
+      account, 
+      recipient,
+      hashedSecret,
+      customTimeout
+    );
+    setLockId(newLockId || '');
+    if (newLockId) {
+      console.log("🔐 Lock ID:", newLockId);
     }
-  }, [hashedSecret, account, customToken, customTimeout, calculateLockId]);
+  }, [hashedSecret, account, customToken, recipient, customTimeout]);
 
   const copyToClipboard = (text, field) => {
     navigator.clipboard.writeText(text)
@@ -100,17 +118,26 @@ const SecretGenerator = () => {
           </div>
           
           <div className="space-y-2">
-            <Label htmlFor="customTimeout">Timeout in Seconds</Label>
+            <Label htmlFor="recipient">Recipient Address (for Lock ID calculation)</Label>
             <Input
-              id="customTimeout"
-              type="number"
-              value={customTimeout}
-              onChange={(e) => setCustomTimeout(e.target.value)}
-              min="60"
+              id="recipient"
+              value={recipient}
+              onChange={(e) => setRecipient(e.target.value)}
+              placeholder="0x..."
             />
-            <p className="text-xs text-gray-500">Recommended: 3600 (1 hour) for testing, longer for production use</p>
           </div>
           
+          <TimeoutPicker
+            id="customTimeout"
+            label="Lock Duration (hours)"
+            duration={duration}
+            onDurationChange={setDuration}
+            chainTime={chainTime}
+            issues={customTimeout !== null ? checkBuyTimeout(customTimeout, chainTime) : []}
+          >
+            <p className="text-xs text-gray-500">The Lock ID only matches if the lock is created with exactly this timeout.</p>
+          </TimeoutPicker>
+          
           <Button onClick={generateSecret} className="w-full">
             Generate Random Secret
           </Button>
@@ -131,6 +158,15 @@ const SecretGenerator = () => {
                 </Label>
                 <Input id="secret" value={secret} readOnly className="font-mono text-xs" />
                 <p className="text-xs text-red-500 font-semibold">Keep this value private until you want to unlock the tokens!</p>
+                {vaultStatus === 'saved' && (
+                  <p className="text-xs text-green-600">Saved to your secret vault.</p>
+                )}
+                {vaultStatus === 'locked' && (
+                  <p className="text-xs text-amber-600">Your secret vault is locked, so this secret was not saved. Copy it somewhere safe.</p>
+                )}
+                {vaultStatus === 'error' && (
+                  <p className="text-xs text-red-500">Could not save this secret to your vault. Copy it somewhere safe.</p>
+                )}
               </div>
               
               <div className="space-y-2">
@@ -163,6 +199,7 @@ const SecretGenerator = () => {
                     </Button>
                   </Label>
                   <Input id="lockId" value={lockId} readOnly className="font-mono text-xs" />
+                  <LockVerifier lockId={lockId} tokenAddress={customToken} />
                 </div>
               )}
               
@@ -172,8 +209,9 @@ const SecretGenerator = () => {
                 <p>Hashed Secret: <span className="text-green-500">{hashedSecret.substring(0, 10)}...{hashedSecret.substring(hashedSecret.length - 8)}</span> (PUBLIC)</p>
                 {lockId && <p>Lock ID: {lockId.substring(0, 10)}...{lockId.substring(lockId.length - 8)}</p>}
                 <p>Creator: {account || "Not connected"}</p>
+                <p>Recipient: {recipient || "Not set"}</p>
                 <p>Token: {customToken.substring(0, 10)}...{customToken.substring(customToken.length - 8)}</p>
-                <p>Timeout: {customTimeout}s</p>
+                <p>Timeout: {customTimeout ?? "Not resolved"}</p>
               </div>
             </>
           )}
@@ -0,0 +1,116 @@
+"use client";
+
+import { useState } from 'react';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useSecretVault } from '@/lib/use-secret-vault';
+import { VAULT_METHODS } from '@/lib/secret-vault';
+import { Lock as LockIcon, Unlock as UnlockIcon } from 'lucide-react';
+
+// Unlock/lock controls for the encrypted secret vault
+const SecretVault = () => {
+  const [passphrase, setPassphrase] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const vault = useSecretVault();
+
+  const runUnlock = async (unlockFn) => {
+    setLoading(true);
+    setError(null);
+    try {
+      await unlockFn();
+      setPassphrase('');
+    } catch (error) {
+      console.error("Error unlocking secret vault:", error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePassphraseSubmit = (e) => {
+    e.preventDefault();
+    runUnlock(() => vault.unlockWithPassphrase(passphrase));
+  };
+
+  if (!vault.supported) {
+    return (
+      <Card className="w-full max-w-lg mx-auto mt-4">
+        <CardHeader>
+          <CardTitle>Secret Vault</CardTitle>
+          <CardDescription>
+            This browser can't store secrets securely. Save your secrets somewhere safe before locking tokens.
+          </CardDescription>
+        </CardHeader>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="w-full max-w-lg mx-auto mt-4">
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          {vault.unlocked ? <UnlockIcon className="h-5 w-5 mr-2" /> : <LockIcon className="h-5 w-5 mr-2" />}
+          Secret Vault
+        </CardTitle>
+        <CardDescription>
+          Secrets you generate are encrypted and stored in this browser, so you can still unlock after closing the tab.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {vault.unlocked ? (
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-green-600">Unlocked. New secrets are saved automatically.</p>
+            <Button variant="outline" size="sm" onClick={vault.lock}>
+              Lock
+            </Button>
+          </div>
+        ) : (
+          <>
+            {!vault.initialized && (
+              <p className="text-sm text-gray-600">
+                No vault yet. Choose a passphrase or use your wallet signature to create one.
+              </p>
+            )}
+
+            {vault.method !== VAULT_METHODS.SIGNATURE && (
+              <form onSubmit={handlePassphraseSubmit} className="space-y-2">
+                <Label htmlFor="vaultPassphrase">Passphrase</Label>
+                <div className="flex space-x-2">
+                  <Input
+                    id="vaultPassphrase"
+                    type="password"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    placeholder={vault.initialized ? "Vault passphrase" : "Choose a passphrase"}
+                  />
+                  <Button type="submit" disabled={loading || !passphrase}>
+                    {vault.initialized ? "Unlock" : "Create"}
+                  </Button>
+                </div>
+              </form>
+            )}
+
+            {vault.method !== VAULT_METHODS.PASSPHRASE && (
+              <Button
+                variant="outline"
+                className="w-full"
+                onClick={() => runUnlock(vault.unlockWithWallet)}
+                disabled={loading}
+              >
+                {vault.initialized ? "Unlock with wallet signature" : "Create with wallet signature"}
+              </Button>
+            )}
+
+            {error && <p className="text-sm text-red-500">{error}</p>}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SecretVault;
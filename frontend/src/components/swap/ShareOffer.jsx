@@ -0,0 +1,74 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { useBlockchain } from '@/lib/blockchain-context';
+import { createSwapOffer, signSwapOffer, getOfferUrl } from '@/lib/swap-offer';
+
+// Sign a freshly created LockBuy as a swap offer and share it as a link or QR code
+const ShareOffer = ({ transactionHash, lock }) => {
+  const { signer, chainId, swapContract } = useBlockchain();
+  const [offerUrl, setOfferUrl] = useState(null);
+  const [qrCode, setQrCode] = useState(null);
+  const [signing, setSigning] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  // A new lock needs a new offer
+  useEffect(() => {
+    setOfferUrl(null);
+    setQrCode(null);
+  }, [transactionHash]);
+
+  const handleCreateLink = async () => {
+    setSigning(true);
+    try {
+      const offer = createSwapOffer({ chainId, contract: swapContract.target, transactionHash, lock });
+      const url = getOfferUrl(await signSwapOffer(signer, offer));
+      setOfferUrl(url);
+      setQrCode(await QRCode.toDataURL(url, { errorCorrectionLevel: 'L', margin: 1, width: 256 }));
+    } catch (error) {
+      console.error("Error creating offer link:", error);
+      alert(`Could not create the offer link: ${error.message}`);
+    } finally {
+      setSigning(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(offerUrl);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  if (!offerUrl) {
+    return (
+      <div className="space-y-1">
+        <Button type="button" variant="outline" size="sm" onClick={handleCreateLink} disabled={signing || !signer}>
+          {signing ? "Waiting for signature..." : "Create offer link"}
+        </Button>
+        <p className="text-xs text-gray-500">
+          Sign the lock details and send the link or QR code to the recipient, so they can answer with a Lock Sell.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex space-x-2">
+        <Input value={offerUrl} readOnly className="font-mono text-xs" />
+        <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+          {copied ? "Copied" : "Copy"}
+        </Button>
+      </div>
+      {qrCode && (
+        // eslint-disable-next-line @next/next/no-img-element
+        <img src={qrCode} alt="Swap offer QR code" className="mx-auto w-48 h-48" />
+      )}
+    </div>
+  );
+};
+
+export default ShareOffer;
@@ -0,0 +1,317 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useBlockchain } from '@/lib/blockchain-context';
+import { useTokenMetadata } from '@/lib/use-token-metadata';
+import { useChainTime } from '@/lib/use-chain-time';
+import { parseAmountForToken, formatTokenAmount } from '@/lib/token-metadata';
+import { DEFAULT_BUY_DURATION, formatTimeout, toAbsoluteTimeout } from '@/lib/timeouts';
+import { parseAssetInput, registerAssetInput } from '@/lib/assets';
+import {
+  createSwapIntent,
+  signSwapIntent,
+  acceptSwapIntent,
+  exportSwapIntent,
+  importSwapIntent,
+  verifySwapIntent,
+  canAcceptIntent,
+  buildBuyDraft,
+} from '@/lib/swap-intent';
+import TimeoutPicker from './TimeoutPicker';
+import AssetPicker from './AssetPicker';
+import AssetBadge from './AssetBadge';
+
+const textAreaClass = "w-full h-32 p-2 border rounded-md font-mono text-xs";
+
+// Exported intent JSON with copy and download buttons
+const IntentExport = ({ signedIntent }) => {
+  const [copied, setCopied] = useState(false);
+  const text = exportSwapIntent(signedIntent);
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(text);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `swap-intent-${signedIntent.intent.nonce.substring(2, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-2">
+      <textarea className={textAreaClass} value={text} readOnly />
+      <div className="flex space-x-2">
+        <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+          {copied ? "Copied" : "Copy"}
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={handleDownload}>Download</Button>
+      </div>
+    </div>
+  );
+};
+
+// Off-chain offers: the buyer signs the terms, the counterparty countersigns
+// them, and only then does the buyer lock with exactly those terms
+const SwapIntents = ({ onLock }) => {
+  const { signer, account, chainId, swapContract, isConnected } = useBlockchain();
+  const { chainTime } = useChainTime();
+
+  // Create
+  const [tokenAddress, setTokenAddress] = useState('');
+  const [amount, setAmount] = useState('10');
+  const [assetWanted, setAssetWanted] = useState('');
+  const [price, setPrice] = useState('10');
+  const [counterparty, setCounterparty] = useState('');
+  const [validFor, setValidFor] = useState(DEFAULT_BUY_DURATION);
+  const [signing, setSigning] = useState(false);
+  const [createdIntent, setCreatedIntent] = useState(null);
+  const tokenMetadata = useTokenMetadata(tokenAddress);
+  const tokenSymbol = tokenMetadata ? tokenMetadata.symbol : 'tokens';
+
+  // Import
+  const [importText, setImportText] = useState('');
+  const [importError, setImportError] = useState(null);
+  const [importedIntent, setImportedIntent] = useState(null);
+  const [acceptedIntent, setAcceptedIntent] = useState(null);
+  const importedMetadata = useTokenMetadata(importedIntent ? importedIntent.intent.token : '');
+
+  useEffect(() => {
+    setAcceptedIntent(null);
+  }, [importedIntent]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (!isConnected) {
+      alert("Please connect your wallet first");
+      return;
+    }
+    if (!ethers.isAddress(tokenAddress)) {
+      alert("Please enter a valid token address");
+      return;
+    }
+    if (counterparty && !ethers.isAddress(counterparty)) {
+      alert("Please enter a valid counterparty address, or leave it empty to let anyone accept");
+      return;
+    }
+    if (!tokenMetadata) {
+      alert("The token details are still loading");
+      return;
+    }
+
+    setSigning(true);
+    try {
+      const intent = createSwapIntent({
+        maker: account,
+        token: tokenAddress,
+        amount: parseAmountForToken(amount, tokenMetadata),
+        assetWanted: parseAssetInput(assetWanted),
+        price: parseAmountForToken(price, tokenMetadata),
+        counterparty: counterparty || null,
+        expiry: toAbsoluteTimeout(validFor, chainTime ?? Math.floor(Date.now() / 1000)),
+      });
+      registerAssetInput(assetWanted);
+      setCreatedIntent(await signSwapIntent(signer, intent, { chainId, contract: swapContract.target }));
+    } catch (error) {
+      console.error("Error signing swap intent:", error);
+      alert(`Could not sign the intent: ${error.message}`);
+    } finally {
+      setSigning(false);
+    }
+  };
+
+  const handleImport = () => {
+    setImportError(null);
+    setImportedIntent(null);
+    try {
+      setImportedIntent(importSwapIntent(importText));
+    } catch (error) {
+      console.error("Error importing swap intent:", error);
+      setImportError(error.message);
+    }
+  };
+
+  const handleAccept = async () => {
+    setSigning(true);
+    try {
+      setAcceptedIntent(await acceptSwapIntent(signer, importedIntent));
+    } catch (error) {
+      console.error("Error accepting swap intent:", error);
+      alert(`Could not accept the intent: ${error.message}`);
+    } finally {
+      setSigning(false);
+    }
+  };
+
+  const issues = importedIntent && swapContract
+    ? verifySwapIntent(importedIntent, {
+        chainId,
+        contract: swapContract.target,
+        now: chainTime ?? Math.floor(Date.now() / 1000),
+      })
+    : [];
+  const isValid = importedIntent && swapContract && issues.length === 0;
+  const terms = importedIntent ? importedIntent.intent : null;
+  const isMaker = terms && account && terms.maker.toLowerCase() === account.toLowerCase();
+
+  const formatAmount = (value) => importedMetadata
+    ? `${formatTokenAmount(value, importedMetadata.decimals)} ${importedMetadata.symbol}`
+    : `${value} (raw units)`;
+
+  return (
+    <Card className="w-full max-w-md mx-auto">
+      <CardHeader>
+        <CardTitle>Off-chain Offers</CardTitle>
+        <CardDescription>
+          Agree on the terms with a signed offer before locking any tokens
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <form onSubmit={handleCreate} className="space-y-4">
+          <h3 className="font-medium">Create an offer</h3>
+          <div className="space-y-2">
+            <Label htmlFor="intentToken">Token to Pay With</Label>
+            <Input
+              id="intentToken"
+              placeholder="0x"
+              value={tokenAddress}
+              onChange={(e) => setTokenAddress(e.target.value)}
+              required
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="intentAmount">Amount ({tokenSymbol})</Label>
+            <Input
+              id="intentAmount"
+              type="number"
+              step="any"
+              min="0"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              required
+            />
+          </div>
+          <AssetPicker
+            id="intentAsset"
+            label="Asset Wanted"
+            value={assetWanted}
+            onChange={setAssetWanted}
+            required
+          />
+          <div className="space-y-2">
+            <Label htmlFor="intentPrice">Price per Unit ({tokenSymbol})</Label>
+            <Input
+              id="intentPrice"
+              type="number"
+              step="any"
+              min="0"
+              value={price}
+              onChange={(e) => setPrice(e.target.value)}
+              required
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="intentCounterparty">Counterparty (optional)</Label>
+            <Input
+              id="intentCounterparty"
+              placeholder="Anyone"
+              value={counterparty}
+              onChange={(e) => setCounterparty(e.target.value)}
+            />
+          </div>
+          <TimeoutPicker
+            id="intentExpiry"
+            label="Offer Valid For (hours)"
+            duration={validFor}
+            onDurationChange={setValidFor}
+            chainTime={chainTime}
+          />
+          <Button type="submit" className="w-full" disabled={signing || !isConnected}>
+            {signing ? "Waiting for signature..." : "Sign Offer"}
+          </Button>
+          {createdIntent && (
+            <>
+              <p className="text-xs text-gray-500">
+                Send this to the counterparty. Nothing is locked until they accept and you create the Lock Buy.
+              </p>
+              <IntentExport signedIntent={createdIntent} />
+            </>
+          )}
+        </form>
+
+        <div className="space-y-3 border-t pt-4">
+          <h3 className="font-medium">Import an offer</h3>
+          <textarea
+            className={textAreaClass}
+            placeholder="Paste an offer or an accepted offer"
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+          />
+          <Button type="button" variant="outline" size="sm" onClick={handleImport} disabled={!importText.trim()}>
+            Verify
+          </Button>
+          {importError && <p className="text-sm text-red-500">{importError}</p>}
+
+          {terms && (
+            <div className="space-y-1 text-xs">
+              <p>Buyer: <span className="font-mono">{terms.maker}</span></p>
+              <p>Pays: {formatAmount(terms.amount)}</p>
+              <p>For: <AssetBadge assetId={terms.assetWanted} /> at {formatAmount(terms.price)} per unit</p>
+              <p>Counterparty: {terms.counterparty === ethers.ZeroAddress ? "Anyone" : <span className="font-mono">{terms.counterparty}</span>}</p>
+              <p>Valid until: {formatTimeout(terms.expiry)}</p>
+              {importedIntent.acceptance && (
+                <p>Accepted by: <span className="font-mono">{importedIntent.acceptance.taker}</span></p>
+              )}
+            </div>
+          )}
+          {importedIntent && !isConnected && (
+            <p className="text-sm text-gray-500">Connect your wallet to verify the offer.</p>
+          )}
+          {issues.map(issue => (
+            <p key={issue.message} className="text-sm text-red-500">{issue.message}</p>
+          ))}
+          {isValid && (
+            <p className="text-sm text-green-600">
+              {importedIntent.acceptance ? "The offer and its acceptance are validly signed." : "The offer is validly signed."}
+            </p>
+          )}
+
+          {isValid && !importedIntent.acceptance && canAcceptIntent(terms, account) && !acceptedIntent && (
+            <Button size="sm" onClick={handleAccept} disabled={signing}>
+              {signing ? "Waiting for signature..." : "Accept Terms"}
+            </Button>
+          )}
+          {isValid && !importedIntent.acceptance && isMaker && (
+            <p className="text-xs text-gray-500">This is your offer. Wait for the counterparty to send it back accepted.</p>
+          )}
+          {acceptedIntent && (
+            <>
+              <p className="text-xs text-gray-500">
+                Send the accepted offer back to the buyer. Once they lock, answer it with a Lock Sell.
+              </p>
+              <IntentExport signedIntent={acceptedIntent} />
+            </>
+          )}
+          {isValid && importedIntent.acceptance && isMaker && (
+            <Button size="sm" onClick={() => onLock(buildBuyDraft(importedIntent))}>
+              Lock Buy with these terms
+            </Button>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SwapIntents;
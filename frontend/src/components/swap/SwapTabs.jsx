@@ -1,5 +1,6 @@
 "use client";
 
+import { useState } from "react";
 import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/components/ui/tabs";
 import LockBuy from "./LockBuy";
 import LockSell from "./LockSell";
@@ -7,37 +8,67 @@ import Unlock from "./Unlock";
 import Retrieve from "./Retrieve";
 import Decline from "./Decline";
 import SecretGenerator from "./SecretGenerator";
+import OrderBook from "./OrderBook";
+import IncomingOffer from "./IncomingOffer";
+import SwapIntents from "./SwapIntents";
 
 const SwapTabs = () => {
+  const [tab, setTab] = useState("lockBuy");
+  // LockSell form values picked from the order book or an offer link
+  const [sellDraft, setSellDraft] = useState(null);
+  // LockBuy form values from an accepted off-chain intent
+  const [buyDraft, setBuyDraft] = useState(null);
+
+  const handleRespond = (draft) => {
+    setSellDraft(draft);
+    setTab("lockSell");
+  };
+
+  const handleLock = (draft) => {
+    setBuyDraft(draft);
+    setTab("lockBuy");
+  };
+
   return (
-    <Tabs defaultValue="lockBuy" className="w-full max-w-lg mx-auto">
-      <TabsList className="grid grid-cols-3 w-full">
-        <TabsTrigger value="lockBuy">Buy</TabsTrigger>
-        <TabsTrigger value="lockSell">Sell</TabsTrigger>
-        {/* <TabsTrigger value="unlock">Unlock</TabsTrigger> */}
-        <TabsTrigger value="retrieve">Retrieve</TabsTrigger>
-        {/* <TabsTrigger value="decline">Decline</TabsTrigger> */}
-        {/* <TabsTrigger value="secretGen">Secret</TabsTrigger> */}
-      </TabsList>
-      <TabsContent value="lockBuy">
-        <LockBuy />
-      </TabsContent>
-      <TabsContent value="lockSell">
-        <LockSell />
-      </TabsContent>
-      {/* <TabsContent value="unlock">
-        <Unlock />
-      </TabsContent> */}
-      <TabsContent value="retrieve">
-        <Retrieve />
-      </TabsContent>
-      {/* <TabsContent value="decline">
-        <Decline />
-      </TabsContent> */}
-      {/* <TabsContent value="secretGen">
-        <SecretGenerator />
-      </TabsContent> */}
-    </Tabs>
+    <>
+      <IncomingOffer onRespond={handleRespond} />
+      <Tabs value={tab} onValueChange={setTab} className="w-full max-w-lg mx-auto">
+        <TabsList className="grid grid-cols-5 w-full">
+          <TabsTrigger value="lockBuy">Buy</TabsTrigger>
+          <TabsTrigger value="lockSell">Sell</TabsTrigger>
+          <TabsTrigger value="orderBook">Offers</TabsTrigger>
+          <TabsTrigger value="intents">Terms</TabsTrigger>
+          {/* <TabsTrigger value="unlock">Unlock</TabsTrigger> */}
+          <TabsTrigger value="retrieve">Retrieve</TabsTrigger>
+          {/* <TabsTrigger value="decline">Decline</TabsTrigger> */}
+          {/* <TabsTrigger value="secretGen">Secret</TabsTrigger> */}
+        </TabsList>
+        <TabsContent value="lockBuy">
+          <LockBuy draft={buyDraft} />
+        </TabsContent>
+        <TabsContent value="lockSell">
+          <LockSell draft={sellDraft} />
+        </TabsContent>
+        <TabsContent value="orderBook">
+          <OrderBook onRespond={handleRespond} />
+        </TabsContent>
+        <TabsContent value="intents">
+          <SwapIntents onLock={handleLock} />
+        </TabsContent>
+        {/* <TabsContent value="unlock">
+          <Unlock />
+        </TabsContent> */}
+        <TabsContent value="retrieve">
+          <Retrieve />
+        </TabsContent>
+        {/* <TabsContent value="decline">
+          <Decline />
+        </TabsContent> */}
+        {/* <TabsContent value="secretGen">
+          <SecretGenerator />
+        </TabsContent> */}
+      </Tabs>
+    </>
   );
 };
 
@@ -0,0 +1,60 @@
+"use client";
+
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { formatDuration, formatTimeout, toAbsoluteTimeout } from '@/lib/timeouts';
+
+// Lock duration input that shows the absolute timeout it resolves to
+// (latest block time + duration) and any issues with it
+const TimeoutPicker = ({ id, label, duration, onDurationChange, chainTime, issues = [], children }) => {
+  const hours = duration / 3600;
+  const timeout = chainTime !== null && duration > 0 ? toAbsoluteTimeout(duration, chainTime) : null;
+
+  return (
+    <div className="space-y-2">
+      <Label htmlFor={id}>{label}</Label>
+      <Input
+        id={id}
+        type="number"
+        min="0.25"
+        step="0.25"
+        value={Number.isFinite(hours) ? hours : ''}
+        onChange={(e) => onDurationChange(Math.round(Number(e.target.value) * 3600))}
+        required
+      />
+      {timeout !== null ? (
+        <p className="text-xs text-gray-500">
+          Expires {formatTimeout(timeout)} (latest block time + {formatDuration(duration)}). Timeout: {timeout}
+        </p>
+      ) : (
+        <p className="text-xs text-gray-500">Connect your wallet to resolve the timeout from the latest block time.</p>
+      )}
+      {children}
+      {issues.map((issue, index) => (
+        <p
+          key={index}
+          className={`text-xs ${issue.level === 'error' ? 'text-red-500' : 'text-amber-600'}`}
+        >
+          {issue.message}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+// Block on errors and ask for confirmation on warnings (timeout or pre-flight
+// issues) before signing. Returns true when it is safe to continue.
+export const confirmIssues = (issues) => {
+  const errors = issues.filter(issue => issue.level === 'error');
+  if (errors.length > 0) {
+    alert(errors.map(issue => issue.message).join('\n'));
+    return false;
+  }
+  const warnings = issues.filter(issue => issue.level === 'warning');
+  if (warnings.length > 0) {
+    return confirm(`${warnings.map(issue => issue.message).join('\n')}\n\nDo you want to continue anyway?`);
+  }
+  return true;
+};
+
+export default TimeoutPicker;
@@ -0,0 +1,60 @@
+"use client";
+
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useBlockchain } from '@/lib/blockchain-context';
+import { NATIVE_TOKEN, isNativeToken } from '@/lib/token-metadata';
+import { hasContractFeature, CONTRACT_FEATURES } from '@/lib/networks';
+
+// Token address input with a choice of the chain's native currency, which
+// locks use the zero address for, on deployments that accept it. Shows the
+// resolved token metadata.
+const TokenPicker = ({ id, tokenAddress, onTokenAddressChange, tokenMetadata, placeholder = "0x..." }) => {
+  const { chainId } = useBlockchain();
+  const nativeLocks = hasContractFeature(chainId, CONTRACT_FEATURES.NATIVE_LOCKS);
+  const native = isNativeToken(tokenAddress);
+  const nativeSymbol = native && tokenMetadata ? tokenMetadata.symbol : 'ETH';
+
+  return (
+    <div className="space-y-2">
+      <Label htmlFor={id}>Token Address</Label>
+      <div className="flex gap-2">
+        <Input
+          id={id}
+          placeholder={placeholder}
+          value={tokenAddress}
+          onChange={(e) => onTokenAddressChange(e.target.value)}
+          required
+        />
+        {(nativeLocks || native) && (
+          <Button
+            type="button"
+            variant={native ? "default" : "outline"}
+            onClick={() => onTokenAddressChange(native ? '' : NATIVE_TOKEN)}
+            title={native ? "Lock a token instead" : "Lock the chain's native currency"}
+          >
+            {nativeSymbol}
+          </Button>
+        )}
+      </div>
+      {native && !nativeLocks && (
+        <p className="text-xs text-red-500">
+          The swap contract on this network does not accept native currency locks. Please choose an ERC20 token.
+        </p>
+      )}
+      {tokenMetadata && (native ? (
+        <p className="text-xs text-gray-500">
+          {tokenMetadata.name} ({tokenMetadata.symbol}), the native currency. It is sent with the lock, so no approval is needed.
+        </p>
+      ) : (
+        <p className="text-xs text-gray-500">
+          {tokenMetadata.name} ({tokenMetadata.symbol}), {tokenMetadata.decimals} decimals
+          {!tokenMetadata.decimalsKnown && " (assumed - the token does not report its decimals, so enter amounts in base units)"}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+export default TokenPicker;
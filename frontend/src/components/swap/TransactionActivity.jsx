@@ -0,0 +1,75 @@
+"use client";
+
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { useBlockchain } from '@/lib/blockchain-context';
+import { getExplorerUrl, getNetwork } from '@/lib/networks';
+import { TX_STATUS, TX_STATUS_LABELS, isActiveTransaction } from '@/lib/transactions';
+
+const statusClasses = {
+  [TX_STATUS.AWAITING_SIGNATURE]: 'bg-blue-100 text-blue-800',
+  [TX_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800',
+  [TX_STATUS.CONFIRMED]: 'bg-green-100 text-green-800',
+  [TX_STATUS.FAILED]: 'bg-red-100 text-red-800',
+  [TX_STATUS.REPLACED]: 'bg-gray-100 text-gray-800',
+};
+
+const formatHash = (hash) => `${hash.substring(0, 10)}...${hash.substring(hash.length - 6)}`;
+
+const TransactionHash = ({ chainId, hash }) => {
+  const url = getExplorerUrl(chainId, 'tx', hash);
+  return url
+    ? <a href={url} target="_blank" rel="noopener noreferrer" className="font-mono text-blue-600 hover:underline">{formatHash(hash)}</a>
+    : <span className="font-mono" title={hash}>{formatHash(hash)}</span>;
+};
+
+// Every transaction sent from this browser, newest first, with its current state
+const TransactionActivity = () => {
+  const { transactions, clearFinishedTransactions } = useBlockchain();
+  const [open, setOpen] = useState(false);
+  const activeCount = transactions.filter(isActiveTransaction).length;
+
+  return (
+    <div className="relative">
+      <Button variant="outline" size="sm" className="px-3 py-2 h-auto" onClick={() => setOpen(!open)}>
+        Activity{activeCount > 0 && ` (${activeCount} pending)`}
+      </Button>
+
+      {open && (
+        <div className="absolute right-0 z-10 mt-2 w-80 max-h-96 overflow-y-auto rounded-md border bg-white p-3 shadow-lg space-y-2">
+          <div className="flex justify-between items-center">
+            <h3 className="font-medium text-sm">Transactions</h3>
+            {transactions.length > activeCount && (
+              <Button variant="ghost" size="sm" onClick={clearFinishedTransactions}>Clear finished</Button>
+            )}
+          </div>
+          {transactions.length === 0 && (
+            <p className="text-xs text-gray-500">No transactions yet.</p>
+          )}
+          {transactions.map(record => (
+            <div key={record.id} className="p-2 border rounded-md text-xs space-y-1">
+              <div className="flex justify-between items-center">
+                <span className="font-medium capitalize">{record.description}</span>
+                <span className={`px-2 py-0.5 rounded-full ${statusClasses[record.status]}`}>
+                  {TX_STATUS_LABELS[record.status]}
+                </span>
+              </div>
+              <div className="flex justify-between text-gray-500">
+                <span>{getNetwork(record.chainId)?.name || `Chain ${record.chainId}`}</span>
+                <span>{new Date(record.createdAt).toLocaleString()}</span>
+              </div>
+              {record.hash && <p>Hash: <TransactionHash chainId={record.chainId} hash={record.hash} /></p>}
+              {record.replacementHash && (
+                <p>{record.status === TX_STATUS.REPLACED ? 'Replaced by' : 'Sped up as'}: <TransactionHash chainId={record.chainId} hash={record.replacementHash} /></p>
+              )}
+              {record.blockNumber !== null && <p className="text-gray-500">Block {record.blockNumber}</p>}
+              {record.error && <p className="text-red-500">{record.error}</p>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TransactionActivity;
@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
 import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
@@ -7,6 +7,8 @@ import { Label } from '@/components/ui/label';
 import { useBlockchain } from '@/lib/blockchain-context';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
 import { InfoCircledIcon } from "@radix-ui/react-icons";
+import { LEG_STATUS } from '@/lib/swaps';
+import { useVaultSecret } from '@/lib/use-secret-vault';
 
 const Unlock = () => {
   const [tokenAddress, setTokenAddress] = useState(''); // Default to USDT
@@ -21,7 +23,28 @@ const Unlock = () => {
   });
   const [lastTransaction, setLastTransaction] = useState(null);
 
-  const { unlock, isConnected, isCorrectNetwork, switchToCorrectNetwork } = useBlockchain();
+  const { unlock, isConnected, isCorrectNetwork, switchToCorrectNetwork, swaps, account } = useBlockchain();
+
+  // The open lock these details point to, if it is among the loaded events
+  const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+  const matchingLock = swaps
+    .flatMap(swap => [swap.buyLock, swap.sellLock])
+    .find(leg =>
+      leg &&
+      leg.status === LEG_STATUS.LOCKED &&
+      sameAddress(leg.token, tokenAddress) &&
+      sameAddress(leg.creator, creator) &&
+      sameAddress(leg.recipient, account) &&
+      Number(leg.timeout) === Number(timeout)
+    );
+
+  // Pre-fill the secret from the vault when it holds one for this lock
+  const vaultEntry = useVaultSecret(matchingLock ? matchingLock.hashedSecret : null);
+  useEffect(() => {
+    if (vaultEntry) {
+      setSecret(current => current || vaultEntry.secret);
+    }
+  }, [vaultEntry]);
 
   const copyToClipboard = (text, field) => {
     if (!text) return;
@@ -219,6 +242,9 @@ const Unlock = () => {
                 </Button>
               )}
             </div>
+            {vaultEntry && secret === vaultEntry.secret && (
+              <p className="text-xs text-green-600">Secret loaded from your vault.</p>
+            )}
             <p className="text-xs text-gray-500">
               Enter the secret provided by the counterparty. This should be a 0x-prefixed hex value or plain text.
               The secret is used to unlock the tokens locked for you.
@@ -249,8 +275,7 @@ const Unlock = () => {
               required
             />
             <p className="text-xs text-gray-500">
-              This should match the timeout value from the lock. Small values (e.g., 3600) are treated as duration.
-              Large values are treated as Unix timestamps.
+              This must match the lock's timeout exactly: the absolute Unix timestamp shown on the lock event.
             </p>
           </div>
           
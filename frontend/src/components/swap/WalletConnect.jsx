@@ -2,13 +2,17 @@
 
 import { useBlockchain } from '@/lib/blockchain-context';
 import { Button } from '@/components/ui/button';
+import { networks } from '@/lib/networks';
 
 const WalletConnect = () => {
   const { 
     isConnected, 
     account, 
     connectWallet, 
-    disconnectWallet 
+    disconnectWallet,
+    readOnly,
+    chainId,
+    browseNetwork
   } = useBlockchain();
 
   const formatAddress = (address) => {
@@ -40,12 +44,28 @@ const WalletConnect = () => {
           </div>
         </>
       ) : (
-        <Button
-          onClick={connectWallet}
-          className="px-3 py-2 h-auto"
-        >
-          Connect Wallet
-        </Button>
+        <>
+          {/* Without a wallet, pick the network to browse read-only */}
+          {readOnly && (
+            <select
+              aria-label="Network"
+              title="Browsing read-only"
+              className="border rounded-md px-2 py-1 text-sm bg-white"
+              value={Number(chainId)}
+              onChange={(e) => browseNetwork(Number(e.target.value))}
+            >
+              {Object.values(networks).map(network => (
+                <option key={network.chainId} value={network.chainId}>{network.name} (read-only)</option>
+              ))}
+            </select>
+          )}
+          <Button
+            onClick={connectWallet}
+            className="px-3 py-2 h-auto"
+          >
+            Connect Wallet
+          </Button>
+        </>
       )}
     </div>
   );
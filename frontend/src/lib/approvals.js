@@ -0,0 +1,62 @@
+// Approval strategy per token: how much the swap contract is approved for when
+// a lock needs an allowance. 'exact' approves each lock's value, so nothing is
+// left approved afterwards; 'unlimited' approves the maximum once, so later
+// locks of that token need no approval at all. Strategies are kept in
+// localStorage, keyed by chain and token.
+import { ethers } from 'ethers';
+
+const STORAGE_KEY = 'p2pswap:approval-strategies';
+
+export const APPROVAL_STRATEGIES = {
+  EXACT: 'exact',
+  UNLIMITED: 'unlimited',
+};
+
+export const APPROVAL_STRATEGY_LABELS = {
+  [APPROVAL_STRATEGIES.EXACT]: 'Exact amount per lock',
+  [APPROVAL_STRATEGIES.UNLIMITED]: 'Unlimited',
+};
+
+export const DEFAULT_APPROVAL_STRATEGY = APPROVAL_STRATEGIES.EXACT;
+
+const strategyKey = (chainId, tokenAddress) => `${Number(chainId)}:${tokenAddress.toLowerCase()}`;
+
+// { "<chainId>:<token>": strategy }
+export function loadApprovalStrategies() {
+  if (typeof window === 'undefined' || !window.localStorage) return {};
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn("Could not read approval strategies:", error);
+    return {};
+  }
+}
+
+export function getApprovalStrategy(chainId, tokenAddress) {
+  return loadApprovalStrategies()[strategyKey(chainId, tokenAddress)] || DEFAULT_APPROVAL_STRATEGY;
+}
+
+export function setApprovalStrategy(chainId, tokenAddress, strategy) {
+  if (!Object.values(APPROVAL_STRATEGIES).includes(strategy)) {
+    throw new Error(`Unknown approval strategy: ${strategy}`);
+  }
+  if (typeof window === 'undefined' || !window.localStorage) return;
+  try {
+    const strategies = loadApprovalStrategies();
+    strategies[strategyKey(chainId, tokenAddress)] = strategy;
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(strategies));
+  } catch (error) {
+    console.warn("Could not save approval strategy:", error);
+  }
+}
+
+// Amount to approve for a lock of `value` under a strategy
+export function getApprovalAmount(strategy, value) {
+  return strategy === APPROVAL_STRATEGIES.UNLIMITED ? ethers.MaxUint256 : value;
+}
+
+// Some tokens decrease even a maximum allowance on every transfer, so anything
+// above half the maximum is shown as unlimited
+export function isUnlimitedAllowance(allowance) {
+  return allowance >= ethers.MaxUint256 / 2n;
+}
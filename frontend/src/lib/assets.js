@@ -0,0 +1,154 @@
+// Asset registry: maps the bytes32 sellAssetId/buyAssetId in locks to the asset
+// they stand for. Asset IDs are derived canonically:
+//   - an ERC20 token: keccak256(abi.encode("erc20", chainId, token))
+//   - a named asset (e.g. a coin on a chain without the contract): keccak256 of
+//     its symbol, which is also what the forms used to do with free text
+// Known hashes resolve to a label and icon; unknown ones stay opaque.
+import { ethers } from 'ethers';
+import { getNetwork } from './networks.js';
+import { getCachedTokenMetadata } from './token-metadata.js';
+
+const STORAGE_KEY = 'p2pswap:assets';
+
+export const ASSET_KINDS = {
+  TOKEN: 'token',
+  NAMED: 'named',
+};
+
+// Asset ID the Lock Buy form has always defaulted to. Its preimage is unknown.
+export const LEGACY_DEFAULT_ASSET_ID = '0x95b58483568979bea3b27def505f49beeda8b41a13274e3622c64e61d087a796';
+
+export function tokenAssetId(chainId, tokenAddress) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ['string', 'uint256', 'address'],
+    ['erc20', BigInt(chainId), ethers.getAddress(tokenAddress)]
+  ));
+}
+
+export function namedAssetId(symbol) {
+  return ethers.id(symbol);
+}
+
+const namedAsset = (symbol, name, color) => ({
+  id: namedAssetId(symbol),
+  kind: ASSET_KINDS.NAMED,
+  symbol,
+  label: name,
+  color,
+});
+
+// Built-in assets. The icon is the symbol on a coloured badge.
+const BUILTIN_ASSETS = [
+  namedAsset('BTC', 'Bitcoin', '#f7931a'),
+  namedAsset('LTC', 'Litecoin', '#345d9d'),
+  namedAsset('DOGE', 'Dogecoin', '#c2a633'),
+  namedAsset('XMR', 'Monero', '#ff6600'),
+  namedAsset('DOT', 'Polkadot', '#e6007a'),
+  namedAsset('KSM', 'Kusama', '#000000'),
+  namedAsset('ACU', 'Acuity', '#2563eb'),
+  {
+    id: LEGACY_DEFAULT_ASSET_ID,
+    kind: ASSET_KINDS.NAMED,
+    symbol: '?',
+    label: 'Default asset (legacy)',
+    color: '#9ca3af',
+  },
+];
+
+export function createTokenAsset(chainId, tokenAddress, { symbol, name } = {}) {
+  const network = getNetwork(chainId);
+  const tokenSymbol = symbol || `${tokenAddress.substring(0, 6)}...`;
+  return {
+    id: tokenAssetId(chainId, tokenAddress),
+    kind: ASSET_KINDS.TOKEN,
+    chainId: Number(chainId),
+    token: ethers.getAddress(tokenAddress),
+    symbol: tokenSymbol,
+    label: `${name || tokenSymbol} on ${network ? network.name : `chain ${chainId}`}`,
+    color: '#6b7280',
+  };
+}
+
+const readCustomAssets = () => {
+  if (typeof window === 'undefined' || !window.localStorage) return [];
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    console.warn("Could not read saved assets:", error);
+    return [];
+  }
+};
+
+// Remember an asset the user picked, so its ID resolves from now on
+export function registerAsset(asset) {
+  if (typeof window === 'undefined' || !window.localStorage) return;
+  if (BUILTIN_ASSETS.some(known => known.id === asset.id)) return;
+  try {
+    const assets = readCustomAssets().filter(known => known.id !== asset.id);
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify([...assets, asset]));
+  } catch (error) {
+    console.warn("Could not save asset:", error);
+  }
+}
+
+export function getKnownAssets() {
+  return [...BUILTIN_ASSETS, ...readCustomAssets()];
+}
+
+// Registry entry for an asset ID, or null. `tokens` lists { chainId, token }
+// candidates (e.g. every token seen in the events) to try as ERC20 assets.
+export function resolveAsset(assetId, tokens = []) {
+  if (!assetId || !ethers.isHexString(assetId, 32)) return null;
+  const id = assetId.toLowerCase();
+
+  const known = getKnownAssets().find(asset => asset.id.toLowerCase() === id);
+  if (known) return known;
+
+  for (const { chainId, token } of tokens) {
+    if (chainId === null || chainId === undefined || !token || !ethers.isAddress(token)) continue;
+    if (tokenAssetId(chainId, token).toLowerCase() === id) {
+      return createTokenAsset(chainId, token, getCachedTokenMetadata(chainId, token) || {});
+    }
+  }
+  return null;
+}
+
+// Known assets matching a search by symbol, label or asset ID prefix
+export function searchAssets(query, limit = 6) {
+  const text = query.trim().toLowerCase();
+  if (!text) return getKnownAssets().slice(0, limit);
+  return getKnownAssets()
+    .filter(asset =>
+      asset.symbol.toLowerCase().startsWith(text) ||
+      asset.label.toLowerCase().includes(text) ||
+      asset.id.toLowerCase().startsWith(text)
+    )
+    .slice(0, limit);
+}
+
+// Turn what was typed into an asset field into an asset ID:
+//   - a bytes32 hex string is used as is
+//   - "<chainId>:<token address>" is an ERC20 token asset
+//   - the symbol of a known asset selects it
+//   - any other text is hashed as a named asset
+// Returns null for empty input.
+export function parseAssetInput(input) {
+  const text = (input || '').trim();
+  if (!text) return null;
+  if (ethers.isHexString(text, 32)) return text;
+
+  const tokenMatch = text.match(/^(\d+):(0x[0-9a-fA-F]{40})$/);
+  if (tokenMatch) return tokenAssetId(tokenMatch[1], tokenMatch[2]);
+
+  const known = getKnownAssets().find(asset => asset.kind === ASSET_KINDS.NAMED && asset.symbol.toLowerCase() === text.toLowerCase());
+  return known ? known.id : namedAssetId(text);
+}
+
+// Register the token asset typed as "<chainId>:<token address>", so the hash
+// shows as that token from now on. Other inputs need no registration.
+export function registerAssetInput(input) {
+  const tokenMatch = (input || '').trim().match(/^(\d+):(0x[0-9a-fA-F]{40})$/);
+  if (!tokenMatch) return;
+  const [, chainId, token] = tokenMatch;
+  registerAsset(createTokenAsset(chainId, token, getCachedTokenMetadata(chainId, token) || {}));
+}
@@ -1,9 +1,23 @@
 "use client";
 
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useRef, useMemo } from 'react';
 import { ethers } from 'ethers';
-import { swapAbi, swapAddress, erc20Abi, networkConfig } from './contractrefs.js';
+import { swapAbi, erc20Abi, networkConfig } from './contractrefs.js';
+import { getNetwork, defaultChainId, supportedChainIds, hasContractFeature, CONTRACT_FEATURES } from './networks.js';
+import { getReadContract } from './read-providers.js';
+import { calculateLockId, hashSecret } from './lock-id.js';
+import { getTokenMetadata as resolveTokenMetadata, parseAmountForToken, formatTokenAmount, isNativeToken } from './token-metadata.js';
+import { getChainTime, checkSellTimeout, DEFAULT_SAFETY_MARGIN } from './timeouts.js';
+import { syncEvents, loadCachedEvents, fetchEventsSince, sortEvents, formatEvent, isSameEvent, findLockBuyEvent } from './event-indexer.js';
+import { fetchIndexedEvents, fetchIndexedLock, fetchIndexedSwaps } from './indexer-api.js';
+import { buildSwaps, findCounterLocks, getCounterUnlocks, findLock, LEG_STATUS } from './swaps.js';
+import { useTransactionManager } from './use-transaction-manager.js';
+import { withExplanation } from './contract-errors.js';
+import { checkSwapAction, simulateSwapAction, preflightSwapAction, assertNoErrors } from './preflight.js';
+import { getPermitMethod, getPermitEntryPoint, signLockPermit, PERMIT_VALIDITY } from './permits.js';
+import { getApprovalStrategy, getApprovalAmount, APPROVAL_STRATEGIES } from './approvals.js';
 import { useToast } from '@/components/ui/use-toast';
+import { ToastAction } from '@/components/ui/toast';
 
 const BlockchainContext = createContext();
 
@@ -18,8 +32,122 @@ export function BlockchainProvider({ children }) {
   const [account, setAccount] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [chainId, setChainId] = useState(null);
+  const [network, setNetwork] = useState(null);
   const [events, setEvents] = useState([]);
+  // { fromBlock, toBlock, currentBlock } while the event indexer catches up
+  const [indexingProgress, setIndexingProgress] = useState(null);
   const { toast } = useToast();
+  const { transactions, trackTransaction, clearFinishedTransactions } = useTransactionManager({ provider, chainId, account, toast });
+  // Latest bound contract, so listeners can be removed when the chain changes
+  const swapContractRef = useRef(null);
+  // Latest account, swaps and claim handler, for listeners registered before they changed
+  const accountRef = useRef(null);
+  const swapsRef = useRef([]);
+  const claimCounterUnlockRef = useRef(null);
+  // The page-load initializer, so the mount effect doesn't depend on it
+  const initializeConnectionRef = useRef(null);
+
+  // Bind the swap contract for the chain the wallet is on, using the network registry.
+  // Returns null when the contract is not deployed on that chain.
+  const bindSwapContract = async (provider) => {
+    const { chainId } = await provider.getNetwork();
+    const network = getNetwork(chainId);
+    const signer = await provider.getSigner();
+
+    if (swapContractRef.current) {
+      try {
+        swapContractRef.current.removeAllListeners();
+      } catch (error) {
+        console.warn("Error removing listeners from previous contract:", error);
+      }
+    }
+
+    const swapContract = network ? new ethers.Contract(network.address, swapAbi, signer) : null;
+    swapContractRef.current = swapContract;
+
+    setProvider(provider);
+    setSigner(signer);
+    setChainId(chainId);
+    setNetwork(network);
+    setSwapContract(swapContract);
+
+    if (network) {
+      console.log(`Swap contract bound on ${network.name} at address:`, network.address);
+    } else {
+      console.warn("Swap contract is not deployed on chain", chainId.toString());
+    }
+
+    return swapContract;
+  };
+
+  // Without a connected wallet, bind the swap contract to the network's read-only
+  // RPC provider (the default network if the chain isn't registered), so events
+  // and lock lookups still work. Sending a transaction needs the wallet.
+  const bindReadOnlyContract = (targetChainId = defaultChainId) => {
+    const network = getNetwork(targetChainId) || getNetwork(defaultChainId);
+    const swapContract = network ? getReadContract(network.chainId) : null;
+
+    if (swapContractRef.current) {
+      try {
+        swapContractRef.current.removeAllListeners();
+      } catch (error) {
+        console.warn("Error removing listeners from previous contract:", error);
+      }
+    }
+    swapContractRef.current = swapContract;
+
+    setProvider(swapContract ? swapContract.runner : null);
+    setSigner(null);
+    setChainId(network ? BigInt(network.chainId) : null);
+    setNetwork(network);
+    setSwapContract(swapContract);
+
+    if (swapContract) {
+      console.log(`Swap contract bound read-only on ${network.name} at address:`, network.address);
+    }
+    return swapContract;
+  };
+
+  // Show another registered network while no wallet is connected
+  const browseNetwork = async (targetChainId) => {
+    if (isConnected) return;
+    setEvents([]);
+    const swapContract = bindReadOnlyContract(targetChainId);
+    if (swapContract) await loadContractEvents(swapContract);
+  };
+
+  // Listen for events and load history for a freshly bound contract
+  const loadContractEvents = async (contract) => {
+    try {
+      // Show what is already indexed right away, then catch up with the chain
+      const { chainId } = await (contract.runner?.provider || provider).getNetwork();
+      const cachedEvents = await loadCachedEvents(chainId, contract.target);
+      if (cachedEvents.length > 0) {
+        console.log(`Hydrated ${cachedEvents.length} events from the local cache`);
+        setEvents(cachedEvents);
+      }
+
+      listenForEvents(contract);
+      const pastEvents = await fetchPastEvents(contract);
+      if (pastEvents && pastEvents.length > 0) {
+        console.log(`Setting ${pastEvents.length} past events to state`);
+        setEvents(pastEvents);
+      } else {
+        console.log("No past events found");
+      }
+    } catch (error) {
+      console.error("Error loading contract events:", error);
+    }
+  };
+
+  const notifyUnsupportedNetwork = (chainId) => {
+    const fallback = getNetwork(defaultChainId);
+    toast({
+      title: "Unsupported Network",
+      description: `The swap contract is not deployed on chain ${chainId}. Please switch to ${fallback ? fallback.name : networkConfig.network}.`,
+      variant: "destructive",
+    });
+  };
 
   // Set up wallet event listeners
   const setupWalletEventListeners = () => {
@@ -64,10 +192,37 @@ export function BlockchainProvider({ children }) {
       }
     };
     
-    // Handle chain changes
-    const handleChainChanged = (_chainId) => {
+    // Handle chain changes by rebinding the swap contract for the new chain
+    const handleChainChanged = async (_chainId) => {
       console.log("Chain changed to:", _chainId);
-      window.location.reload();
+      setEvents([]);
+
+      try {
+        const provider = new ethers.BrowserProvider(window.ethereum);
+        const accounts = await provider.listAccounts();
+        if (accounts.length === 0) {
+          // Not connected: follow the wallet's chain read-only
+          const readOnlyContract = bindReadOnlyContract(_chainId);
+          if (readOnlyContract) await loadContractEvents(readOnlyContract);
+          return;
+        }
+
+        const swapContract = await bindSwapContract(provider);
+        if (!swapContract) {
+          notifyUnsupportedNetwork(BigInt(_chainId));
+          return;
+        }
+
+        const network = getNetwork(_chainId);
+        toast({
+          title: "Network Changed",
+          description: `Switched to ${network.name}`,
+        });
+
+        await loadContractEvents(swapContract);
+      } catch (error) {
+        console.error("Error handling chain change:", error);
+      }
     };
     
     // Remove existing listeners first to avoid duplicates
@@ -87,32 +242,12 @@ export function BlockchainProvider({ children }) {
       try {
         console.log("Connecting wallet...");
         const provider = new ethers.BrowserProvider(window.ethereum);
-        const network = await provider.getNetwork();
-        setChainId(network.chainId);
-        
-        // Check if the correct network is being used based on networkConfig
-        if (!networkConfig.useMetaMaskNetwork) {
-          if (!isCorrectNetwork()) {
-            toast({
-              title: "Wrong Network",
-              description: `Please switch to ${networkConfig.network} network`,
-              variant: "destructive",
-            });
-            
-            // Prompt to switch network
-            await switchToCorrectNetwork();
-            return false;
-          }
-        }
-        
         const accounts = await provider.send("eth_requestAccounts", []);
-        const signer = await provider.getSigner();
-        const swapContract = new ethers.Contract(swapAddress, swapAbi, signer);
+        const swapContract = await bindSwapContract(provider);
+        // Drop what was shown read-only; the wallet may be on another chain
+        setEvents([]);
         
         // Set state
-        setProvider(provider);
-        setSigner(signer);
-        setSwapContract(swapContract);
         setAccount(accounts[0]);
         setIsConnected(true);
 
@@ -124,29 +259,18 @@ export function BlockchainProvider({ children }) {
           description: `Connected to ${accounts[0].substring(0, 6)}...${accounts[0].substring(38)}`,
         });
 
+        // The wallet stays connected on an unsupported chain; prompt to switch
+        if (!swapContract) {
+          const { chainId: walletChainId } = await provider.getNetwork();
+          notifyUnsupportedNetwork(walletChainId);
+          await switchToCorrectNetwork();
+          return true;
+        }
+
         // Set up event listeners after the state is updated
-        setTimeout(async () => {
-          try {
-            // Start listening for events
-            console.log("Setting up event listeners...");
-            listenForEvents(swapContract);
-            
-            // Fetch past events
-            console.log("Fetching past events after connecting wallet");
-            try {
-              const pastEvents = await fetchPastEvents(swapContract);
-              if (pastEvents && pastEvents.length > 0) {
-                console.log(`Setting ${pastEvents.length} past events to state`);
-                setEvents(pastEvents);
-              } else {
-                console.log("No past events found");
-              }
-            } catch (pastEventsError) {
-              console.error("Error fetching past events during connect:", pastEventsError);
-            }
-          } catch (eventError) {
-            console.error("Error setting up events:", eventError);
-          }
+        setTimeout(() => {
+          console.log("Setting up event listeners and fetching past events...");
+          loadContractEvents(swapContract);
         }, 100); // Small delay to ensure state is updated
         
         return true;
@@ -171,12 +295,15 @@ export function BlockchainProvider({ children }) {
 
   // Disconnect wallet
   const disconnectWallet = () => {
-    setProvider(null);
-    setSigner(null);
-    setSwapContract(null);
     setAccount(null);
     setIsConnected(false);
-    setChainId(null);
+    setEvents([]);
+
+    // Keep showing the network read-only
+    const readOnlyContract = bindReadOnlyContract(chainId ?? defaultChainId);
+    if (readOnlyContract) {
+      loadContractEvents(readOnlyContract);
+    }
     
     toast({
       title: "Wallet Disconnected",
@@ -211,117 +338,84 @@ export function BlockchainProvider({ children }) {
       lockBuyFilter, lockSellFilter, unlockFilter, retrieveFilter, declineFilter 
     });
 
-    contract.on(lockBuyFilter, (token, creator, recipient, hashedSecret, timeout, value, sellAssetId, sellPrice, lockId) => {
-      console.log("LockBuy event received:", { token, creator, recipient, hashedSecret, timeout: Number(timeout), value: value.toString(), sellAssetId, sellPrice: sellPrice.toString(), lockId });
-      
-      const newEvent = {
-        type: 'LockBuy',
-        token,
-        creator,
-        recipient,
-        hashedSecret,
-        timeout: Number(timeout),
-        value: value.toString(),
-        sellAssetId,
-        sellPrice: sellPrice.toString(),
-        lockId,
-        timestamp: Date.now()
-      };
-      
-      setEvents(prev => {
-        console.log("Adding LockBuy event to state, current count:", prev.length);
-        return [newEvent, ...prev];
+    // Build each event from its log like the indexer does, so it carries the
+    // block timestamp and position and merges with indexed events
+    const onContractEvent = (filter, handler) => {
+      contract.on(filter, async (...args) => {
+        try {
+          const { log } = args[args.length - 1];
+          const block = await log.getBlock();
+          const event = formatEvent(log, block ? block.timestamp * 1000 : Date.now());
+          setEvents(prev => prev.some(existing => isSameEvent(existing, event)) ? prev : sortEvents([event, ...prev]));
+          handler(event);
+        } catch (error) {
+          console.error(`Error handling ${filter.fragment?.name || 'contract'} event:`, error);
+        }
       });
-      
-      if (creator.toLowerCase() === account?.toLowerCase() || recipient.toLowerCase() === account?.toLowerCase()) {
+    };
+
+    const isParticipant = ({ creator, recipient }) =>
+      creator.toLowerCase() === account?.toLowerCase() || recipient.toLowerCase() === account?.toLowerCase();
+
+    onContractEvent(lockBuyFilter, (event) => {
+      if (isParticipant(event)) {
         toast({
           title: "New Lock Buy",
-          description: `A new lock buy has been created with ID: ${lockId.substring(0, 10)}...`,
+          description: `A new lock buy has been created with ID: ${event.lockId.substring(0, 10)}...`,
         });
       }
     });
 
-    contract.on(lockSellFilter, (token, creator, recipient, hashedSecret, timeout, value, buyAssetId, buyLockId) => {
-      const newEvent = {
-        type: 'LockSell',
-        token,
-        creator,
-        recipient,
-        hashedSecret,
-        timeout: Number(timeout),
-        value: value.toString(),
-        buyAssetId,
-        buyLockId,
-        timestamp: Date.now()
-      };
-      
-      setEvents(prev => [newEvent, ...prev]);
-      
-      if (creator.toLowerCase() === account?.toLowerCase() || recipient.toLowerCase() === account?.toLowerCase()) {
+    onContractEvent(lockSellFilter, (event) => {
+      if (isParticipant(event)) {
         toast({
           title: "New Lock Sell",
-          description: `A new lock sell has been created for asset: ${buyAssetId.substring(0, 10)}...`,
+          description: `A new lock sell has been created for asset: ${event.buyAssetId.substring(0, 10)}...`,
         });
       }
     });
 
-    contract.on(unlockFilter, (token, creator, recipient, lockId, secret) => {
-      const newEvent = {
-        type: 'Unlock',
-        token,
-        creator,
-        recipient,
-        lockId,
-        secret,
-        timestamp: Date.now()
-      };
-      
-      setEvents(prev => [newEvent, ...prev]);
-      
-      if (creator.toLowerCase() === account?.toLowerCase() || recipient.toLowerCase() === account?.toLowerCase()) {
+    onContractEvent(unlockFilter, (event) => {
+      const { lockId, secret } = event;
+      if (isParticipant(event)) {
         toast({
           title: "Lock Unlocked",
           description: `Lock with ID: ${lockId.substring(0, 10)}... has been unlocked`,
         });
       }
+
+      // The secret is public now: offer to claim any counter-lock still waiting for this account
+      const counterLocks = findCounterLocks(swapsRef.current, hashSecret(secret), accountRef.current)
+        .filter(leg => leg.lockId.toLowerCase() !== lockId.toLowerCase());
+      counterLocks.forEach(leg => {
+        console.log("Secret revealed for pending counter-lock:", leg.lockId);
+        toast({
+          title: "Secret Revealed",
+          description: `Your counterparty revealed the secret. Unlock ${leg.lockId.substring(0, 10)}... before it times out.`,
+          duration: Infinity,
+          action: (
+            <ToastAction altText="Unlock now" onClick={() => claimCounterUnlockRef.current?.(leg, secret)}>
+              Unlock now
+            </ToastAction>
+          ),
+        });
+      });
     });
 
-    contract.on(retrieveFilter, (token, creator, recipient, lockId) => {
-      const newEvent = {
-        type: 'Retrieve',
-        token,
-        creator,
-        recipient,
-        lockId,
-        timestamp: Date.now()
-      };
-      
-      setEvents(prev => [newEvent, ...prev]);
-      
-      if (creator.toLowerCase() === account?.toLowerCase() || recipient.toLowerCase() === account?.toLowerCase()) {
+    onContractEvent(retrieveFilter, (event) => {
+      if (isParticipant(event)) {
         toast({
           title: "Lock Retrieved",
-          description: `Lock with ID: ${lockId.substring(0, 10)}... has been retrieved`,
+          description: `Lock with ID: ${event.lockId.substring(0, 10)}... has been retrieved`,
         });
       }
     });
 
-    contract.on(declineFilter, (token, creator, recipient, lockId) => {
-      const newEvent = {
-        type: 'Decline',
-        token,
-        creator,
-        recipient,
-        lockId,
-        timestamp: Date.now()
-      };
-      
-      setEvents(prev => [newEvent, ...prev]);
-      
-      if (creator.toLowerCase() === account?.toLowerCase() || recipient.toLowerCase() === account?.toLowerCase()) {
+    onContractEvent(declineFilter, (event) => {
+      if (isParticipant(event)) {
         toast({
           title: "Lock Declined",
-          description: `Lock with ID: ${lockId.substring(0, 10)}... has been declined`,
+          description: `Lock with ID: ${event.lockId.substring(0, 10)}... has been declined`,
         });
       }
     });
@@ -333,8 +427,13 @@ export function BlockchainProvider({ children }) {
     return new ethers.Contract(tokenAddress, erc20Abi, signer);
   };
 
-  // Lock Buy function
-  const lockBuy = async (tokenAddress, recipient, hashedSecret, timeout, value, sellAssetId, sellPrice, useRawValue = false, useRawSellPrice = false) => {
+  // Resolve cached decimals, symbol and name for a token on the current chain
+  const getTokenMetadata = (tokenAddress) => {
+    return resolveTokenMetadata(provider, chainId, tokenAddress);
+  };
+
+  // Approve the swap contract for `amount` of a token; 0 revokes its allowance
+  const setSwapAllowance = async (tokenAddress, amount) => {
     if (!swapContract || !signer) {
       toast({
         title: "Error",
@@ -345,83 +444,154 @@ export function BlockchainProvider({ children }) {
     }
 
     try {
-      // Format values to match contract expectations
-      let valueWei;
+      const { symbol } = await resolveTokenMetadata(signer, chainId, tokenAddress);
+      const tokenContract = getTokenContract(tokenAddress);
+      const { tx, receipt } = await trackTransaction({
+        action: 'approve',
+        description: amount === 0n ? `${symbol} revoke` : `${symbol} approval`,
+        send: () => tokenContract.approve(swapContract.target, amount),
+      });
+
+      toast({
+        title: amount === 0n ? "Approval Revoked" : "Approval Updated",
+        description: amount === 0n
+          ? `The swap contract can no longer spend your ${symbol}.`
+          : `The swap contract's ${symbol} allowance has been updated.`,
+      });
+      return { tx, receipt };
+    } catch (error) {
+      console.error("Error setting allowance:", error);
+      const explained = withExplanation(error);
+      toast({
+        title: "Transaction Failed",
+        description: explained.message,
+        variant: "destructive",
+      });
+      throw explained;
+    }
+  };
+
+  // Let the swap contract take the value of a new lock. With enough allowance
+  // the plain entry point is used. Otherwise the token's approval strategy
+  // decides: an unlimited approval is sent right away, while for exact
+  // approvals a permit or Permit2 signature is tried before an approve
+  // transaction for the lock's value, if the deployment has the permit entry
+  // points.
+  // Resolves with the entry point to call and its arguments.
+  const authorizeLock = async (action, tokenContract, tokenMetadata, lockArgs, errorContext) => {
+    const value = lockArgs[4];
+    const currentAllowance = await tokenContract.allowance(account, swapContract.target);
+    if (currentAllowance >= value) {
+      return { entryPoint: action, args: lockArgs };
+    }
+
+    const strategy = getApprovalStrategy(chainId, tokenContract.target);
+    const permitMethod = strategy === APPROVAL_STRATEGIES.EXACT && hasContractFeature(chainId, CONTRACT_FEATURES.PERMITS)
+      ? await getPermitMethod(swapContract, chainId, tokenContract.target, account, value)
+      : null;
+    if (permitMethod) {
+      const entryPoint = getPermitEntryPoint(action, permitMethod);
       try {
-        if (useRawValue) {
-          // If using raw value, parse as a BigInt - ensure it's a valid number
-          valueWei = BigInt(String(value).trim());
-          console.log("Using raw token value:", valueWei.toString());
-        } else {
-          // Otherwise convert from ETH to wei
-          value = value*1000000;
-          valueWei = BigInt(String(value).trim());
-          console.log("taking decimal point of 6:", valueWei.toString());
+        const deadline = (await getChainTime(provider)) + PERMIT_VALIDITY;
+        const permit = await signLockPermit(signer, permitMethod, {
+          chainId,
+          token: tokenContract.target,
+          spender: swapContract.target,
+          value,
+          deadline,
+        });
+        const args = [...lockArgs, permit];
+        // Some tokens look like EIP-2612 but sign permits differently (e.g. DAI)
+        const issues = await simulateSwapAction(swapContract, entryPoint, args, errorContext);
+        if (!issues.some(issue => issue.level === 'error')) {
+          return { entryPoint, args };
         }
-      } catch (valueError) {
-        console.error("Error parsing value:", valueError);
-        throw new Error(`Invalid value format: ${value}. Please provide a valid number.`);
+        console.warn(`${entryPoint} would revert, approving instead:`, issues);
+      } catch (permitError) {
+        if (ethers.isError(permitError, 'ACTION_REJECTED')) throw permitError;
+        console.warn(`Could not sign a ${permitMethod}, approving instead:`, permitError);
       }
+    }
+
+    const amount = getApprovalAmount(strategy, value);
+    await trackTransaction({
+      action: 'approve',
+      description: strategy === APPROVAL_STRATEGIES.UNLIMITED
+        ? `${tokenMetadata.symbol} unlimited approval`
+        : `${tokenMetadata.symbol} approval`,
+      send: () => tokenContract.approve(swapContract.target, amount),
+    });
+    return { entryPoint: action, args: lockArgs };
+  };
+
+  // Deployments from before native locks take ERC20 tokens only
+  const assertNativeLocks = (tokenAddress) => {
+    if (isNativeToken(tokenAddress) && !hasContractFeature(chainId, CONTRACT_FEATURES.NATIVE_LOCKS)) {
+      throw new Error(`The swap contract on ${network ? network.name : `chain ${chainId}`} does not accept native currency locks. Please lock an ERC20 token.`);
+    }
+  };
+
+  // Lock Buy function
+  const lockBuy = async (tokenAddress, recipient, hashedSecret, timeout, value, sellAssetId, sellPrice, useRawValue = false, useRawSellPrice = false) => {
+    if (!swapContract || !signer) {
+      toast({
+        title: "Error",
+        description: "Wallet not connected",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    // Details for explaining contract reverts
+    const errorContext = { timeout: Math.floor(Number(timeout)) };
+
+    try {
+      assertNativeLocks(tokenAddress);
+
+      // Resolve token decimals so human amounts convert to the right base units
+      const tokenMetadata = await resolveTokenMetadata(signer, chainId, tokenAddress);
+      Object.assign(errorContext, { decimals: tokenMetadata.decimals, symbol: tokenMetadata.symbol });
       
-      // For sellPrice, similar logic
-      let sellPriceWei;
-      try {
-        if (useRawSellPrice) {
-          // If using raw value, parse as a BigInt - ensure it's a valid number
-          sellPriceWei = BigInt(String(sellPrice).trim());
-          console.log("Using raw sell price:", sellPriceWei.toString());
-        } else {
-          // Otherwise convert from ETH to wei
-          sellPrice = sellPrice*1000000;
-          sellPriceWei = BigInt(String(sellPrice).trim());
-          console.log("taking decimal point of 6:", sellPriceWei.toString());
-        }
-      } catch (priceError) {
-        console.error("Error parsing price:", priceError);
-        throw new Error(`Invalid price format: ${sellPrice}. Please provide a valid number.`);
-      }
+      // Format values to match contract expectations
+      const valueWei = parseAmountForToken(value, tokenMetadata, useRawValue);
+      
+      // The sell price is quoted in the same token
+      const sellPriceWei = parseAmountForToken(sellPrice, tokenMetadata, useRawSellPrice);
       
       // Ensure sellAssetId is properly formatted as bytes32
       let formattedSellAssetId;
       if (!sellAssetId || sellAssetId.trim() === '') {
         formattedSellAssetId = ethers.ZeroHash;
-        console.log("Using zero hash for empty sellAssetId");
       } else if (sellAssetId.startsWith('0x') && sellAssetId.length === 66) {
         formattedSellAssetId = sellAssetId;
-        console.log("Using provided bytes32 sellAssetId");
       } else {
         // Generate a bytes32 from non-hex input
         formattedSellAssetId = ethers.keccak256(ethers.toUtf8Bytes(sellAssetId));
-        console.log("Generated hash for sellAssetId:", formattedSellAssetId);
       }
       
-      // Pass timeout directly without adding current time
+      // The timeout is an absolute timestamp and must be ahead of the chain
       const timeoutInt = Math.floor(Number(timeout));
-      console.log("Using raw timeout value:", timeoutInt);
+      const lockArgs = [tokenAddress, recipient, hashedSecret, timeoutInt, valueWei, formattedSellAssetId, sellPriceWei];
       
-      // Get token contract
-      const tokenContract = getTokenContract(tokenAddress);
-      if (!tokenContract) {
-        throw new Error("Failed to create token contract instance");
-      }
+      // Check the timeout and that the lockId is unused before approving anything
+      assertNoErrors(await checkSwapAction(swapContract, provider, 'lockBuy', lockArgs, account));
       
-      // Check token decimals
-      let tokenDecimals;
-      try {
-        tokenDecimals = await tokenContract.decimals();
-        console.log("Token decimals:", tokenDecimals);
-      } catch (decimalsError) {
-        console.warn("Could not fetch token decimals, assuming 18:", decimalsError);
-        tokenDecimals = 18;
+      // Native currency is sent with the call; tokens need a token contract
+      const native = isNativeToken(tokenAddress);
+      const tokenContract = native ? null : getTokenContract(tokenAddress);
+      if (!native && !tokenContract) {
+        throw new Error("Failed to create token contract instance");
       }
       
       // Check token balance
       try {
-        const balance = await tokenContract.balanceOf(account);
-        console.log("Token balance:", balance.toString(), "needed:", valueWei.toString());
+        const balance = native
+          ? await provider.getBalance(account)
+          : await tokenContract.balanceOf(account);
         
         if (balance < valueWei) {
-          throw new Error(`Insufficient token balance. You have ${balance.toString()} but need ${valueWei.toString()}`);
+          const { decimals, symbol } = tokenMetadata;
+          throw new Error(`Insufficient token balance. You have ${formatTokenAmount(balance, decimals)} ${symbol} but need ${formatTokenAmount(valueWei, decimals)} ${symbol}`);
         }
       } catch (balanceError) {
         if (balanceError.message.includes("Insufficient")) {
@@ -430,86 +600,35 @@ export function BlockchainProvider({ children }) {
         console.error("Error checking balance:", balanceError);
       }
       
-      console.log("Complete lockBuy parameters:", {
-        token: tokenAddress,
-        recipient,
-        hashedSecret,
-        timeout: timeoutInt,
-        value: valueWei.toString(),
-        sellAssetId: formattedSellAssetId,
-        sellPrice: sellPriceWei.toString()
-      });
-      
-      // Check existing allowance
-      try {
-        const currentAllowance = await tokenContract.allowance(account, swapAddress);
-        console.log("Current allowance:", currentAllowance.toString(), "needed:", valueWei.toString());
-        
-        // Only request approval if the current allowance is less than the needed amount
-        if (currentAllowance < valueWei) {
-          console.log("Approving transfer", {
-            token: tokenAddress,
-            amount: valueWei.toString(),
-            spender: swapAddress
-          });
-          
-          // Request approval for the token transfer
-          const approveTx = await tokenContract.approve(swapAddress, valueWei);
-          const approveReceipt = await approveTx.wait();
-          console.log("Approval confirmed:", approveReceipt.hash);
-        } else {
-          console.log("Token already approved for the required amount");
+      // Approve with the existing allowance, a permit signature or an approve
+      // transaction. A native lock needs no approval; its value is sent along.
+      let authorized = { entryPoint: 'lockBuy', args: lockArgs };
+      const overrides = native ? { value: valueWei } : {};
+      if (!native) {
+        try {
+          authorized = await authorizeLock('lockBuy', tokenContract, tokenMetadata, lockArgs, errorContext);
+        } catch (approvalError) {
+          console.error("Error during token approval:", approvalError);
+          const explained = withExplanation(approvalError, errorContext);
+          throw new Error(`Failed to approve token transfer: ${explained.message}`, { cause: approvalError });
         }
-      } catch (approvalError) {
-        console.error("Error during token approval:", approvalError);
-        throw new Error(`Failed to approve token transfer: ${approvalError.message}`);
       }
+      const { entryPoint, args } = authorized;
 
-      // Try to estimate gas for the transaction first
-      try {
-        console.log("Estimating gas for lockBuy transaction...");
-        const gasEstimate = await swapContract.lockBuy.estimateGas(
-          tokenAddress,
-          recipient,
-          hashedSecret,
-          timeoutInt,
-          valueWei,
-          formattedSellAssetId,
-          sellPriceWei
-        );
-        console.log("Estimated gas:", gasEstimate.toString());
-      } catch (gasError) {
-        console.error("Gas estimation failed:", gasError);
-        // We'll continue without gas estimation, but this indicates the transaction might fail
-        console.warn("The transaction might fail based on gas estimation. Check your parameters carefully.");
-      }
+      // Simulate the lock now that it is approved; don't send it if it would revert
+      assertNoErrors(await simulateSwapAction(swapContract, entryPoint, [...args, overrides], errorContext));
 
       // Then call lockBuy with properly formatted parameters
-      console.log("Sending lockBuy transaction...");
-      const tx = await swapContract.lockBuy(
-        tokenAddress,
-        recipient,
-        hashedSecret,
-        timeoutInt,
-        valueWei,
-        formattedSellAssetId,
-        sellPriceWei,
+      const { tx, receipt } = await trackTransaction({
+        action: 'lockBuy',
+        description: "lock buy",
         // Add gas limit with buffer to avoid failure
-        { gasLimit: 1000000 }
-      );
-      
-      toast({
-        title: "Transaction Submitted",
-        description: "Your lock buy transaction has been submitted",
+        send: () => swapContract[entryPoint](...args, { ...overrides, gasLimit: 1000000 }),
       });
       
-      console.log("Transaction sent:", tx.hash);
-      const receipt = await tx.wait();
-      console.log("Transaction receipt:", receipt);
-      
       // Extract the lockId from the event
       const lockBuyEvent = receipt.logs
-        .filter(log => log.address.toLowerCase() === swapAddress.toLowerCase())
+        .filter(log => log.address.toLowerCase() === swapContract.target.toLowerCase())
         .map(log => {
           try {
             return swapContract.interface.parseLog(log);
@@ -521,21 +640,34 @@ export function BlockchainProvider({ children }) {
         .find(event => event && event.name === 'LockBuy');
       
       const lockId = lockBuyEvent ? lockBuyEvent.args.lockId : null;
-      console.log("Created lock with ID:", lockId);
       
       toast({
         title: "Lock Buy Created",
         description: `Your lock buy has been successfully created${lockId ? ` with ID: ${lockId.substring(0,10)}...` : ''}`,
       });
       
-      return { tx, lockId };
+      // Lock details as emitted, e.g. for sharing the lock as a swap offer
+      const lock = lockBuyEvent ? {
+        lockId,
+        token: lockBuyEvent.args.token,
+        creator: lockBuyEvent.args.creator,
+        recipient: lockBuyEvent.args.recipient,
+        hashedSecret: lockBuyEvent.args.hashedSecret,
+        timeout: Number(lockBuyEvent.args.timeout),
+        value: lockBuyEvent.args.value.toString(),
+        sellAssetId: lockBuyEvent.args.sellAssetId,
+        sellPrice: lockBuyEvent.args.sellPrice.toString(),
+      } : null;
+      
+      return { tx, receipt, lockId, lock };
     } catch (error) {
       console.error("Error in lockBuy:", error);
 
-      // Try to extract more meaningful error information
-      let errorMessage = error.message;
+      // Explain contract reverts, falling back to the most likely causes
+      const explained = withExplanation(error, errorContext);
+      let errorMessage = explained.message;
       
-      if (error.code === 'CALL_EXCEPTION') {
+      if (explained === error && error.code === 'CALL_EXCEPTION') {
         errorMessage = 'Transaction reverted by the contract. This could be due to: insufficient allowance, incorrect parameters, token balance too low, or contract restrictions.';
         
         // Try to get more info from the error data
@@ -554,12 +686,101 @@ export function BlockchainProvider({ children }) {
         description: errorMessage,
         variant: "destructive",
       });
-      throw error;
+      throw explained;
     }
   };
 
+  // LockBuy event for a lockId naming `recipient` on a network, from the server's
+  // event index, else from the browser's index and the logs since (lockId itself
+  // is not an indexed topic), or null
+  const queryBuyLockEvent = async (contract, contractNetwork, buyLockId, recipient) => {
+    const indexed = await fetchIndexedLock(contractNetwork.chainId, contract.target, buyLockId);
+    if (indexed && indexed.lock.event.type === 'LockBuy' && indexed.lock.recipient.toLowerCase() === recipient.toLowerCase()) {
+      return indexed.lock.event;
+    }
+    return findLockBuyEvent(contract, contract.runner.provider, {
+      chainId: contractNetwork.chainId,
+      deploymentBlock: contractNetwork.deploymentBlock,
+      lockId: buyLockId,
+      recipient,
+    });
+  };
+
+  // Find the LockBuy event for a lockId: in the loaded events first, then on the
+  // connected chain, then on the other registered chains, since a sell lock can
+  // answer a buy lock on another chain. The event's chainId is where it was found.
+  const findBuyLockEvent = async (buyLockId, recipient) => {
+    const loaded = findLock(swapsRef.current, buyLockId);
+    if (loaded && loaded.event.type === 'LockBuy') return { ...loaded.event, chainId: Number(chainId) };
+
+    const event = await queryBuyLockEvent(swapContract, network, buyLockId, recipient);
+    if (event) return { ...event, chainId: Number(chainId) };
+
+    for (const otherChainId of supportedChainIds.filter(id => id !== Number(chainId))) {
+      const contract = getReadContract(otherChainId);
+      if (!contract) continue;
+      try {
+        const otherEvent = await queryBuyLockEvent(contract, getNetwork(otherChainId), buyLockId, recipient);
+        if (otherEvent) return { ...otherEvent, chainId: otherChainId };
+      } catch (error) {
+        console.warn(`Could not search chain ${otherChainId} for buy lock ${buyLockId}:`, error);
+      }
+    }
+    return null;
+  };
+
+  // Pre-flight check of the buy lock a lockSell answers. Returns issues as
+  // { level: 'error' | 'warning', message }, like the timeout checks.
+  const checkCounterLock = async (buyLockId, { hashedSecret, recipient, timeout, safetyMargin = DEFAULT_SAFETY_MARGIN }) => {
+    if (!buyLockId || buyLockId === ethers.ZeroHash) {
+      return [{ level: 'warning', message: "No buy lock is referenced, so this lock can't be checked against a buy order." }];
+    }
+
+    const buyLock = await findBuyLockEvent(buyLockId, account);
+    if (!buyLock) {
+      return [{ level: 'error', message: `No LockBuy with ID ${buyLockId} names you as recipient.` }];
+    }
+
+    // A buy lock on another chain is checked there
+    const buyContract = buyLock.chainId === Number(chainId) ? swapContract : getReadContract(buyLock.chainId);
+    const [lockedValue, chainTime] = await Promise.all([
+      buyContract.getLockValue(buyLockId),
+      getChainTime(provider),
+    ]);
+
+    const issues = [];
+    if (lockedValue === 0n) {
+      issues.push({ level: 'error', message: "The buy lock is not funded. It was already unlocked, retrieved or declined." });
+    }
+    if (buyLock.hashedSecret.toLowerCase() !== hashedSecret.toLowerCase()) {
+      issues.push({ level: 'error', message: "The hashed secret does not match the buy lock's hashed secret." });
+    }
+    if (buyLock.recipient.toLowerCase() !== account.toLowerCase()) {
+      issues.push({ level: 'error', message: "The buy lock does not name you as recipient." });
+    }
+    if (buyLock.creator.toLowerCase() !== recipient.toLowerCase()) {
+      issues.push({ level: 'warning', message: `The buy lock was created by ${buyLock.creator}, but you are locking for ${recipient}.` });
+    }
+
+    // A sell lock already answering this hashedSecret, in the server's index or
+    // among the loaded events (which include blocks the server hasn't indexed)
+    const indexedSwaps = await fetchIndexedSwaps(chainId, swapContract.target, hashedSecret);
+    const sameSecretSwaps = [
+      ...(indexedSwaps ? indexedSwaps.swaps : []),
+      ...swapsRef.current.filter(swap => swap.hashedSecret.toLowerCase() === hashedSecret.toLowerCase()),
+    ];
+    const openSellLock = sameSecretSwaps.some(swap =>
+      swap.sellLock && swap.sellLock.status === LEG_STATUS.LOCKED && swap.sellLock.creator.toLowerCase() === account.toLowerCase()
+    );
+    if (openSellLock) {
+      issues.push({ level: 'warning', message: "You already have an open sell lock under this hashed secret." });
+    }
+    return [...issues, ...checkSellTimeout(timeout, buyLock.timeout, chainTime, safetyMargin)];
+  };
+
   // Lock Sell function
-  const lockSell = async (tokenAddress, recipient, hashedSecret, timeout, value, buyAssetId, buyLockId, useRawValue = false) => {
+  // `options.confirmWarnings(issues)` decides whether to go ahead despite pre-flight warnings
+  const lockSell = async (tokenAddress, recipient, hashedSecret, timeout, value, buyAssetId, buyLockId, useRawValue = false, options = {}) => {
     if (!swapContract || !signer) {
       toast({
         title: "Error",
@@ -569,20 +790,18 @@ export function BlockchainProvider({ children }) {
       return;
     }
 
+    // Details for explaining contract reverts
+    const errorContext = { timeout: Math.floor(Number(timeout)) };
+
     try {
+      assertNativeLocks(tokenAddress);
+
+      // Resolve token decimals so human amounts convert to the right base units
+      const tokenMetadata = await resolveTokenMetadata(signer, chainId, tokenAddress);
+      Object.assign(errorContext, { decimals: tokenMetadata.decimals, symbol: tokenMetadata.symbol });
+      
       // Format values to match contract expectations
-      let valueWei;
-      if (useRawValue) {
-        // If using raw value, parse as a BigInt
-        value = value*1000000;
-        valueWei = BigInt(String(value).trim());
-        console.log("Using raw token value:", valueWei.toString());
-      } else {
-        // Otherwise convert from ETH to wei
-        value = value*1000000;
-        valueWei = BigInt(String(value).trim());
-        console.log("taking decimal point of 6:", valueWei.toString());
-      }
+      const valueWei = parseAmountForToken(value, tokenMetadata, useRawValue);
       
       // Ensure buyAssetId is properly formatted as bytes32
       const formattedBuyAssetId = buyAssetId && buyAssetId.startsWith('0x') ? 
@@ -592,79 +811,47 @@ export function BlockchainProvider({ children }) {
       const formattedBuyLockId = buyLockId && buyLockId.startsWith('0x') ? 
         buyLockId : ethers.ZeroHash;
       
-      // Convert timeout to integer
+      // The timeout is an absolute timestamp and must be ahead of the chain
       const timeoutInt = Math.floor(Number(timeout));
+      const lockArgs = [tokenAddress, recipient, hashedSecret, timeoutInt, valueWei, formattedBuyAssetId, formattedBuyLockId];
+      assertNoErrors(await checkSwapAction(swapContract, provider, 'lockSell', lockArgs, account));
       
-      console.log("Formatted lockSell parameters:", {
-        token: tokenAddress,
-        recipient,
+      // Check the buy lock before approving anything
+      const issues = await checkCounterLock(formattedBuyLockId, {
         hashedSecret,
+        recipient,
         timeout: timeoutInt,
-        value: valueWei.toString(),
-        buyAssetId: formattedBuyAssetId,
-        buyLockId: formattedBuyLockId
+        safetyMargin: options.safetyMargin,
       });
-
-      // Get token contract
-      const tokenContract = getTokenContract(tokenAddress);
-      
-      // Check existing allowance
-      const currentAllowance = await tokenContract.allowance(account, swapAddress);
-      console.log("Current allowance:", currentAllowance.toString(), "needed:", valueWei.toString());
-      
-      // Only request approval if the current allowance is less than the needed amount
-      if (currentAllowance < valueWei) {
-        console.log("Approving transfer", {
-          token: tokenAddress,
-          amount: valueWei.toString(),
-          spender: swapAddress
-        });
-        
-        // Request approval for the token transfer
-        const approveTx = await tokenContract.approve(swapAddress, valueWei);
-        await approveTx.wait();
-        
-        console.log("Approval confirmed, proceeding with lockSell");
-      } else {
-        console.log("Token already approved for the required amount");
+      const errors = issues.filter(issue => issue.level === 'error');
+      if (errors.length > 0) {
+        throw new Error(errors.map(issue => issue.message).join(' '));
+      }
+      const warnings = issues.filter(issue => issue.level === 'warning');
+      if (warnings.length > 0 && options.confirmWarnings && !(await options.confirmWarnings(warnings))) {
+        return;
       }
 
+      // Approve with the existing allowance, a permit signature or an approve
+      // transaction. A native lock needs no approval; its value is sent along.
+      const native = isNativeToken(tokenAddress);
+      const overrides = native ? { value: valueWei } : {};
+      const { entryPoint, args } = native
+        ? { entryPoint: 'lockSell', args: lockArgs }
+        : await authorizeLock('lockSell', getTokenContract(tokenAddress), tokenMetadata, lockArgs, errorContext);
+
+      // Simulate the lock now that it is approved; don't send it if it would revert
+      assertNoErrors(await simulateSwapAction(swapContract, entryPoint, [...args, overrides], errorContext));
+
       // Then call lockSell with properly formatted parameters
-      const tx = await swapContract.lockSell(
-        tokenAddress,
-        recipient,
-        hashedSecret,
-        timeoutInt,
-        valueWei,
-        formattedBuyAssetId,
-        formattedBuyLockId
-      );
-      
-      toast({
-        title: "Transaction Submitted",
-        description: "Your lock sell transaction has been submitted",
+      const { tx } = await trackTransaction({
+        action: 'lockSell',
+        description: "lock sell",
+        send: () => swapContract[entryPoint](...args, overrides),
       });
       
-      const receipt = await tx.wait();
-      console.log("Transaction receipt:", receipt);
-      
-      // Extract the lockId from the event if available
-      const lockSellEvent = receipt.logs
-        .filter(log => log.address.toLowerCase() === swapAddress.toLowerCase())
-        .map(log => {
-          try {
-            return swapContract.interface.parseLog(log);
-          } catch (e) {
-            return null;
-          }
-        })
-        .find(event => event && event.name === 'LockSell');
-      
-      // lockSell events might not have a lockId in the contract, adjust if needed
-      const lockId = lockSellEvent && lockSellEvent.args.lockId ? 
-        lockSellEvent.args.lockId : calculateLockId(tokenAddress, account, hashedSecret, timeoutInt);
-        
-      console.log("Created sell lock with details:", lockSellEvent ? lockSellEvent.args : null);
+      // LockSell events don't carry the lockId, so derive it the way the contract does
+      const lockId = calculateLockId(tokenAddress, account, recipient, hashedSecret, timeoutInt);
       
       toast({
         title: "Lock Sell Created",
@@ -674,12 +861,13 @@ export function BlockchainProvider({ children }) {
       return { tx, lockId };
     } catch (error) {
       console.error("Error in lockSell:", error);
+      const explained = withExplanation(error, errorContext);
       toast({
         title: "Transaction Failed",
-        description: error.message,
+        description: explained.message,
         variant: "destructive",
       });
-      throw error;
+      throw explained;
     }
   };
 
@@ -705,14 +893,15 @@ export function BlockchainProvider({ children }) {
         timeout: timeoutInt
       });
       
-      const tx = await swapContract.unlock(tokenAddress, creator, secret, timeoutInt);
+      // Check the lock and simulate the call; don't send it if it would revert
+      const args = [tokenAddress, creator, secret, timeoutInt];
+      assertNoErrors(await preflightSwapAction(swapContract, provider, 'unlock', args, account, { timeout: timeoutInt }));
       
-      toast({
-        title: "Transaction Submitted",
-        description: "Your unlock transaction has been submitted",
+      const { tx, receipt } = await trackTransaction({
+        action: 'unlock',
+        description: "unlock",
+        send: () => swapContract.unlock(...args),
       });
-      
-      const receipt = await tx.wait();
       console.log("Transaction receipt:", receipt);
       
       toast({
@@ -723,12 +912,13 @@ export function BlockchainProvider({ children }) {
       return { tx, receipt };
     } catch (error) {
       console.error("Error in unlock:", error);
+      const explained = withExplanation(error, { timeout: Math.floor(Number(timeout)) });
       toast({
         title: "Transaction Failed",
-        description: error.message,
+        description: explained.message,
         variant: "destructive",
       });
-      throw error;
+      throw explained;
     }
   };
 
@@ -754,14 +944,15 @@ export function BlockchainProvider({ children }) {
         timeout: timeoutInt
       });
       
-      const tx = await swapContract.retrieve(tokenAddress, recipient, hashedSecret, timeoutInt);
+      // Check the lock and simulate the call; don't send it if it would revert
+      const args = [tokenAddress, recipient, hashedSecret, timeoutInt];
+      assertNoErrors(await preflightSwapAction(swapContract, provider, 'retrieve', args, account, { timeout: timeoutInt }));
       
-      toast({
-        title: "Transaction Submitted",
-        description: "Your retrieve transaction has been submitted",
+      const { tx, receipt } = await trackTransaction({
+        action: 'retrieve',
+        description: "retrieve",
+        send: () => swapContract.retrieve(...args),
       });
-      
-      const receipt = await tx.wait();
       console.log("Transaction receipt:", receipt);
       
       toast({
@@ -772,12 +963,13 @@ export function BlockchainProvider({ children }) {
       return { tx, receipt };
     } catch (error) {
       console.error("Error in retrieve:", error);
+      const explained = withExplanation(error, { timeout: Math.floor(Number(timeout)) });
       toast({
         title: "Transaction Failed",
-        description: error.message,
+        description: explained.message,
         variant: "destructive",
       });
-      throw error;
+      throw explained;
     }
   };
 
@@ -803,14 +995,15 @@ export function BlockchainProvider({ children }) {
         timeout: timeoutInt
       });
       
-      const tx = await swapContract.decline(tokenAddress, creator, hashedSecret, timeoutInt);
+      // Check the lock and simulate the call; don't send it if it would revert
+      const args = [tokenAddress, creator, hashedSecret, timeoutInt];
+      assertNoErrors(await preflightSwapAction(swapContract, provider, 'decline', args, account, { timeout: timeoutInt }));
       
-      toast({
-        title: "Transaction Submitted",
-        description: "Your decline transaction has been submitted",
+      const { tx, receipt } = await trackTransaction({
+        action: 'decline',
+        description: "decline",
+        send: () => swapContract.decline(...args),
       });
-      
-      const receipt = await tx.wait();
       console.log("Transaction receipt:", receipt);
       
       toast({
@@ -821,75 +1014,71 @@ export function BlockchainProvider({ children }) {
       return { tx, receipt };
     } catch (error) {
       console.error("Error in decline:", error);
+      const explained = withExplanation(error, { timeout: Math.floor(Number(timeout)) });
       toast({
         title: "Transaction Failed",
-        description: error.message,
+        description: explained.message,
         variant: "destructive",
       });
-      throw error;
+      throw explained;
     }
   };
 
-  // Calculate a lock ID to check the value
-  const calculateLockId = (tokenAddress, creator, hashedSecret, timeout) => {
-    // This is a simple version - the actual ID calculation should match the smart contract
-    return ethers.solidityPackedKeccak256(
-      ["address", "address", "bytes32", "uint256"],
-      [tokenAddress, creator, hashedSecret, timeout]
-    );
-  };
-
-  // Get lock value
-  const getLockValue = async (lockId) => {
+  // Get lock value, formatted with the locked token's decimals (18 if no token is given)
+  const getLockValue = async (lockId, tokenAddress) => {
     if (!swapContract) return "0";
     try {
       const value = await swapContract.getLockValue(lockId);
-      return ethers.formatEther(value);
+      if (!tokenAddress) {
+        return formatTokenAmount(value, 18);
+      }
+      const { decimals } = await resolveTokenMetadata(provider, chainId, tokenAddress);
+      return formatTokenAmount(value, decimals);
     } catch (error) {
       console.error("Error getting lock value:", error);
       return "0";
     }
   };
 
-  // Check if the correct network is used
-  const isCorrectNetwork = () => {
-    if (networkConfig.useMetaMaskNetwork) {
-      return true; // When using the main contract folder, allow any network MetaMask is connected to
-    } else {
-      // When using the sample contract, check if MetaMask is connected to the specified network
-      if (networkConfig.network === 'sepolia') {
-        return chainId && chainId.toString() === '11155111';
-      } else if (networkConfig.network === 'mainnet') {
-        return chainId && chainId.toString() === '1';
-      } else if (networkConfig.network === 'goerli') {
-        return chainId && chainId.toString() === '5';
-      }
-      // Add more network conditions as needed
-      return false;
+  // A lock by ID with its status, from the server's event index, else from the
+  // loaded events, or null if neither knows it
+  const lookupLock = async (lockId) => {
+    if (!swapContract || !ethers.isHexString(lockId, 32)) return null;
+    const indexed = await fetchIndexedLock(chainId, swapContract.target, lockId);
+    return indexed ? indexed.lock : findLock(swapsRef.current, lockId);
+  };
+
+  // Check whether a lock exists on chain. Returns the raw locked value,
+  // 0n if the lock doesn't exist, or null if the lookup failed.
+  const verifyLockOnChain = async (lockId) => {
+    if (!swapContract || !ethers.isHexString(lockId, 32)) return null;
+    try {
+      return await swapContract.getLockValue(lockId);
+    } catch (error) {
+      console.error("Error verifying lock:", error);
+      return null;
     }
   };
 
-  const switchToCorrectNetwork = async () => {
-    if (!window.ethereum || networkConfig.useMetaMaskNetwork) return;
+  // Check if the swap contract is deployed on the connected network
+  const isCorrectNetwork = () => {
+    return getNetwork(chainId) !== null;
+  };
+
+  // Switch the wallet to a registered network (the default deployment if none given)
+  const switchToCorrectNetwork = async (targetChainId = defaultChainId) => {
+    const target = getNetwork(targetChainId);
+    if (!window.ethereum || !target) return;
     
     try {
-      if (networkConfig.network === 'sepolia') {
-        await switchToNetwork('0xaa36a7', 'Sepolia', 'ETH', 18, 
-          ['https://sepolia.infura.io/v3/'], ['https://sepolia.etherscan.io']);
-      } else if (networkConfig.network === 'mainnet') {
-        await switchToNetwork('0x1', 'Ethereum Mainnet', 'ETH', 18, 
-          ['https://mainnet.infura.io/v3/'], ['https://etherscan.io']);
-      } else if (networkConfig.network === 'goerli') {
-        await switchToNetwork('0x5', 'Goerli', 'ETH', 18, 
-          ['https://goerli.infura.io/v3/'], ['https://goerli.etherscan.io']);
-      }
-      // Add more network switching options as needed
+      await switchToNetwork(target);
     } catch (error) {
       console.error("Error switching network:", error);
     }
   };
 
-  const switchToNetwork = async (chainId, chainName, symbol, decimals, rpcUrls, blockExplorerUrls) => {
+  const switchToNetwork = async (target) => {
+    const chainId = ethers.toQuantity(target.chainId);
     try {
       await window.ethereum.request({
         method: 'wallet_switchEthereumChain',
@@ -904,14 +1093,10 @@ export function BlockchainProvider({ children }) {
             params: [
               {
                 chainId,
-                chainName,
-                nativeCurrency: {
-                  name: symbol,
-                  symbol,
-                  decimals,
-                },
-                rpcUrls,
-                blockExplorerUrls,
+                chainName: target.name,
+                nativeCurrency: target.nativeCurrency,
+                rpcUrls: target.rpcUrls,
+                blockExplorerUrls: target.explorerUrl ? [target.explorerUrl] : undefined,
               },
             ],
           });
@@ -922,7 +1107,9 @@ export function BlockchainProvider({ children }) {
     }
   };
 
-  // Fetch historical events from the blockchain
+  // Fetch the contract's full event history from the server-side index, falling
+  // back to the in-browser indexer, which resumes from its checkpoint so only new
+  // blocks are queried
   const fetchPastEvents = async (contract) => {
     if (!contract) {
       console.error("Cannot fetch past events - contract is null");
@@ -930,229 +1117,38 @@ export function BlockchainProvider({ children }) {
     }
 
     console.log("Fetching historical events from contract:", contract.target);
-    const allEvents = [];
     
     try {
-      // Define the event types we want to fetch
-      const eventTypes = [
-        { name: 'LockBuy', filter: contract.filters.LockBuy() },
-        { name: 'LockSell', filter: contract.filters.LockSell() },
-        { name: 'Unlock', filter: contract.filters.Unlock() },
-        { name: 'Retrieve', filter: contract.filters.Retrieve() },
-        { name: 'Decline', filter: contract.filters.Decline() }
-      ];
-      
-      // Set block range - we'll look back a reasonable amount
-      // Try multiple methods to get a provider that can fetch a block number
-      let providerToUse = null;
-      
-      // Try the main provider first
-      if (provider && typeof provider.getBlockNumber === 'function') {
-        providerToUse = provider;
-        console.log("Using main provider");
-      } 
-      // Try the contract's provider next
-      else if (contract.provider && typeof contract.provider.getBlockNumber === 'function') {
-        providerToUse = contract.provider;
-        console.log("Using contract provider");
-      }
-      // Try to get the provider from the signer
-      else if (signer && signer.provider && typeof signer.provider.getBlockNumber === 'function') {
-        providerToUse = signer.provider;
-        console.log("Using signer provider");
-      }
-      // Last resort: try to create a new provider if we have a window.ethereum
-      else if (window.ethereum) {
-        try {
-          providerToUse = new ethers.BrowserProvider(window.ethereum);
-          console.log("Created new browser provider");
-        } catch (e) {
-          console.error("Failed to create browser provider:", e);
-        }
-      }
-      
-      if (!providerToUse) {
-        console.error("No provider available to fetch block number. Proceeding with limited functionality.");
-        // Instead of returning empty, we'll try to continue with a limited approach
-        // We'll still look for events but without block filtering
-        
-        // Try to get events without specifying block range
-        for (const eventType of eventTypes) {
-          console.log(`Attempting to fetch ${eventType.name} events without block range...`);
-          
-          try {
-            // This might work with some providers as they'll use their default range
-            const events = await contract.queryFilter(eventType.filter);
-            
-            console.log(`Found ${events.length} ${eventType.name} events`);
-            
-            // Process events similar to below...
-            for (const event of events) {
-              try {
-                let formattedEvent = formatEventByType(event, eventType.name);
-                if (formattedEvent) {
-                  allEvents.push(formattedEvent);
-                }
-              } catch (eventError) {
-                console.error(`Error processing ${eventType.name} event:`, eventError);
-              }
-            }
-          } catch (queryError) {
-            console.error(`Error querying ${eventType.name} events without block range:`, queryError);
-          }
-        }
-        
-        // Sort events by timestamp
-        allEvents.sort((a, b) => b.timestamp - a.timestamp);
-        console.log(`Total events fetched without block range: ${allEvents.length}`);
-        return allEvents;
-      }
-      
-      // If we have a provider, proceed with block-based filtering
-      let currentBlock;
-      try {
-        currentBlock = await providerToUse.getBlockNumber();
-        console.log("Current block number:", currentBlock);
-      } catch (blockNumberError) {
-        console.error("Error getting block number:", blockNumberError);
-        // Try to continue without block filtering as a fallback
-        currentBlock = null;
-      }
-      
-      // If we couldn't get the current block, return the fallback approach
-      if (currentBlock === null) {
-        console.error("Failed to get current block. Trying without block filtering.");
-        // Try events without block range (same as above)
-        const eventsWithoutRange = await contract.queryFilter(eventTypes[0].filter);
-        console.log(`Found ${eventsWithoutRange.length} events without range`);
-        return [];
-      }
-      
-      // We have a valid block number, proceed with filtering
-      // Look back ~5000 blocks as a more conservative approach (approx. 1 day)
-      const fromBlock = Math.max(0, currentBlock - 5000);
-      
-      console.log(`Fetching events from block ${fromBlock} to ${currentBlock}`);
-      
-      // Helper function to format event based on type
-      const formatEventByType = (event, typeName) => {
-        switch (typeName) {
-          case 'LockBuy':
-            return {
-              type: 'LockBuy',
-              token: event.args.token,
-              creator: event.args.creator,
-              recipient: event.args.recipient,
-              hashedSecret: event.args.hashedSecret,
-              timeout: Number(event.args.timeout),
-              value: event.args.value.toString(),
-              sellAssetId: event.args.sellAssetId,
-              sellPrice: event.args.sellPrice.toString(),
-              lockId: event.args.lockId,
-              timestamp: Date.now() // Default to current time
-            };
-          
-          case 'LockSell':
-            return {
-              type: 'LockSell',
-              token: event.args.token,
-              creator: event.args.creator,
-              recipient: event.args.recipient,
-              hashedSecret: event.args.hashedSecret,
-              timeout: Number(event.args.timeout),
-              value: event.args.value.toString(),
-              buyAssetId: event.args.buyAssetId,
-              buyLockId: event.args.buyLockId,
-              timestamp: Date.now() // Default to current time
-            };
-          
-          case 'Unlock':
-            return {
-              type: 'Unlock',
-              token: event.args.token,
-              creator: event.args.creator,
-              recipient: event.args.recipient,
-              lockId: event.args.lockId,
-              secret: event.args.secret,
-              timestamp: Date.now() // Default to current time
-            };
-            
-          case 'Retrieve':
-            return {
-              type: 'Retrieve',
-              token: event.args.token,
-              creator: event.args.creator,
-              recipient: event.args.recipient,
-              lockId: event.args.lockId,
-              timestamp: Date.now() // Default to current time
-            };
-            
-          case 'Decline':
-            return {
-              type: 'Decline',
-              token: event.args.token,
-              creator: event.args.creator,
-              recipient: event.args.recipient,
-              lockId: event.args.lockId,
-              timestamp: Date.now() // Default to current time
-            };
-            
-          default:
-            return null;
-        }
-      };
-      
-      // Fetch each event type
-      for (const eventType of eventTypes) {
-        console.log(`Fetching ${eventType.name} events...`);
-        
-        try {
-          const events = await contract.queryFilter(
-            eventType.filter,
-            fromBlock,
-            currentBlock
-          );
-          
-          console.log(`Found ${events.length} ${eventType.name} events`);
-          
-          // Process each event based on its type
-          for (const event of events) {
-            try {
-              let formattedEvent = formatEventByType(event, eventType.name);
-              
-              if (formattedEvent) {
-                // Try to get block timestamp if possible
-                try {
-                  if (providerToUse) {
-                    const block = await providerToUse.getBlock(event.blockNumber);
-                    if (block && block.timestamp) {
-                      formattedEvent.timestamp = block.timestamp * 1000; // Convert to milliseconds
-                    }
-                  }
-                } catch (blockError) {
-                  console.warn(`Could not get block timestamp, using current time:`, blockError);
-                }
-                
-                allEvents.push(formattedEvent);
-              }
-            } catch (eventError) {
-              console.error(`Error processing ${eventType.name} event:`, eventError, event);
-            }
-          }
-        } catch (queryError) {
-          console.error(`Error querying ${eventType.name} events:`, queryError);
-        }
+      const contractProvider = contract.runner?.provider || provider;
+      const { chainId } = await contractProvider.getNetwork();
+      const network = getNetwork(chainId);
+
+      const indexed = await fetchIndexedEvents(chainId, contract.target);
+      if (indexed) {
+        // Blocks the server hasn't indexed yet come straight from the chain
+        const recentEvents = await fetchEventsSince(contract, contractProvider, indexed.lastBlock + 1);
+        console.log(`Loaded ${indexed.events.length} events from the event index and ${recentEvents.length} newer ones from the chain`);
+        return sortEvents([...indexed.events, ...recentEvents]);
       }
-      
-      // Sort events by timestamp, most recent first
-      allEvents.sort((a, b) => b.timestamp - a.timestamp);
+
+      const allEvents = await syncEvents(contract, contractProvider, {
+        chainId,
+        deploymentBlock: network ? network.deploymentBlock : null,
+        onProgress: setIndexingProgress,
+      });
       
       console.log(`Total events fetched: ${allEvents.length}`);
       return allEvents;
-      
     } catch (error) {
       console.error("Error fetching past events:", error);
+      toast({
+        title: "Could Not Load Swap History",
+        description: error.message,
+        variant: "destructive",
+      });
       return [];
+    } finally {
+      setIndexingProgress(null);
     }
   };
 
@@ -1160,11 +1156,11 @@ export function BlockchainProvider({ children }) {
   const refreshEvents = async () => {
     console.log("Manual refresh of events requested");
     
-    if (!swapContract || !isConnected) {
-      console.error("Cannot refresh events - wallet not connected");
+    if (!swapContract) {
+      console.error("Cannot refresh events - no contract on this network");
       toast({
         title: "Cannot Refresh Events",
-        description: "Wallet is not connected. Please connect your wallet first.",
+        description: "The swap contract is not deployed on this network. Please switch to a supported network.",
         variant: "destructive",
       });
       return false;
@@ -1216,8 +1212,9 @@ export function BlockchainProvider({ children }) {
     }
   };
 
-  // Connect to wallet on page load if already connected
-  useEffect(() => {
+  // Connect to the wallet on page load if it is already connected, or show
+  // events read-only. Returns the cleanup function.
+  const initializeConnection = () => {
     console.log("Blockchain context initialization");
     let cleanupFunctions = [];
     
@@ -1233,49 +1230,24 @@ export function BlockchainProvider({ children }) {
           console.log("Found accounts:", accounts.length > 0 ? `${accounts.length} accounts` : "No accounts");
           
           if (accounts.length > 0) {
-            const network = await provider.getNetwork();
-            setChainId(network.chainId);
-            console.log("Connected to network:", network.chainId);
-            
-            const signer = await provider.getSigner();
-            console.log("Signer obtained:", signer.address);
-            
-            const swapContract = new ethers.Contract(swapAddress, swapAbi, signer);
-            console.log("Swap contract created at address:", swapAddress);
-            
-            setProvider(provider);
-            setSigner(signer);
-            setSwapContract(swapContract);
+            const swapContract = await bindSwapContract(provider);
             setAccount(accounts[0].address);
             setIsConnected(true);
             
-            // Start listening for events
-            console.log("Initializing event listeners");
-            listenForEvents(swapContract);
-            
-            // Add cleanup function
-            cleanupFunctions.push(() => {
-              try {
-                console.log("Removing event listeners on cleanup");
-                swapContract.removeAllListeners();
-              } catch (error) {
-                console.warn("Error removing listeners during cleanup:", error);
-              }
-            });
-            
-            // Fetch past events if possible
-            try {
-              console.log("Attempting to fetch past events");
-              const pastEvents = await fetchPastEvents(swapContract);
-              if (pastEvents && pastEvents.length > 0) {
-                console.log("Found past events:", pastEvents.length);
-                setEvents(pastEvents);
-              } else {
-                console.log("No past events found during initialization");
-              }
-            } catch (pastEventsError) {
-              console.error("Error fetching past events:", pastEventsError);
+            if (!swapContract) {
+              const { chainId: walletChainId } = await provider.getNetwork();
+              notifyUnsupportedNetwork(walletChainId);
+              return;
             }
+            
+            // Start listening for events and fetch past events if possible
+            console.log("Initializing event listeners");
+            await loadContractEvents(swapContract);
+          } else {
+            // Not connected yet: show the wallet's chain read-only
+            const { chainId: walletChainId } = await provider.getNetwork();
+            const readOnlyContract = bindReadOnlyContract(walletChainId);
+            if (readOnlyContract) await loadContractEvents(readOnlyContract);
           }
         } catch (error) {
           console.error("Error checking connection:", error);
@@ -1289,6 +1261,14 @@ export function BlockchainProvider({ children }) {
       
       // Add cleanup function for wallet event listeners
       cleanupFunctions.push(() => {
+        if (swapContractRef.current) {
+          try {
+            console.log("Removing event listeners on cleanup");
+            swapContractRef.current.removeAllListeners();
+          } catch (error) {
+            console.warn("Error removing listeners during cleanup:", error);
+          }
+        }
         if (window.ethereum) {
           // Use the same handler references to ensure proper cleanup
           console.log("Removing wallet event listeners");
@@ -1297,7 +1277,19 @@ export function BlockchainProvider({ children }) {
         }
       });
     } else {
-      console.log("No Ethereum provider found");
+      console.log("No Ethereum provider found, showing the default network read-only");
+      const readOnlyContract = bindReadOnlyContract();
+      if (readOnlyContract) loadContractEvents(readOnlyContract);
+
+      cleanupFunctions.push(() => {
+        if (swapContractRef.current) {
+          try {
+            swapContractRef.current.removeAllListeners();
+          } catch (error) {
+            console.warn("Error removing listeners during cleanup:", error);
+          }
+        }
+      });
     }
     
     // Return cleanup function
@@ -1305,7 +1297,28 @@ export function BlockchainProvider({ children }) {
       console.log("Cleaning up blockchain context");
       cleanupFunctions.forEach(fn => fn());
     };
-  }, []);
+  };
+
+  // Events correlated into swaps (LockBuy + LockSell + closing events)
+  const swaps = useMemo(() => buildSwaps(events), [events]);
+
+  // Locks the account can unlock because the counterparty already revealed the secret
+  const counterUnlocks = useMemo(() => getCounterUnlocks(swaps, account), [swaps, account]);
+
+  // Unlock a counter-lock with the secret published by the counterparty's Unlock
+  const claimCounterUnlock = async (leg, secret) => {
+    return unlock(leg.token, leg.creator, secret, leg.timeout);
+  };
+
+  useEffect(() => {
+    accountRef.current = account;
+    swapsRef.current = swaps;
+    claimCounterUnlockRef.current = claimCounterUnlock;
+    initializeConnectionRef.current = initializeConnection;
+  });
+
+  // Runs once on mount, after the effect above has stored the initializer
+  useEffect(() => initializeConnectionRef.current(), []);
 
   const value = {
     provider,
@@ -1313,8 +1326,15 @@ export function BlockchainProvider({ children }) {
     swapContract,
     account,
     isConnected,
+    // Reading through the network's RPC because no wallet is connected
+    readOnly: !isConnected && swapContract !== null,
     chainId,
+    network,
     events,
+    indexingProgress,
+    swaps,
+    counterUnlocks,
+    claimCounterUnlock,
     connectWallet,
     disconnectWallet,
     lockBuy,
@@ -1322,11 +1342,19 @@ export function BlockchainProvider({ children }) {
     unlock,
     retrieve,
     decline,
+    transactions,
+    clearFinishedTransactions,
     calculateLockId,
     getLockValue,
+    verifyLockOnChain,
+    lookupLock,
+    checkCounterLock,
     getTokenContract,
+    getTokenMetadata,
+    setSwapAllowance,
     isCorrectNetwork,
     switchToCorrectNetwork,
+    browseNetwork,
     fetchPastEvents,
     refreshEvents
   };
@@ -0,0 +1,154 @@
+// Decodes reverts from the swap contract and ERC20 tokens into messages that
+// say what went wrong and what to do about it. Revert data is looked for in
+// the errors from estimateGas, eth_call simulations and wallet sends; a failed
+// receipt carries none, so the transaction is replayed to recover it.
+import { ethers } from 'ethers';
+import { swapAbi, erc20Abi } from './contractrefs.js';
+import { formatTimeout } from './timeouts.js';
+import { formatTokenAmount } from './token-metadata.js';
+
+// Standard ERC20 errors (ERC-6093), which erc20Abi doesn't list
+const ERC20_ERRORS = [
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InvalidSender(address sender)',
+  'error ERC20InvalidReceiver(address receiver)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InvalidApprover(address approver)',
+  'error ERC20InvalidSpender(address spender)',
+];
+
+// Errors of Permit2's signature transfers, used by the *WithPermit2 locks
+const PERMIT2_ERRORS = [
+  'error SignatureExpired(uint256 signatureDeadline)',
+  'error InvalidNonce()',
+  'error InvalidSigner()',
+  'error InvalidAmount(uint256 maxAmount)',
+  'error InvalidSignature()',
+  'error InvalidSignatureLength()',
+];
+
+const interfaces = [
+  new ethers.Interface(swapAbi),
+  new ethers.Interface([...erc20Abi, ...ERC20_ERRORS]),
+  new ethers.Interface(PERMIT2_ERRORS),
+];
+
+const builtinInterface = new ethers.Interface([
+  'error Error(string reason)',
+  'error Panic(uint256 code)',
+]);
+
+const isRevertData = (value) => typeof value === 'string' && /^0x([0-9a-fA-F]{2}){4,}$/.test(value);
+
+// Revert data wherever the provider or wallet nested it (Ganache uses
+// data.result). The request payload is skipped: its data is the calldata.
+export function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== 'object' || depth > 5) return null;
+  if (isRevertData(error.data)) return error.data;
+  if (isRevertData(error.result)) return error.result;
+  for (const key of ['data', 'error', 'info', 'cause']) {
+    const found = findRevertData(error[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+// { name, args } of the decoded error, or null if it isn't one we know
+export function decodeContractError(error) {
+  const data = findRevertData(error);
+  if (!data) return null;
+  for (const iface of [...interfaces, builtinInterface]) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) return { name: parsed.name, args: parsed.args };
+    } catch (parseError) {
+      // Not an error from this ABI
+    }
+  }
+  return null;
+}
+
+const shortHash = (value) => `${value.substring(0, 10)}...`;
+
+const formatValue = (value, { decimals, symbol } = {}) => decimals !== undefined
+  ? `${formatTokenAmount(value, decimals)} ${symbol || 'tokens'}`
+  : `${value.toString()} base units`;
+
+// Explanations by error name. `context` may carry the lock's `timeout` and
+// the token's `decimals` and `symbol`.
+const explanations = {
+  LockAlreadyExists: ([lockId]) =>
+    `A lock with these details already exists (${shortHash(lockId)}). Use a new secret or a different timeout, or look for the existing lock in your swaps.`,
+  LockNotFound: ([lockId]) =>
+    `No funded lock matches these details (${shortHash(lockId)}). It may already have been unlocked, retrieved or declined, or the token, counterparty, secret or timeout is wrong.`,
+  LockTimedOut: (args, { timeout }) =>
+    `This lock already expired${timeout ? ` at ${formatTimeout(timeout)}` : ''}, so it can no longer be unlocked. Its creator can get the tokens back with Retrieve instead.`,
+  LockNotTimedOut: (args, { timeout }) =>
+    `This lock has not expired yet${timeout ? `; it expires at ${formatTimeout(timeout)}` : ''}. Retrieve only works after that. Until then the recipient can unlock it or decline it.`,
+  TransferInFailed: ([token, from, value], context) =>
+    `The token refused to move ${formatValue(value, context)} from ${from} into the swap contract. Check the balance, and that the swap contract is approved to spend at least that much of token ${token}.`,
+  TransferOutFailed: ([token, to, value], context) =>
+    `The token refused to pay out ${formatValue(value, context)} to ${to}. Token ${token} may be paused or may block that address; the lock is unchanged, so try again later.`,
+  NativeValueMismatch: ([expected, sent], context) => expected === 0n
+    ? `Native currency (${formatValue(sent)}) was sent with a token lock. Send nothing with token locks.`
+    : `A native currency lock of ${formatValue(expected, context)} must be sent with exactly that amount, but ${formatValue(sent, context)} was sent.`,
+  NativeTokenNotPermitted: () =>
+    "Native currency can't be locked with a permit signature. Lock it with the value sent along instead.",
+  ERC20InsufficientBalance: ([sender, balance, needed], context) =>
+    `${sender} has ${formatValue(balance, context)} but ${formatValue(needed, context)} is needed.`,
+  ERC20InsufficientAllowance: ([spender, allowance, needed], context) =>
+    `The swap contract ${spender} is approved for ${formatValue(allowance, context)} but needs ${formatValue(needed, context)}. Approve a larger amount and try again.`,
+  ERC20InvalidSender: ([sender]) => `The token does not accept transfers from ${sender}.`,
+  ERC20InvalidReceiver: ([receiver]) => `The token does not accept transfers to ${receiver}.`,
+  ERC20InvalidApprover: ([approver]) => `The token does not accept approvals from ${approver}.`,
+  ERC20InvalidSpender: ([spender]) => `The token does not accept ${spender} as a spender.`,
+  SignatureExpired: ([deadline]) =>
+    `The Permit2 signature expired at ${formatTimeout(Number(deadline))}. Try again to sign a new one.`,
+  InvalidNonce: () =>
+    'This Permit2 signature was already used. Try again to sign a new one.',
+  InvalidSigner: () =>
+    'The Permit2 signature was not made by the account sending the lock. Sign it with the connected account.',
+  InvalidAmount: ([maxAmount], context) =>
+    `The Permit2 signature only covers ${formatValue(maxAmount, context)}.`,
+  InvalidSignature: () => 'The Permit2 signature is invalid.',
+  InvalidSignatureLength: () => 'The Permit2 signature is malformed.',
+  Error: ([reason]) => `The transaction reverted: ${reason}`,
+  Panic: ([code]) => `The transaction reverted with panic code 0x${code.toString(16)}.`,
+};
+
+// Explanation for a contract error by name, e.g. for checks that predict one
+export function explainContractError(name, args, context = {}) {
+  const explain = explanations[name];
+  return explain ? explain(args, context) : `The contract reverted with ${name}.`;
+}
+
+// Human explanation of a contract revert, or null if the error has none
+export function describeContractError(error, context = {}) {
+  const decoded = decodeContractError(error);
+  return decoded ? explainContractError(decoded.name, decoded.args, context) : null;
+}
+
+// Replay a mined transaction that failed, at its block, to get the revert
+// error a receipt doesn't carry. Resolves with that error, or null.
+export async function recoverRevertError(tx, receipt) {
+  try {
+    await tx.provider.call({
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gasLimit: tx.gasLimit,
+      blockTag: receipt.blockNumber,
+    });
+    return null;
+  } catch (error) {
+    return findRevertData(error) ? error : null;
+  }
+}
+
+// The error itself, or a new one carrying its explanation (with the original
+// as cause) for callers that show error.message
+export function withExplanation(error, context = {}) {
+  const explanation = describeContractError(error, context);
+  return explanation ? new Error(explanation, { cause: error }) : error;
+}
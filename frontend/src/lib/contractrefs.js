@@ -1,6 +1,15 @@
-// Import ABI and address from contract files
-import AtomicSwapERC20Abi from '../../contracts/AtomicSwapERC20-abi.json';
-import AtomicSwapERC20Address from '../../contracts/AtomicSwapERC20-address.json';
+// Import ABI from contract files
+import AtomicSwapERC20Abi from '../../contracts/AtomicSwapERC20-abi.json' with { type: 'json' };
+import { defaultNetwork } from './networks.js';
+
+// Per-chain addresses live in the network registry; swapAddress is the
+// deployment on the default network
+const swapAbi = AtomicSwapERC20Abi;
+const swapAddress = defaultNetwork ? defaultNetwork.address : null;
+const networkConfig = {
+  network: defaultNetwork ? defaultNetwork.key : null,
+  chainId: defaultNetwork ? defaultNetwork.chainId : null,
+};
 
 // Export the contract ABI and address
 export { swapAbi, swapAddress, networkConfig };
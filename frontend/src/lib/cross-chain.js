@@ -0,0 +1,113 @@
+// Cross-chain swaps: a buy lock on one chain answered by a sell lock on
+// another. Each chain's events are correlated on their own, so such a swap
+// shows up as a lone buy lock on chain A and a lone sell lock on chain B. They
+// are matched by the shared hashedSecret with the creator and recipient
+// swapped; the sell lock's buyLockId only picks between such candidates, since
+// anyone can name any buyLockId. The secret revealed by unlocking either leg
+// unlocks the other.
+import { buildSwaps, deriveState, LEG_STATUS } from './swaps.js';
+
+// What the account should do next in a cross-chain swap
+export const COORDINATOR_ACTIONS = {
+  // Buyer: unlock the sell lock, which reveals the secret
+  REVEAL: 'reveal',
+  // Seller: unlock the buy lock with the secret the buyer revealed
+  CLAIM: 'claim',
+  // Either party: take back a lock that timed out
+  RETRIEVE: 'retrieve',
+  WAIT: 'wait',
+  DONE: 'done',
+};
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// A leg is expired once its chain's time reaches the timeout. Chains whose
+// time hasn't loaded yet count as not expired.
+const isExpired = (leg, chainTimes) => {
+  const chainTime = chainTimes[leg.chainId];
+  return chainTime !== null && chainTime !== undefined && chainTime >= Number(leg.timeout);
+};
+
+const isCounterLock = (buy, sell) => buy.chainId !== sell.chainId
+  && sameAddress(sell.hashedSecret, buy.hashedSecret)
+  && sameAddress(sell.creator, buy.recipient)
+  && sameAddress(sell.recipient, buy.creator);
+
+// Prefers the candidate that names the buy lock in its buyLockId
+const findCounterLock = (buy, sellLegs) => {
+  const candidates = sellLegs.filter(sell => isCounterLock(buy, sell));
+  return candidates.find(sell => sameAddress(sell.event.buyLockId, buy.lockId)) || candidates[0] || null;
+};
+
+// Cross-chain swaps the account is a party to, from events keyed by chainId
+export function findCrossChainSwaps(eventsByChain, account) {
+  if (!account) return [];
+
+  const buyLegs = [];
+  const sellLegs = [];
+  // Secrets revealed on any chain, by hashedSecret
+  const secrets = new Map();
+
+  Object.entries(eventsByChain).forEach(([chainId, events]) => {
+    buildSwaps(events).forEach(swap => {
+      if (swap.secret) secrets.set(swap.hashedSecret.toLowerCase(), swap.secret);
+      // Swaps with both legs on this chain aren't cross-chain
+      if (swap.buyLock && !swap.sellLock) buyLegs.push({ ...swap.buyLock, chainId: Number(chainId) });
+      if (swap.sellLock && !swap.buyLock) sellLegs.push({ ...swap.sellLock, chainId: Number(chainId) });
+    });
+  });
+
+  return buyLegs
+    .filter(buy => sameAddress(buy.creator, account) || sameAddress(buy.recipient, account))
+    .map(buy => {
+      const sell = findCounterLock(buy, sellLegs);
+      if (!sell) return null;
+
+      const swap = {
+        id: `${buy.chainId}:${buy.lockId.toLowerCase()}`,
+        hashedSecret: buy.hashedSecret,
+        buyLock: buy,
+        sellLock: sell,
+        secret: secrets.get(buy.hashedSecret.toLowerCase()) || null,
+      };
+      return { ...swap, state: deriveState(swap) };
+    })
+    .filter(Boolean);
+}
+
+// Next step for the account in a cross-chain swap: { type, chainId, leg, secret }.
+// chainTimes holds the latest block time of each chain, and vaultSecret the
+// buyer's own secret if it is in the vault.
+export function getCoordinatorAction(swap, account, chainTimes, vaultSecret = null) {
+  const { buyLock, sellLock } = swap;
+  const action = (type, leg = null, secret = null) => ({ type, chainId: leg ? leg.chainId : null, leg, secret });
+
+  if (sameAddress(buyLock.creator, account)) {
+    // Reveal the secret while the seller's lock can still be unlocked
+    if (sellLock.status === LEG_STATUS.LOCKED && !isExpired(sellLock, chainTimes)) {
+      return action(COORDINATOR_ACTIONS.REVEAL, sellLock, vaultSecret || swap.secret);
+    }
+    if (buyLock.status === LEG_STATUS.LOCKED) {
+      // Once the secret is out, the seller claims the buy lock
+      if (sellLock.status === LEG_STATUS.UNLOCKED) return action(COORDINATOR_ACTIONS.DONE);
+      return isExpired(buyLock, chainTimes)
+        ? action(COORDINATOR_ACTIONS.RETRIEVE, buyLock)
+        : action(COORDINATOR_ACTIONS.WAIT, buyLock);
+    }
+    return action(COORDINATOR_ACTIONS.DONE);
+  }
+
+  if (sameAddress(sellLock.creator, account)) {
+    if (buyLock.status === LEG_STATUS.LOCKED && swap.secret && !isExpired(buyLock, chainTimes)) {
+      return action(COORDINATOR_ACTIONS.CLAIM, buyLock, swap.secret);
+    }
+    if (sellLock.status === LEG_STATUS.LOCKED) {
+      return isExpired(sellLock, chainTimes)
+        ? action(COORDINATOR_ACTIONS.RETRIEVE, sellLock)
+        : action(COORDINATOR_ACTIONS.WAIT, sellLock);
+    }
+    return action(COORDINATOR_ACTIONS.DONE);
+  }
+
+  return action(COORDINATOR_ACTIONS.DONE);
+}
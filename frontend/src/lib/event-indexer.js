@@ -0,0 +1,330 @@
+// Full-history event indexer. Walks the contract's logs forward from its
+// deployment block in adaptive chunks (halved whenever the RPC rejects a range
+// as too large) and persists a checkpoint with the indexed events, so each
+// refresh only fetches the blocks added since the last one. Before resuming it
+// rechecks recent block hashes and drops events from blocks that were reorged out.
+import { calculateLockId } from './lock-id.js';
+import { loadEventIndex, saveEventIndex, clearEventIndex } from './event-store.js';
+
+const DEFAULT_CHUNK_SIZE = 10000;
+const MAX_CHUNK_SIZE = 100000;
+// How many blocks below the checkpoint are rechecked for reorgs
+const REORG_DEPTH = 64;
+
+export const EVENT_TYPES = ['LockBuy', 'LockSell', 'Unlock', 'Retrieve', 'Decline'];
+
+// Forget the indexed events so the next sync re-indexes from the deployment block
+export function resetEventIndex(chainId, address) {
+  return clearEventIndex(chainId, address);
+}
+
+// Errors RPC providers return when a getLogs range or result set is too large
+export function isRangeTooLargeError(error) {
+  const message = [
+    error?.message,
+    error?.error?.message,
+    error?.info?.error?.message,
+  ].filter(Boolean).join(' ').toLowerCase();
+
+  return error?.code === -32005 ||
+    error?.error?.code === -32005 ||
+    error?.info?.error?.code === -32005 ||
+    /block range|range is too (large|wide)|too many (blocks|results|logs)|more than \d+ (results|logs)|limit exceeded|response size|query timeout/.test(message);
+}
+
+// Convert a parsed contract log into the event shape used across the app.
+// `timestamp` is the block timestamp in milliseconds.
+export function formatEvent(log, timestamp) {
+  const args = log.args;
+  const base = {
+    type: log.eventName,
+    token: args.token,
+    creator: args.creator,
+    recipient: args.recipient,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    timestamp,
+  };
+
+  switch (log.eventName) {
+    case 'LockBuy':
+      return {
+        ...base,
+        hashedSecret: args.hashedSecret,
+        timeout: Number(args.timeout),
+        value: args.value.toString(),
+        sellAssetId: args.sellAssetId,
+        sellPrice: args.sellPrice.toString(),
+        lockId: args.lockId,
+      };
+
+    case 'LockSell':
+      return {
+        ...base,
+        hashedSecret: args.hashedSecret,
+        timeout: Number(args.timeout),
+        value: args.value.toString(),
+        buyAssetId: args.buyAssetId,
+        buyLockId: args.buyLockId,
+        // LockSell doesn't emit its lockId, so derive it the way the contract does
+        lockId: calculateLockId(args.token, args.creator, args.recipient, args.hashedSecret, args.timeout),
+      };
+
+    case 'Unlock':
+      return { ...base, lockId: args.lockId, secret: args.secret };
+
+    case 'Retrieve':
+    case 'Decline':
+      return { ...base, lockId: args.lockId };
+
+    default:
+      return null;
+  }
+}
+
+// Most recent first, in chain order
+export function sortEvents(events) {
+  return events.sort((a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex));
+}
+
+// Whether two events come from the same log
+export function isSameEvent(a, b) {
+  return a.transactionHash === b.transactionHash && a.logIndex === b.logIndex;
+}
+
+// Find the block the contract was deployed in by bisecting on getCode.
+// Needs historical state, so this can fail on pruned nodes.
+export async function findDeploymentBlock(provider, address, headBlock) {
+  let low = 0;
+  let high = headBlock;
+  if (await provider.getCode(address, high) === '0x') {
+    throw new Error(`No contract at ${address}`);
+  }
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (await provider.getCode(address, middle) === '0x') {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+// Deployment blocks being or already found by bisection, by chainId and
+// address, so each contract is only searched for once
+const deploymentBlocks = new Map();
+
+const resolveStartBlock = async (provider, chainId, address, deploymentBlock, headBlock) => {
+  if (Number.isInteger(deploymentBlock)) return deploymentBlock;
+  const key = `${chainId}:${address.toLowerCase()}`;
+  if (!deploymentBlocks.has(key)) {
+    deploymentBlocks.set(key, findDeploymentBlock(provider, address, headBlock));
+  }
+  try {
+    const block = await deploymentBlocks.get(key);
+    console.log(`Found deployment block for ${address}:`, block);
+    return block;
+  } catch (error) {
+    // Search again next time; the node may just have been unreachable. Indexing
+    // only recent blocks instead would pass off a partial history as complete.
+    deploymentBlocks.delete(key);
+    throw new Error(`Could not find the deployment block of ${address} on chain ${chainId} (${error.message}). Set its deploymentBlock in the deployments file, or use an RPC node that serves historical state.`);
+  }
+};
+
+// Fetch contract logs in [fromBlock, toBlock] (all of them unless a filter is
+// given), halving the chunk size on ranges the RPC rejects. Calls
+// onChunk(logs, chunkEnd, chunkSize) after each chunk.
+export async function fetchLogsInChunks(contract, fromBlock, toBlock, { chunkSize = DEFAULT_CHUNK_SIZE, filter = '*', onChunk } = {}) {
+  let start = fromBlock;
+  let size = chunkSize;
+
+  while (start <= toBlock) {
+    const end = Math.min(start + size - 1, toBlock);
+    let logs;
+    try {
+      logs = await contract.queryFilter(filter, start, end);
+    } catch (error) {
+      if (isRangeTooLargeError(error) && size > 1) {
+        size = Math.max(1, Math.floor(size / 2));
+        console.log(`Block range ${start}-${end} rejected, retrying with ${size} blocks`);
+        continue;
+      }
+      throw error;
+    }
+
+    await onChunk?.(logs, end, size);
+    start = end + 1;
+    // Grow back after a successful chunk, so one dense range doesn't slow the whole walk
+    size = Math.min(size * 2, MAX_CHUNK_SIZE);
+  }
+  return size;
+}
+
+// Compare stored block hashes with the chain, newest first. Blocks below a block
+// that still matches are on the same chain, so the first match ends the check.
+// Returns the index rewound to the last block that is still canonical.
+export async function rewindReorgedBlocks(provider, index) {
+  const hashes = new Map();
+  index.events
+    .filter(event => event.blockHash && event.blockNumber > index.lastBlock - REORG_DEPTH)
+    .forEach(event => hashes.set(event.blockNumber, event.blockHash));
+  if (index.lastBlockHash) {
+    hashes.set(index.lastBlock, index.lastBlockHash);
+  }
+
+  let safeBlock = null;
+  let reorged = false;
+  for (const blockNumber of [...hashes.keys()].sort((a, b) => b - a)) {
+    const block = await provider.getBlock(blockNumber);
+    if (block && block.hash === hashes.get(blockNumber)) {
+      safeBlock = { number: blockNumber, hash: block.hash };
+      break;
+    }
+    reorged = true;
+  }
+  if (!reorged) return index;
+
+  const lastBlock = safeBlock ? safeBlock.number : Math.max(0, index.lastBlock - REORG_DEPTH);
+  const events = index.events.filter(event => event.blockNumber <= lastBlock);
+  console.warn(`Reorg detected: dropped ${index.events.length - events.length} events after block ${lastBlock}`);
+  return { ...index, lastBlock, lastBlockHash: safeBlock ? safeBlock.hash : null, events };
+}
+
+// Indexed events from the local store, without touching the network
+export async function loadCachedEvents(chainId, address) {
+  const index = await loadEventIndex(chainId, address);
+  return index ? sortEvents([...index.events]) : [];
+}
+
+// Where syncEvents keeps its index: load(chainId, address) returns the stored
+// { lastBlock, lastBlockHash, chunkSize, events } or null. save(chainId, address,
+// checkpoint, events) drops the stored events above the old or the new checkpoint,
+// whichever is lower (a reorg rewind), adds `events` and moves the checkpoint, so
+// each chunk only writes its own events. The browser uses IndexedDB; the server
+// indexer passes a SQLite store.
+const browserStore = { load: loadEventIndex, save: saveEventIndex };
+
+// A browser store kept apart from the wallet's index, for indexers that sync
+// the same contracts on their own schedule and would otherwise overwrite each
+// other's checkpoints
+export function createBrowserStore(namespace) {
+  return {
+    load: (chainId, address) => loadEventIndex(chainId, address, namespace),
+    save: (chainId, address, checkpoint, events) => saveEventIndex(chainId, address, checkpoint, events, namespace),
+  };
+}
+
+// Formats raw logs into app events, fetching each block's timestamp once
+const createLogFormatter = (provider) => {
+  const timestamps = new Map();
+  const blockTimestamp = async (blockNumber) => {
+    if (!timestamps.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber);
+      timestamps.set(blockNumber, block ? block.timestamp * 1000 : Date.now());
+    }
+    return timestamps.get(blockNumber);
+  };
+
+  return async (logs) => {
+    const events = [];
+    for (const log of logs) {
+      if (!log.eventName || !EVENT_TYPES.includes(log.eventName)) continue;
+      try {
+        const event = formatEvent(log, await blockTimestamp(log.blockNumber));
+        if (event) events.push(event);
+      } catch (error) {
+        console.error(`Error processing ${log.eventName} event:`, error, log);
+      }
+    }
+    return events;
+  };
+};
+
+// Events from fromBlock to the latest block, without touching the index. Used to
+// catch up on blocks the server indexer hasn't processed yet.
+export async function fetchEventsSince(contract, provider, fromBlock) {
+  const headBlock = await provider.getBlockNumber();
+  const formatLogs = createLogFormatter(provider);
+  const events = [];
+  if (fromBlock <= headBlock) {
+    await fetchLogsInChunks(contract, fromBlock, headBlock, {
+      onChunk: async (logs) => { events.push(...await formatLogs(logs)); },
+    });
+  }
+  return sortEvents(events);
+}
+
+// The LockBuy event with this lockId naming `recipient`, or null. Looks in the
+// stored index first, then in the blocks the index doesn't cover yet, or the
+// whole history from the deployment block if there is no index. lockId isn't
+// an indexed topic, so the query is narrowed to buy locks naming the recipient.
+export async function findLockBuyEvent(contract, provider, { chainId, deploymentBlock = null, lockId, recipient, store = browserStore }) {
+  const matches = (event) => event.type === 'LockBuy' && event.lockId.toLowerCase() === lockId.toLowerCase();
+  const stored = await store.load(chainId, contract.target);
+  const indexed = stored ? stored.events.find(matches) : null;
+  if (indexed) return indexed;
+
+  const headBlock = await provider.getBlockNumber();
+  const fromBlock = stored
+    ? stored.lastBlock + 1
+    : await resolveStartBlock(provider, chainId, contract.target, deploymentBlock, headBlock);
+  if (fromBlock > headBlock) return null;
+
+  const formatLogs = createLogFormatter(provider);
+  let found = null;
+  await fetchLogsInChunks(contract, fromBlock, headBlock, {
+    filter: contract.filters.LockBuy(null, null, recipient),
+    onChunk: async (logs) => {
+      if (!found) found = (await formatLogs(logs)).find(matches) || null;
+    },
+  });
+  return found;
+}
+
+// Bring the index for a contract up to the latest block and return every indexed event.
+// onProgress({ fromBlock, toBlock, currentBlock }) reports how far the walk has got.
+export async function syncEvents(contract, provider, { chainId, deploymentBlock = null, onProgress, store = browserStore } = {}) {
+  const address = contract.target;
+  const head = await provider.getBlock('latest');
+  const headBlock = head.number;
+  const stored = await store.load(chainId, address);
+  const checkpoint = stored ? await rewindReorgedBlocks(provider, stored) : null;
+  if (checkpoint !== stored) {
+    // Persist the rewind first, so the store drops the reorged events
+    const { lastBlock, lastBlockHash, chunkSize } = checkpoint;
+    await store.save(chainId, address, { lastBlock, lastBlockHash, chunkSize }, []);
+  }
+
+  const events = checkpoint ? [...checkpoint.events] : [];
+  const fromBlock = checkpoint
+    ? checkpoint.lastBlock + 1
+    : await resolveStartBlock(provider, chainId, address, deploymentBlock, headBlock);
+  let chunkSize = checkpoint ? checkpoint.chunkSize : DEFAULT_CHUNK_SIZE;
+
+  if (fromBlock > headBlock) {
+    return sortEvents([...events]);
+  }
+
+  console.log(`Indexing events from block ${fromBlock} to ${headBlock}`);
+  const formatLogs = createLogFormatter(provider);
+
+  chunkSize = await fetchLogsInChunks(contract, fromBlock, headBlock, {
+    chunkSize,
+    onChunk: async (logs, chunkEnd, size) => {
+      const chunkEvents = await formatLogs(logs);
+      events.push(...chunkEvents);
+
+      // Checkpoint after every chunk, so an interrupted walk resumes where it stopped
+      await store.save(chainId, address, { lastBlock: chunkEnd, lastBlockHash: null, chunkSize: size }, chunkEvents);
+      onProgress?.({ fromBlock, toBlock: headBlock, currentBlock: chunkEnd });
+    },
+  });
+
+  await store.save(chainId, address, { lastBlock: headBlock, lastBlockHash: head.hash, chunkSize }, []);
+  console.log(`Indexed ${events.length} events up to block ${headBlock}`);
+  return sortEvents([...events]);
+}
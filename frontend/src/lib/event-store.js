@@ -0,0 +1,99 @@
+// Persistent event store: per chainId and contract address, a checkpoint record
+// the indexer resumes from and one record per indexed event (with block hash and
+// block timestamp), so saving a chunk only writes that chunk's events. Falls back
+// to memory when IndexedDB is unavailable.
+import { isIndexedDBSupported, openDatabase, runTransaction } from './idb.js';
+
+const DB_NAME = 'p2pswap-events';
+const DB_VERSION = 2;
+const CHECKPOINTS = 'indexes';
+// Keyed by [key, blockNumber, logIndex], so a contract's events are one key range
+const EVENTS = 'events';
+
+// Used when IndexedDB is unavailable (or fails), so a session still resumes
+const memoryStore = new Map();
+
+// Records of other indexers are kept apart under a namespace; the wallet's
+// index has none
+const storeKey = (chainId, address, namespace) => `${namespace ? `${namespace}:` : ''}${chainId}:${address.toLowerCase()}`;
+
+// Events of a contract above a block
+const eventsAfter = (key, block) => IDBKeyRange.bound([key, block + 1, 0], [key, Infinity, Infinity]);
+
+const openEventsDatabase = () => openDatabase(DB_NAME, DB_VERSION, (db, oldVersion) => {
+  // Version 1 kept the events inside the checkpoint record; those caches are dropped and re-indexed
+  if (oldVersion < 2 && db.objectStoreNames.contains(CHECKPOINTS)) {
+    db.deleteObjectStore(CHECKPOINTS);
+  }
+  if (!db.objectStoreNames.contains(CHECKPOINTS)) {
+    db.createObjectStore(CHECKPOINTS, { keyPath: 'key' });
+  }
+  if (!db.objectStoreNames.contains(EVENTS)) {
+    db.createObjectStore(EVENTS);
+  }
+});
+
+// Drop the events above the old or the new checkpoint, whichever is lower, add
+// the new ones and move the checkpoint
+const saveToMemory = (key, checkpoint, events) => {
+  const previous = memoryStore.get(key);
+  const kept = !previous
+    ? []
+    : checkpoint.lastBlock < previous.lastBlock
+      ? previous.events.filter(event => event.blockNumber <= checkpoint.lastBlock)
+      : previous.events;
+  kept.push(...events);
+  memoryStore.set(key, { ...checkpoint, key, events: kept });
+};
+
+// Stored index for a contract: { lastBlock, lastBlockHash, chunkSize, events }, or null
+export async function loadEventIndex(chainId, address, namespace = null) {
+  const key = storeKey(chainId, address, namespace);
+  if (!isIndexedDBSupported()) return memoryStore.get(key) || null;
+  try {
+    const [checkpoint, events] = await runTransaction(openEventsDatabase, [CHECKPOINTS, EVENTS], 'readonly', transaction => {
+      const checkpointRequest = transaction.objectStore(CHECKPOINTS).get(key);
+      const eventsRequest = transaction.objectStore(EVENTS).getAll(eventsAfter(key, -1));
+      return () => [checkpointRequest.result, eventsRequest.result];
+    });
+    return checkpoint ? { ...checkpoint, events } : memoryStore.get(key) || null;
+  } catch (error) {
+    console.warn("Could not read the event cache:", error);
+    return memoryStore.get(key) || null;
+  }
+}
+
+// Save a checkpoint and the events indexed since the previous one (see the
+// store contract in event-indexer.js)
+export async function saveEventIndex(chainId, address, checkpoint, events = [], namespace = null) {
+  const key = storeKey(chainId, address, namespace);
+  saveToMemory(key, checkpoint, events);
+  if (!isIndexedDBSupported()) return;
+  try {
+    await runTransaction(openEventsDatabase, [CHECKPOINTS, EVENTS], 'readwrite', transaction => {
+      const eventStore = transaction.objectStore(EVENTS);
+      const checkpoints = transaction.objectStore(CHECKPOINTS);
+      // Read the stored checkpoint in the same transaction, so the rewind matches what is on disk
+      const request = checkpoints.get(key);
+      request.onsuccess = () => {
+        const writtenUpTo = request.result ? Math.min(request.result.lastBlock, checkpoint.lastBlock) : -1;
+        eventStore.delete(eventsAfter(key, writtenUpTo));
+        events.forEach(event => eventStore.put(event, [key, event.blockNumber, event.logIndex]));
+        checkpoints.put({ ...checkpoint, key, updatedAt: Date.now() });
+      };
+    });
+  } catch (error) {
+    console.warn("Could not save the event cache:", error);
+  }
+}
+
+// Forget everything indexed for a contract, so the next sync starts from its deployment block
+export async function clearEventIndex(chainId, address, namespace = null) {
+  const key = storeKey(chainId, address, namespace);
+  memoryStore.delete(key);
+  if (!isIndexedDBSupported()) return;
+  await runTransaction(openEventsDatabase, [CHECKPOINTS, EVENTS], 'readwrite', transaction => {
+    transaction.objectStore(EVENTS).delete(eventsAfter(key, -1));
+    transaction.objectStore(CHECKPOINTS).delete(key);
+  });
+}
@@ -0,0 +1,41 @@
+// Minimal promise wrappers around IndexedDB, shared by the local stores
+
+export const isIndexedDBSupported = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+// Open a database; `upgrade(db, oldVersion)` creates its object stores on first
+// use or version bump
+export function openDatabase(name, version, upgrade) {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(name, version);
+    request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run `operation(transaction)` in one transaction over the named stores. It
+// returns a function that collects the result from its requests, called once
+// the transaction has committed
+export async function runTransaction(openDb, storeNames, mode, operation) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const collect = operation(transaction);
+      transaction.oncomplete = () => resolve(collect?.());
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// Run a single request against an object store and resolve with its result
+// once the transaction has committed
+export function runRequest(openDb, storeName, mode, operation) {
+  return runTransaction(openDb, storeName, mode, transaction => {
+    const request = operation(transaction.objectStore(storeName));
+    return () => request.result;
+  });
+}
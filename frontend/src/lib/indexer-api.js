@@ -0,0 +1,60 @@
+// Client for the server-side event index (the /api routes). Resolves to null
+// whenever the API is unreachable, hasn't indexed the chain or serves another
+// contract, so callers fall back to querying the chain directly.
+const REQUEST_TIMEOUT = 5000;
+
+const getJson = async (path) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+  try {
+    const response = await fetch(path, { signal: controller.signal, cache: 'no-store' });
+    if (!response.ok) {
+      console.log(`Event index API returned ${response.status} for ${path}`);
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.log(`Event index API unavailable for ${path}:`, error.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Indexed events of the swap contract and the last block the server indexed
+export async function fetchIndexedEvents(chainId, address) {
+  const data = await getJson(`/api/events?chainId=${chainId}`);
+  if (!data || !Array.isArray(data.events) || data.contract?.toLowerCase() !== address.toLowerCase()) {
+    return null;
+  }
+  return { events: data.events, lastBlock: data.lastBlock };
+}
+
+// An indexed lock and the swap it belongs to, or null if the index doesn't
+// know the lock (it may be in blocks the server hasn't indexed yet)
+export async function fetchIndexedLock(chainId, address, lockId) {
+  const data = await getJson(`/api/locks/${lockId}?chainId=${chainId}`);
+  if (!data || !data.lock || data.contract?.toLowerCase() !== address.toLowerCase()) {
+    return null;
+  }
+  return { lock: data.lock, swap: data.swap, lastBlock: data.lastBlock };
+}
+
+// Indexed swaps locked under a hashedSecret, or null if the index has none
+export async function fetchIndexedSwaps(chainId, address, hashedSecret) {
+  const data = await getJson(`/api/swaps/${hashedSecret}?chainId=${chainId}`);
+  if (!data || !Array.isArray(data.swaps) || data.contract?.toLowerCase() !== address.toLowerCase()) {
+    return null;
+  }
+  return { swaps: data.swaps, lastBlock: data.lastBlock };
+}
+
+// Indexed locks the account created or is the recipient of, each with the
+// events that opened and closed it, or null if the API can't serve them
+export async function fetchIndexedAccountLocks(chainId, address, account) {
+  const data = await getJson(`/api/locks?account=${account}&chainId=${chainId}`);
+  if (!data || !Array.isArray(data.locks) || data.contract?.toLowerCase() !== address.toLowerCase()) {
+    return null;
+  }
+  return { locks: data.locks, lastBlock: data.lastBlock };
+}
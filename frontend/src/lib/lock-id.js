@@ -0,0 +1,33 @@
+import { ethers } from 'ethers';
+
+// Calculate the intrinsic lockId exactly as AtomicSwapERC20 does:
+// keccak256(abi.encode(token, creator, recipient, hashedSecret, timeout))
+export function calculateLockId(tokenAddress, creator, recipient, hashedSecret, timeout) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "address", "address", "bytes32", "uint256"],
+      [tokenAddress, creator, recipient, hashedSecret, BigInt(timeout)]
+    )
+  );
+}
+
+// Calculate a lockId only when every input is well formed, otherwise return null
+export function tryCalculateLockId(tokenAddress, creator, recipient, hashedSecret, timeout) {
+  if (!ethers.isAddress(tokenAddress) || !ethers.isAddress(creator) || !ethers.isAddress(recipient)) {
+    return null;
+  }
+  if (!ethers.isHexString(hashedSecret, 32)) {
+    return null;
+  }
+  if (timeout === '' || timeout === null || timeout === undefined || !(Number(timeout) >= 0)) {
+    return null;
+  }
+  return calculateLockId(tokenAddress, creator, recipient, hashedSecret, Math.floor(Number(timeout)));
+}
+
+// Hash a bytes32 secret the way the contract checks it: keccak256(abi.encode(secret))
+export function hashSecret(secret) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(["bytes32"], [secret])
+  );
+}
@@ -0,0 +1,121 @@
+// Registry of the networks the swap contract is deployed on, keyed by chainId.
+// Static chain metadata lives here; deployed addresses come from the
+// deployments file so a redeploy never needs a code change. Deployments to
+// local devnets come from the git-ignored AtomicSwapERC20-address.local.json
+// (see scripts/local-deployments.mjs) and take precedence.
+import AtomicSwapERC20Deployments from '../../contracts/AtomicSwapERC20-address.json' with { type: 'json' };
+
+const ETH = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+
+// Metadata for every chain we know how to talk to
+const chains = {
+  1: {
+    key: 'mainnet',
+    name: 'Ethereum Mainnet',
+    nativeCurrency: ETH,
+    rpcUrls: ['https://ethereum-rpc.publicnode.com', 'https://cloudflare-eth.com'],
+    explorerUrl: 'https://etherscan.io',
+  },
+  11155111: {
+    key: 'sepolia',
+    name: 'Sepolia',
+    nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: ['https://ethereum-sepolia-rpc.publicnode.com', 'https://rpc.sepolia.org'],
+    explorerUrl: 'https://sepolia.etherscan.io',
+  },
+  17000: {
+    key: 'holesky',
+    name: 'Holesky',
+    nativeCurrency: { name: 'Holesky Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: ['https://ethereum-holesky-rpc.publicnode.com'],
+    explorerUrl: 'https://holesky.etherscan.io',
+  },
+  31337: {
+    key: 'localhost',
+    name: 'Localhost (Anvil/Hardhat)',
+    nativeCurrency: ETH,
+    rpcUrls: ['http://127.0.0.1:8545'],
+    explorerUrl: null,
+  },
+  // Second local node, for trying cross-chain swaps (see blockchain/devnet.js)
+  31338: {
+    key: 'localhost-2',
+    name: 'Localhost 2',
+    nativeCurrency: ETH,
+    rpcUrls: ['http://127.0.0.1:8546'],
+    explorerUrl: null,
+  },
+};
+
+// Optional features of the swap contract. Each deployment lists the ones it has
+// under `features` in the deployments file; older deployments predate them.
+export const CONTRACT_FEATURES = {
+  // Locks of the chain's native currency (token address zero)
+  NATIVE_LOCKS: 'nativeLocks',
+  // The lockBuyWithPermit/lockBuyWithPermit2 family of entry points
+  PERMITS: 'permits',
+};
+
+const localDeployments = process.env.LOCAL_DEPLOYMENTS ? JSON.parse(process.env.LOCAL_DEPLOYMENTS) : {};
+
+const deployments = {
+  ...AtomicSwapERC20Deployments.deployments,
+  ...localDeployments.deployments,
+};
+
+// Build a registry entry for a chain, or null if the contract isn't deployed there
+const buildNetwork = (chainId) => {
+  const deployment = deployments[chainId];
+  if (!deployment || !deployment.address) return null;
+
+  const chain = chains[chainId] || {
+    key: `chain-${chainId}`,
+    name: `Chain ${chainId}`,
+    nativeCurrency: ETH,
+    rpcUrls: [],
+    explorerUrl: null,
+  };
+
+  return {
+    chainId: Number(chainId),
+    ...chain,
+    address: deployment.address,
+    deploymentBlock: deployment.deploymentBlock ?? null,
+    features: deployment.features || [],
+  };
+};
+
+export const networks = Object.fromEntries(
+  Object.keys(deployments)
+    .map((chainId) => [Number(chainId), buildNetwork(chainId)])
+    .filter(([, network]) => network !== null)
+);
+
+export const supportedChainIds = Object.keys(networks).map(Number);
+
+export const defaultChainId = Number(localDeployments.defaultChainId ?? AtomicSwapERC20Deployments.defaultChainId ?? supportedChainIds[0]);
+
+// Look up a network by chainId (number, bigint or hex string)
+export function getNetwork(chainId) {
+  if (chainId === null || chainId === undefined) return null;
+  return networks[Number(chainId)] || null;
+}
+
+export function isSupportedChain(chainId) {
+  return getNetwork(chainId) !== null;
+}
+
+export const defaultNetwork = getNetwork(defaultChainId);
+
+// Whether the deployment on a chain has one of the CONTRACT_FEATURES
+export function hasContractFeature(chainId, feature) {
+  const network = getNetwork(chainId);
+  return !!network && network.features.includes(feature);
+}
+
+// Link to an address or transaction on the network's block explorer
+export function getExplorerUrl(chainId, type, value) {
+  const network = getNetwork(chainId);
+  if (!network || !network.explorerUrl) return null;
+  return `${network.explorerUrl}/${type}/${value}`;
+}
@@ -0,0 +1,70 @@
+// Public order book: buy locks that are still waiting for a LockSell, grouped
+// by the asset they want (sellAssetId) and the token they pay in.
+import { ethers } from 'ethers';
+import { LEG_STATUS } from './swaps.js';
+import { DEFAULT_SELL_DURATION, DEFAULT_SAFETY_MARGIN, MIN_REMAINING, maxSellTimeout } from './timeouts.js';
+
+// Decimal places kept when dividing the locked value by the unit price
+const QUANTITY_DECIMALS = 6;
+
+// Buy legs that no sell lock has answered yet and that haven't timed out.
+// Whether they are still funded is checked on chain separately (getLockValue).
+export function getOpenBuyLocks(swaps, chainTime) {
+  return swaps
+    .filter(swap => swap.buyLock && !swap.sellLock && swap.buyLock.status === LEG_STATUS.LOCKED)
+    .map(swap => swap.buyLock)
+    .filter(leg => chainTime === null || leg.timeout > chainTime);
+}
+
+// Group offers by sellAssetId and token, best price (highest sellPrice) first.
+// Groups with the most offers come first.
+export function buildOrderBook(legs) {
+  const groups = new Map();
+  legs.forEach(leg => {
+    const sellAssetId = leg.event.sellAssetId;
+    const key = `${sellAssetId.toLowerCase()}:${leg.token.toLowerCase()}`;
+    if (!groups.has(key)) {
+      groups.set(key, { key, sellAssetId, token: leg.token, offers: [] });
+    }
+    groups.get(key).offers.push(leg);
+  });
+
+  const byPrice = (a, b) => {
+    const difference = BigInt(b.event.sellPrice) - BigInt(a.event.sellPrice);
+    return difference > 0n ? 1 : difference < 0n ? -1 : a.timeout - b.timeout;
+  };
+  return [...groups.values()]
+    .map(group => ({ ...group, offers: group.offers.sort(byPrice) }))
+    .sort((a, b) => b.offers.length - a.offers.length);
+}
+
+// Units of the asset the buy lock pays for: locked value / unit price. Both are in
+// the buy token's base units, so the token's decimals cancel out.
+export function getOfferQuantity(leg) {
+  const price = BigInt(leg.event.sellPrice);
+  if (price === 0n) return null;
+  const scaled = BigInt(leg.value) * 10n ** BigInt(QUANTITY_DECIMALS) / price;
+  return ethers.formatUnits(scaled, QUANTITY_DECIMALS);
+}
+
+// Lock duration for a LockSell answering the buy lock: the default duration,
+// shortened so the lock expires a safety margin before the buy lock. Null when
+// less than MIN_REMAINING would be left, i.e. the offer can't be answered safely.
+export function getResponseDuration(leg, chainTime) {
+  if (chainTime === null) return null;
+  const duration = Math.min(DEFAULT_SELL_DURATION, maxSellTimeout(leg.timeout, DEFAULT_SAFETY_MARGIN) - chainTime);
+  return duration >= MIN_REMAINING ? duration : null;
+}
+
+// LockSell form values answering a buy lock. Only its recipient can unlock the
+// buy lock, so the response locks to the buyer under the same hashedSecret.
+export function buildSellDraft(leg, chainTime) {
+  return {
+    recipient: leg.creator,
+    hashedSecret: leg.hashedSecret,
+    buyAssetId: leg.event.sellAssetId,
+    buyLockId: leg.lockId,
+    value: getOfferQuantity(leg),
+    duration: getResponseDuration(leg, chainTime),
+  };
+}
@@ -0,0 +1,128 @@
+// Signature approvals for lockBuy and lockSell. When the swap contract has no
+// allowance yet, the lock can be approved with an off-chain signature instead
+// of an approve transaction: an EIP-2612 permit if the token implements one, or
+// a Permit2 signature transfer if the account has approved Permit2 for the
+// token. The signature is passed to the lock's *WithPermit / *WithPermit2 entry
+// point. Tokens with neither keep using approve.
+import { ethers } from 'ethers';
+
+// Uniswap's Permit2, deployed at the same address on every chain
+export const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+// How long a signed permit stays valid, in seconds
+export const PERMIT_VALIDITY = 30 * 60;
+
+export const PERMIT_METHODS = {
+  permit: 'permit',
+  permit2: 'permit2',
+};
+
+// Entry point for a lock action approved with a permit method
+const ENTRY_POINTS = {
+  permit: { lockBuy: 'lockBuyWithPermit', lockSell: 'lockSellWithPermit' },
+  permit2: { lockBuy: 'lockBuyWithPermit2', lockSell: 'lockSellWithPermit2' },
+};
+
+const permitTokenAbi = [
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+const PERMIT2_TYPES = {
+  PermitTransferFrom: [
+    { name: 'permitted', type: 'TokenPermissions' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+  TokenPermissions: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+  ],
+};
+
+export function getPermitEntryPoint(action, method) {
+  return ENTRY_POINTS[method][action];
+}
+
+// EIP-712 domain of a token's EIP-2612 permit, or null if the token has none.
+// The domain is rebuilt from name(), version() (default "1"), the chain and
+// the token, and must hash to the token's DOMAIN_SEPARATOR.
+export async function getPermitDomain(provider, chainId, tokenAddress) {
+  const token = new ethers.Contract(tokenAddress, permitTokenAbi, provider);
+  try {
+    const [name, separator] = await Promise.all([token.name(), token.DOMAIN_SEPARATOR()]);
+    const version = await token.version().catch(() => '1');
+    const domain = { name, version, chainId: Number(chainId), verifyingContract: ethers.getAddress(tokenAddress) };
+    return ethers.TypedDataEncoder.hashDomain(domain) === separator ? domain : null;
+  } catch (error) {
+    // No DOMAIN_SEPARATOR (or name), so no permit
+    return null;
+  }
+}
+
+// How the swap contract can be approved for `value` of a token without an
+// approve transaction: 'permit', 'permit2', or null to fall back to approve.
+// Only for deployments with the permit entry points (the 'permits' feature).
+export async function getPermitMethod(swapContract, chainId, tokenAddress, owner, value) {
+  const provider = swapContract.runner.provider;
+  const token = new ethers.Contract(tokenAddress, permitTokenAbi, provider);
+
+  const domain = await getPermitDomain(provider, chainId, tokenAddress);
+  if (domain) {
+    // The nonce must be readable for the permit to be signed
+    const hasNonces = await token.nonces(owner).then(() => true, () => false);
+    if (hasNonces) return PERMIT_METHODS.permit;
+  }
+
+  const code = await provider.getCode(PERMIT2_ADDRESS);
+  if (code !== '0x') {
+    const permit2Allowance = await token.allowance(owner, PERMIT2_ADDRESS).catch(() => 0n);
+    if (permit2Allowance >= value) return PERMIT_METHODS.permit2;
+  }
+
+  return null;
+}
+
+// Sign an EIP-2612 permit for `spender`. Resolves with the contract's
+// PermitSignature { deadline, v, r, s }.
+export async function signPermit(signer, { chainId, token, spender, value, deadline }) {
+  const owner = await signer.getAddress();
+  const domain = await getPermitDomain(signer.provider, chainId, token);
+  if (!domain) throw new Error(`Token ${token} does not support EIP-2612 permits`);
+
+  const nonce = await new ethers.Contract(token, permitTokenAbi, signer.provider).nonces(owner);
+  const signature = ethers.Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, {
+    owner, spender, value, nonce, deadline,
+  }));
+  return { deadline, v: signature.v, r: signature.r, s: signature.s };
+}
+
+// Sign a Permit2 transfer of `value` to `spender`. Permit2 nonces are
+// unordered, so a random one is used. Resolves with the contract's
+// Permit2Signature { nonce, deadline, signature }.
+export async function signPermit2(signer, { chainId, token, spender, value, deadline }) {
+  const domain = { name: 'Permit2', chainId: Number(chainId), verifyingContract: PERMIT2_ADDRESS };
+  const nonce = ethers.toBigInt(ethers.randomBytes(32));
+  const signature = await signer.signTypedData(domain, PERMIT2_TYPES, {
+    permitted: { token, amount: value }, spender, nonce, deadline,
+  });
+  return { nonce, deadline, signature };
+}
+
+export function signLockPermit(signer, method, details) {
+  return method === PERMIT_METHODS.permit ? signPermit(signer, details) : signPermit2(signer, details);
+}
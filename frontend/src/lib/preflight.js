@@ -0,0 +1,101 @@
+// Pre-flight for swap transactions. Before the wallet is asked to sign, the
+// lock the call touches is checked (its intrinsic lockId, getLockValue and the
+// timeout against the latest block time) and the call is simulated with
+// eth_call, so a transaction that is certain to revert is never sent.
+import { isError } from 'ethers';
+import { calculateLockId, hashSecret } from './lock-id.js';
+import { getChainTime } from './timeouts.js';
+import { describeContractError, explainContractError } from './contract-errors.js';
+
+export const SWAP_ACTIONS = [
+  'lockBuy', 'lockBuyWithPermit', 'lockBuyWithPermit2',
+  'lockSell', 'lockSellWithPermit', 'lockSellWithPermit2',
+  'unlock', 'retrieve', 'decline',
+];
+
+// The permit variants create the same lock as lockBuy and lockSell
+const isLockAction = (action) => action.startsWith('lockBuy') || action.startsWith('lockSell');
+
+// lockId and timeout of the lock a swap call creates or spends, from its
+// arguments as passed to the contract
+export function getActionLock(action, args, account) {
+  const [token, counterparty, secretOrHash, timeout] = args;
+  switch (isLockAction(action) ? 'lock' : action) {
+    case 'lock':
+    case 'retrieve':
+      return { lockId: calculateLockId(token, account, counterparty, secretOrHash, timeout), timeout: Number(timeout) };
+    case 'unlock':
+      return { lockId: calculateLockId(token, counterparty, account, hashSecret(secretOrHash), timeout), timeout: Number(timeout) };
+    case 'decline':
+      return { lockId: calculateLockId(token, counterparty, account, secretOrHash, timeout), timeout: Number(timeout) };
+    default:
+      throw new Error(`Unknown swap action: ${action}`);
+  }
+}
+
+// Checks that need no simulation. Returns issues as { level, message }.
+export async function checkSwapAction(contract, provider, action, args, account) {
+  const issues = [];
+  const error = (message) => issues.push({ level: 'error', message });
+
+  const { lockId, timeout } = getActionLock(action, args, account);
+  const [lockValue, chainTime] = await Promise.all([
+    contract.getLockValue(lockId),
+    getChainTime(provider),
+  ]);
+  const exists = lockValue !== 0n;
+
+  switch (isLockAction(action) ? 'lock' : action) {
+    case 'lock':
+      if (exists) error(explainContractError('LockAlreadyExists', [lockId]));
+      if (!(timeout > chainTime)) {
+        error(`Timeout ${timeout} is not after the latest block time (${chainTime}). Use an absolute Unix timestamp in the future.`);
+      }
+      break;
+    case 'unlock':
+      if (!exists) error(explainContractError('LockNotFound', [lockId]));
+      else if (chainTime >= timeout) error(explainContractError('LockTimedOut', [lockId], { timeout }));
+      break;
+    case 'retrieve':
+      if (!exists) error(explainContractError('LockNotFound', [lockId]));
+      else if (chainTime < timeout) error(explainContractError('LockNotTimedOut', [lockId], { timeout }));
+      break;
+    default:
+      if (!exists) error(explainContractError('LockNotFound', [lockId]));
+  }
+  return issues;
+}
+
+// Run the call with eth_call from the connected account. A revert is an
+// error issue; an RPC failure only a warning, since it says nothing about the call.
+export async function simulateSwapAction(contract, action, args, context = {}) {
+  try {
+    await contract[action].staticCall(...args);
+    return [];
+  } catch (simulationError) {
+    console.error(`Simulation of ${action} failed:`, simulationError);
+    if (isError(simulationError, 'CALL_EXCEPTION')) {
+      return [{
+        level: 'error',
+        message: describeContractError(simulationError, context)
+          || `The transaction would revert: ${simulationError.shortMessage || simulationError.message}`,
+      }];
+    }
+    return [{ level: 'warning', message: `Could not simulate the transaction: ${simulationError.message}` }];
+  }
+}
+
+// Both steps; the simulation only runs when the checks pass
+export async function preflightSwapAction(contract, provider, action, args, account, context = {}) {
+  const issues = await checkSwapAction(contract, provider, action, args, account);
+  if (issues.some(issue => issue.level === 'error')) return issues;
+  return [...issues, ...(await simulateSwapAction(contract, action, args, context))];
+}
+
+// Throw with every error's explanation, so the transaction isn't sent
+export function assertNoErrors(issues) {
+  const errors = issues.filter(issue => issue.level === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map(issue => issue.message).join(' '));
+  }
+}
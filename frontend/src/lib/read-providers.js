@@ -0,0 +1,33 @@
+// Read-only access to every registered network through its public RPC, so
+// chains other than the wallet's can be watched. Providers are created once
+// per chain and reused.
+import { ethers } from 'ethers';
+import { swapAbi } from './contractrefs.js';
+import { getNetwork } from './networks.js';
+
+const providers = new Map();
+const contracts = new Map();
+
+// JSON-RPC provider for a registered network, or null if it has no RPC URL
+export function getReadProvider(chainId) {
+  const network = getNetwork(chainId);
+  if (!network || network.rpcUrls.length === 0) return null;
+
+  if (!providers.has(network.chainId)) {
+    // The chain is known, so skip the eth_chainId request before every call
+    providers.set(network.chainId, new ethers.JsonRpcProvider(network.rpcUrls[0], network.chainId, { staticNetwork: true }));
+  }
+  return providers.get(network.chainId);
+}
+
+// Swap contract on a registered network, connected to its read provider
+export function getReadContract(chainId) {
+  const provider = getReadProvider(chainId);
+  if (!provider) return null;
+
+  const network = getNetwork(chainId);
+  if (!contracts.has(network.chainId)) {
+    contracts.set(network.chainId, new ethers.Contract(network.address, swapAbi, provider));
+  }
+  return contracts.get(network.chainId);
+}
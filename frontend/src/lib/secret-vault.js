@@ -0,0 +1,209 @@
+// Encrypted secret vault: stores generated preimages in IndexedDB, keyed by
+// hashedSecret, so a lock can still be unlocked after the tab is closed.
+// Entries are encrypted with AES-GCM under a key derived (PBKDF2) from either a
+// passphrase or a wallet signature over a fixed message.
+import { ethers } from 'ethers';
+import { hashSecret } from './lock-id.js';
+import { isIndexedDBSupported, openDatabase, runRequest as runStoreRequest } from './idb.js';
+
+const DB_NAME = 'p2pswap-vault';
+const DB_VERSION = 1;
+const SECRETS_STORE = 'secrets';
+const META_STORE = 'meta';
+const META_KEY = 'vault';
+const KDF_ITERATIONS = 250000;
+// Encrypted with the vault key so a wrong passphrase/signature is detected on unlock
+const KEY_CHECK = 'p2pswap-vault-check';
+
+export const VAULT_METHODS = {
+  PASSPHRASE: 'passphrase',
+  SIGNATURE: 'signature',
+};
+
+// Message the wallet signs to derive the vault key. Must never change, or
+// existing vaults can no longer be decrypted.
+export const VAULT_SIGNATURE_MESSAGE = "Unlock my P2P Swap secret vault.\n\nOnly sign this message on the P2P Swap site.";
+
+// Key for the unlocked vault, kept in memory only
+let vaultKey = null;
+let vaultMethod = null;
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+// Subscribe to lock/unlock and content changes; returns an unsubscribe function
+export function subscribeToVault(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const isSupported = () => isIndexedDBSupported() && !!window.crypto?.subtle;
+
+const openVaultDatabase = () => openDatabase(DB_NAME, DB_VERSION, db => {
+  if (!db.objectStoreNames.contains(SECRETS_STORE)) {
+    db.createObjectStore(SECRETS_STORE, { keyPath: 'hashedSecret' });
+  }
+  if (!db.objectStoreNames.contains(META_STORE)) {
+    db.createObjectStore(META_STORE);
+  }
+});
+
+const runRequest = (storeName, mode, operation) => runStoreRequest(openVaultDatabase, storeName, mode, operation);
+
+const deriveKey = async (material, salt) => {
+  const baseKey = await window.crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(material), 'PBKDF2', false, ['deriveKey']
+  );
+  return window.crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: KDF_ITERATIONS, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encrypt = async (key, plaintext) => {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext)
+  );
+  return { iv: ethers.hexlify(iv), ciphertext: ethers.hexlify(new Uint8Array(ciphertext)) };
+};
+
+const decrypt = async (key, { iv, ciphertext }) => {
+  const plaintext = await window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: ethers.getBytes(iv) }, key, ethers.getBytes(ciphertext)
+  );
+  return new TextDecoder().decode(plaintext);
+};
+
+const readMeta = () => runRequest(META_STORE, 'readonly', store => store.get(META_KEY));
+
+const requireUnlocked = () => {
+  if (!vaultKey) {
+    throw new Error("The secret vault is locked. Unlock it first.");
+  }
+};
+
+// Current vault state: whether it exists, how it is keyed and whether it is unlocked
+export async function getVaultStatus() {
+  if (!isSupported()) {
+    return { supported: false, initialized: false, method: null, unlocked: false };
+  }
+  const meta = await readMeta();
+  return {
+    supported: true,
+    initialized: !!meta,
+    method: meta ? meta.method : null,
+    unlocked: !!vaultKey,
+  };
+}
+
+// Unlock the vault, creating it on first use. Pass { passphrase } or { signer }.
+export async function unlockVault({ passphrase, signer } = {}) {
+  if (!isSupported()) {
+    throw new Error("This browser does not support IndexedDB and WebCrypto, which the vault needs");
+  }
+
+  const method = signer ? VAULT_METHODS.SIGNATURE : VAULT_METHODS.PASSPHRASE;
+  if (method === VAULT_METHODS.PASSPHRASE && !passphrase) {
+    throw new Error("Please enter the vault passphrase");
+  }
+
+  const meta = await readMeta();
+  if (meta && meta.method !== method) {
+    throw new Error(meta.method === VAULT_METHODS.SIGNATURE
+      ? "This vault is protected by a wallet signature. Unlock it with your wallet."
+      : "This vault is protected by a passphrase. Unlock it with your passphrase.");
+  }
+
+  const material = method === VAULT_METHODS.SIGNATURE
+    ? await signer.signMessage(VAULT_SIGNATURE_MESSAGE)
+    : passphrase;
+  const salt = meta ? ethers.getBytes(meta.salt) : window.crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(material, salt);
+
+  if (meta) {
+    try {
+      if (await decrypt(key, meta.check) !== KEY_CHECK) throw new Error("Key check mismatch");
+    } catch (error) {
+      throw new Error(method === VAULT_METHODS.SIGNATURE
+        ? "Could not unlock the vault with this wallet. Use the account that created it."
+        : "Wrong vault passphrase");
+    }
+  } else {
+    const check = await encrypt(key, KEY_CHECK);
+    await runRequest(META_STORE, 'readwrite', store =>
+      store.put({ method, salt: ethers.hexlify(salt), check, createdAt: Date.now() }, META_KEY)
+    );
+  }
+
+  vaultKey = key;
+  vaultMethod = method;
+  notify();
+}
+
+// Forget the key; stored entries stay encrypted on disk
+export function lockVault() {
+  vaultKey = null;
+  vaultMethod = null;
+  notify();
+}
+
+export function isVaultUnlocked() {
+  return !!vaultKey;
+}
+
+export function getUnlockedVaultMethod() {
+  return vaultMethod;
+}
+
+// Store a secret with its swap details. The hashedSecret is recomputed from the
+// secret so an entry can never be filed under the wrong hash.
+export async function saveSecret({ secret, token = null, counterparty = null, timeout = null, lockId = null, chainId = null }) {
+  requireUnlocked();
+  if (!ethers.isHexString(secret, 32)) {
+    throw new Error("Only bytes32 secrets can be stored in the vault");
+  }
+
+  const hashedSecret = hashSecret(secret);
+  const payload = {
+    secret,
+    token,
+    counterparty,
+    timeout: timeout === null ? null : Number(timeout),
+    lockId,
+    chainId: chainId === null ? null : chainId.toString(),
+  };
+  const encrypted = await encrypt(vaultKey, JSON.stringify(payload));
+
+  await runRequest(SECRETS_STORE, 'readwrite', store =>
+    store.put({ hashedSecret: hashedSecret.toLowerCase(), ...encrypted, createdAt: Date.now() })
+  );
+  notify();
+  return hashedSecret;
+}
+
+// Look a secret up by hashedSecret. Returns null if the vault is locked or has no entry.
+export async function getSecret(hashedSecret) {
+  if (!vaultKey || !hashedSecret || !isSupported()) return null;
+
+  const record = await runRequest(SECRETS_STORE, 'readonly', store => store.get(hashedSecret.toLowerCase()));
+  if (!record) return null;
+
+  const entry = JSON.parse(await decrypt(vaultKey, record));
+  return { ...entry, hashedSecret: record.hashedSecret, createdAt: record.createdAt };
+}
+
+// All decrypted entries, newest first
+export async function listSecrets() {
+  requireUnlocked();
+  const records = await runRequest(SECRETS_STORE, 'readonly', store => store.getAll());
+  const entries = await Promise.all(records.map(async record => ({
+    ...JSON.parse(await decrypt(vaultKey, record)),
+    hashedSecret: record.hashedSecret,
+    createdAt: record.createdAt,
+  })));
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
@@ -0,0 +1,38 @@
+// Shared plumbing for the /api routes that serve the server-side event index
+import { NextResponse } from 'next/server';
+import { defaultChainId, getNetwork } from '../networks.js';
+import { openEventDatabase, getCheckpoint } from './event-db.js';
+
+export const jsonError = (status, message) => NextResponse.json({ error: message }, { status });
+
+// Resolve the network from ?chainId= (the default network otherwise), open the
+// index and call handler({ db, network, searchParams }). The handler returns the
+// response body, or a Response to send as is (e.g. a jsonError).
+export async function withEventIndex(request, handler) {
+  const { searchParams } = new URL(request.url);
+  const chainParam = searchParams.get('chainId');
+  const network = getNetwork(chainParam ?? defaultChainId);
+  if (!network) {
+    return jsonError(400, `The swap contract is not deployed on chain ${chainParam}`);
+  }
+
+  try {
+    const db = openEventDatabase({ readonly: true });
+    const checkpoint = db ? getCheckpoint(db, network.chainId, network.address) : null;
+    if (!checkpoint) {
+      return jsonError(503, `Chain ${network.chainId} has not been indexed yet`);
+    }
+
+    const body = await handler({ db, network, searchParams });
+    if (body instanceof Response) return body;
+    return NextResponse.json({
+      chainId: network.chainId,
+      contract: network.address,
+      lastBlock: checkpoint.lastBlock,
+      ...body,
+    });
+  } catch (error) {
+    console.error("Event index request failed:", error);
+    return jsonError(500, "Event index request failed");
+  }
+}
@@ -0,0 +1,161 @@
+// SQLite store for the server-side indexer (scripts/indexer.mjs) and the API
+// routes that read from it. Events are stored one row per log, with the columns
+// the API filters on and the formatted event as JSON.
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+export const DEFAULT_DB_PATH = path.join(process.cwd(), 'data', 'events.sqlite');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS events (
+    chain_id INTEGER NOT NULL,
+    contract TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    lock_id TEXT,
+    hashed_secret TEXT,
+    creator TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (chain_id, contract, block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_lock_id ON events (chain_id, contract, lock_id);
+  CREATE INDEX IF NOT EXISTS events_hashed_secret ON events (chain_id, contract, hashed_secret);
+  CREATE INDEX IF NOT EXISTS events_creator ON events (chain_id, contract, creator);
+  CREATE INDEX IF NOT EXISTS events_recipient ON events (chain_id, contract, recipient);
+
+  CREATE TABLE IF NOT EXISTS checkpoints (
+    chain_id INTEGER NOT NULL,
+    contract TEXT NOT NULL,
+    last_block INTEGER NOT NULL,
+    last_block_hash TEXT,
+    chunk_size INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (chain_id, contract)
+  );
+`;
+
+const databases = new Map();
+
+export const getDatabasePath = () => process.env.EVENT_DB_PATH || DEFAULT_DB_PATH;
+
+// Open (and cache) the database. The indexer creates it; readers pass
+// { readonly: true } and get null while it doesn't exist yet.
+export function openEventDatabase({ file = getDatabasePath(), readonly = false } = {}) {
+  const key = `${file}:${readonly}`;
+  if (databases.has(key)) return databases.get(key);
+
+  if (readonly) {
+    if (!fs.existsSync(file)) return null;
+  } else {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  const db = new Database(file, { readonly, fileMustExist: readonly });
+  if (!readonly) {
+    // WAL lets the API routes read while the indexer writes
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+  }
+  databases.set(key, db);
+  return db;
+}
+
+export function closeEventDatabases() {
+  databases.forEach(db => db.close());
+  databases.clear();
+}
+
+const toKey = (chainId, address) => [Number(chainId), address.toLowerCase()];
+const lower = (value) => (value ? value.toLowerCase() : null);
+const parseRows = (rows) => rows.map(row => JSON.parse(row.data));
+
+export function getCheckpoint(db, chainId, address) {
+  const row = db.prepare(
+    'SELECT last_block, last_block_hash, chunk_size, updated_at FROM checkpoints WHERE chain_id = ? AND contract = ?'
+  ).get(...toKey(chainId, address));
+  return row
+    ? { lastBlock: row.last_block, lastBlockHash: row.last_block_hash, chunkSize: row.chunk_size, updatedAt: row.updated_at }
+    : null;
+}
+
+// Store for syncEvents (see event-indexer.js). Each save inserts the events it is
+// given, and a checkpoint that moved backwards (reorg) deletes the rows above it.
+export function createSqliteStore(db) {
+  const insert = db.prepare(`
+    INSERT OR REPLACE INTO events
+      (chain_id, contract, block_number, log_index, type, lock_id, hashed_secret, creator, recipient, data)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const deleteAfter = db.prepare('DELETE FROM events WHERE chain_id = ? AND contract = ? AND block_number > ?');
+  const saveCheckpoint = db.prepare(`
+    INSERT OR REPLACE INTO checkpoints (chain_id, contract, last_block, last_block_hash, chunk_size, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const save = db.transaction((chainId, address, checkpoint, events) => {
+    const key = toKey(chainId, address);
+    const previous = getCheckpoint(db, chainId, address);
+    const writtenUpTo = previous ? Math.min(previous.lastBlock, checkpoint.lastBlock) : -1;
+
+    deleteAfter.run(...key, writtenUpTo);
+    events.forEach(event => insert.run(
+      ...key,
+      event.blockNumber,
+      event.logIndex,
+      event.type,
+      lower(event.lockId),
+      lower(event.hashedSecret),
+      event.creator.toLowerCase(),
+      event.recipient.toLowerCase(),
+      JSON.stringify(event)
+    ));
+    saveCheckpoint.run(...key, checkpoint.lastBlock, checkpoint.lastBlockHash, checkpoint.chunkSize, Date.now());
+  });
+
+  return {
+    load: async (chainId, address) => {
+      const checkpoint = getCheckpoint(db, chainId, address);
+      return checkpoint ? { ...checkpoint, events: getEvents(db, chainId, address) } : null;
+    },
+    save: async (chainId, address, checkpoint, events = []) => save(chainId, address, checkpoint, events),
+  };
+}
+
+// All events of a contract from fromBlock on, oldest first
+export function getEvents(db, chainId, address, { fromBlock = 0 } = {}) {
+  return parseRows(db.prepare(
+    'SELECT data FROM events WHERE chain_id = ? AND contract = ? AND block_number >= ? ORDER BY block_number, log_index'
+  ).all(...toKey(chainId, address), fromBlock));
+}
+
+// Every event an account took part in. Each event carries both the lock's
+// creator and recipient, so this covers both legs of the account's swaps.
+// Uses the creator and recipient indexes.
+export function getAccountEvents(db, chainId, address, account) {
+  return parseRows(db.prepare(
+    'SELECT data FROM events WHERE chain_id = ? AND contract = ? AND (creator = ? OR recipient = ?) ORDER BY block_number, log_index'
+  ).all(...toKey(chainId, address), account.toLowerCase(), account.toLowerCase()));
+}
+
+// Lock events sharing a hashedSecret, plus the events that closed those locks
+export function getSwapEvents(db, chainId, address, hashedSecret) {
+  return parseRows(db.prepare(`
+    SELECT data FROM events
+    WHERE chain_id = ? AND contract = ? AND (
+      hashed_secret = ? OR
+      lock_id IN (SELECT lock_id FROM events WHERE chain_id = ? AND contract = ? AND hashed_secret = ?)
+    )
+    ORDER BY block_number, log_index
+  `).all(...toKey(chainId, address), hashedSecret.toLowerCase(), ...toKey(chainId, address), hashedSecret.toLowerCase()));
+}
+
+// hashedSecret of the lock with this lockId, or null if it isn't indexed
+export function findLockHashedSecret(db, chainId, address, lockId) {
+  const row = db.prepare(
+    'SELECT hashed_secret FROM events WHERE chain_id = ? AND contract = ? AND lock_id = ? AND hashed_secret IS NOT NULL LIMIT 1'
+  ).get(...toKey(chainId, address), lockId.toLowerCase());
+  return row ? row.hashed_secret : null;
+}
@@ -0,0 +1,158 @@
+// Off-chain swap intents: the buyer's terms (token and amount to pay, asset
+// wanted, price, optional counterparty, expiry) signed as EIP-712 typed data
+// before anything is locked. The counterparty can countersign to accept them,
+// and only then does the buyer lock on chain with exactly those terms.
+// Intents are exchanged as JSON (export/import); nothing is stored on chain.
+import { ethers } from 'ethers';
+
+export const INTENT_FORMAT = 'p2pswap-intent';
+export const INTENT_VERSION = 1;
+
+export const INTENT_TYPES = {
+  SwapIntent: [
+    { name: 'maker', type: 'address' },
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'assetWanted', type: 'bytes32' },
+    { name: 'price', type: 'uint256' },
+    { name: 'counterparty', type: 'address' },
+    { name: 'expiry', type: 'uint64' },
+    { name: 'nonce', type: 'bytes32' },
+  ],
+};
+
+export const ACCEPTANCE_TYPES = {
+  SwapIntentAcceptance: [
+    { name: 'intentHash', type: 'bytes32' },
+    { name: 'taker', type: 'address' },
+  ],
+};
+
+// Intents are bound to one deployment of the swap contract
+export function getIntentDomain(chainId, contract) {
+  return {
+    name: 'P2P Swap',
+    version: String(INTENT_VERSION),
+    chainId: Number(chainId),
+    verifyingContract: ethers.getAddress(contract),
+  };
+}
+
+// Unsigned intent. `counterparty` may be null to let anyone accept.
+export function createSwapIntent({ maker, token, amount, assetWanted, price, counterparty = null, expiry }) {
+  return {
+    maker: ethers.getAddress(maker),
+    token: ethers.getAddress(token),
+    amount: BigInt(amount).toString(),
+    assetWanted,
+    price: BigInt(price).toString(),
+    counterparty: counterparty ? ethers.getAddress(counterparty) : ethers.ZeroAddress,
+    expiry: Number(expiry),
+    // Makes otherwise identical intents distinct
+    nonce: ethers.hexlify(ethers.randomBytes(32)),
+  };
+}
+
+export function hashSwapIntent(intent, domain) {
+  return ethers.TypedDataEncoder.hash(domain, INTENT_TYPES, intent);
+}
+
+// Sign an intent with the connected wallet (signTypedData)
+export async function signSwapIntent(signer, intent, { chainId, contract }) {
+  const domain = getIntentDomain(chainId, contract);
+  const signature = await signer.signTypedData(domain, INTENT_TYPES, intent);
+  return { format: INTENT_FORMAT, version: INTENT_VERSION, domain, intent, signature, acceptance: null };
+}
+
+// Countersign an intent as its taker
+export async function acceptSwapIntent(signer, signedIntent) {
+  const taker = await signer.getAddress();
+  const value = { intentHash: hashSwapIntent(signedIntent.intent, signedIntent.domain), taker };
+  const signature = await signer.signTypedData(signedIntent.domain, ACCEPTANCE_TYPES, value);
+  return { ...signedIntent, acceptance: { taker: ethers.getAddress(taker), signature } };
+}
+
+export function exportSwapIntent(signedIntent) {
+  return JSON.stringify(signedIntent, null, 2);
+}
+
+// Parse exported JSON; throws if it isn't a signed intent in a known format
+export function importSwapIntent(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("This is not valid JSON");
+  }
+  if (!data || data.format !== INTENT_FORMAT) {
+    throw new Error("This is not a P2P Swap intent");
+  }
+  if (data.version !== INTENT_VERSION) {
+    throw new Error(`Unsupported intent version ${data.version}`);
+  }
+  if (!data.domain || !data.intent || !data.signature) {
+    throw new Error("The intent is missing its terms or signature");
+  }
+  return data;
+}
+
+const recoverTyped = (domain, types, value, signature) => {
+  try {
+    return ethers.verifyTypedData(domain, types, value, signature);
+  } catch (error) {
+    console.error("Invalid typed data signature:", error);
+    return null;
+  }
+};
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// Check a signed intent. Returns issues as { level: 'error' | 'warning', message },
+// like the timeout checks. `now` is the current time in seconds.
+export function verifySwapIntent(signedIntent, { chainId, contract, now }) {
+  const issues = [];
+  const error = (message) => issues.push({ level: 'error', message });
+  const { domain, intent, signature, acceptance } = signedIntent;
+
+  if (Number(domain.chainId) !== Number(chainId)) {
+    error(`The intent is for chain ${domain.chainId}, but your wallet is on chain ${chainId}.`);
+  }
+  if (!sameAddress(domain.verifyingContract, contract)) {
+    error(`The intent is for the swap contract at ${domain.verifyingContract}, not the one this app uses.`);
+  }
+  if (!sameAddress(recoverTyped(domain, INTENT_TYPES, intent, signature), intent.maker)) {
+    error("The intent is not signed by its maker.");
+  }
+  if (Number(intent.expiry) <= now) {
+    error("The intent has expired.");
+  }
+
+  if (acceptance) {
+    const value = { intentHash: hashSwapIntent(intent, domain), taker: acceptance.taker };
+    if (!sameAddress(recoverTyped(domain, ACCEPTANCE_TYPES, value, acceptance.signature), acceptance.taker)) {
+      error("The acceptance is not signed by its taker.");
+    }
+    if (intent.counterparty !== ethers.ZeroAddress && !sameAddress(intent.counterparty, acceptance.taker)) {
+      error(`The intent can only be accepted by ${intent.counterparty}.`);
+    }
+  }
+  return issues;
+}
+
+// Who may accept an intent: anyone but the maker, or only the named counterparty
+export function canAcceptIntent(intent, account) {
+  if (!account || sameAddress(account, intent.maker)) return false;
+  return intent.counterparty === ethers.ZeroAddress || sameAddress(intent.counterparty, account);
+}
+
+// LockBuy form values for the maker of an accepted intent. Amounts are in base units.
+export function buildBuyDraft(signedIntent) {
+  const { intent, acceptance } = signedIntent;
+  return {
+    tokenAddress: intent.token,
+    recipient: acceptance.taker,
+    rawValue: intent.amount,
+    sellAssetId: intent.assetWanted,
+    rawSellPrice: intent.price,
+  };
+}
@@ -0,0 +1,237 @@
+// Shareable swap offers: a LockBuy, signed by its creator, packed into a URL
+// (/swap?offer=...) or QR code for the counterparty. The payload is versioned
+// and tightly packed to keep QR codes small. The receiving side checks it
+// against the LockBuy event in the transaction it names before using it.
+import { ethers } from 'ethers';
+import { calculateLockId } from './lock-id.js';
+import { getChainTime } from './timeouts.js';
+import { getResponseDuration } from './order-book.js';
+
+export const OFFER_VERSION = 1;
+export const OFFER_PARAM = 'offer';
+
+// Packed layout for version 1: [field, type, size in bytes]
+const OFFER_FIELDS = [
+  ['version', 'uint', 1],
+  ['chainId', 'uint', 8],
+  ['contract', 'address', 20],
+  ['transactionHash', 'bytes32', 32],
+  ['token', 'address', 20],
+  ['creator', 'address', 20],
+  ['recipient', 'address', 20],
+  ['hashedSecret', 'bytes32', 32],
+  ['timeout', 'uint', 8],
+  ['value', 'uint', 32],
+  ['sellAssetId', 'bytes32', 32],
+  ['sellPrice', 'uint', 32],
+  ['signature', 'bytes', 65],
+];
+
+const OFFER_LENGTH = OFFER_FIELDS.reduce((total, [, , size]) => total + size, 0);
+
+const toBase64Url = (bytes) => ethers.encodeBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return ethers.decodeBase64(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+};
+
+// Unsigned offer for a LockBuy created in `transactionHash`
+export function createSwapOffer({ chainId, contract, transactionHash, lock }) {
+  return {
+    version: OFFER_VERSION,
+    chainId: Number(chainId),
+    contract: ethers.getAddress(contract),
+    transactionHash,
+    token: ethers.getAddress(lock.token),
+    creator: ethers.getAddress(lock.creator),
+    recipient: ethers.getAddress(lock.recipient),
+    hashedSecret: lock.hashedSecret,
+    timeout: Number(lock.timeout),
+    value: lock.value.toString(),
+    sellAssetId: lock.sellAssetId,
+    sellPrice: lock.sellPrice.toString(),
+    signature: null,
+  };
+}
+
+// Text the creator signs. Lists every field, so the wallet shows what is signed.
+export function getOfferMessage(offer) {
+  return [
+    `P2P Swap offer (v${offer.version})`,
+    `Chain: ${offer.chainId}`,
+    `Contract: ${offer.contract}`,
+    `Transaction: ${offer.transactionHash}`,
+    `Lock ID: ${getOfferLockId(offer)}`,
+    `Token: ${offer.token}`,
+    `Recipient: ${offer.recipient}`,
+    `Value: ${offer.value}`,
+    `Sell asset: ${offer.sellAssetId}`,
+    `Sell price: ${offer.sellPrice}`,
+  ].join('\n');
+}
+
+export function getOfferLockId(offer) {
+  return calculateLockId(offer.token, offer.creator, offer.recipient, offer.hashedSecret, offer.timeout);
+}
+
+export async function signSwapOffer(signer, offer) {
+  const signature = await signer.signMessage(getOfferMessage(offer));
+  return { ...offer, signature };
+}
+
+export function encodeSwapOffer(offer) {
+  if (!offer.signature) {
+    throw new Error("Sign the offer before sharing it");
+  }
+  const bytes = ethers.concat(OFFER_FIELDS.map(([field, type, size]) => {
+    switch (type) {
+      case 'uint':
+        return ethers.toBeHex(BigInt(offer[field]), size);
+      default:
+        return ethers.zeroPadValue(offer[field], size);
+    }
+  }));
+  return toBase64Url(bytes);
+}
+
+// Parse an encoded offer; throws if it is malformed or from an unknown version
+export function decodeSwapOffer(encoded) {
+  if (typeof encoded !== 'string' || encoded.trim() === '') {
+    throw new Error("No offer provided");
+  }
+
+  let bytes;
+  try {
+    bytes = fromBase64Url(encoded.trim());
+  } catch (error) {
+    throw new Error("The offer link is damaged");
+  }
+  if (bytes.length === 0) {
+    throw new Error("The offer link is damaged");
+  }
+  if (bytes[0] !== OFFER_VERSION) {
+    throw new Error(`Unsupported offer version ${bytes[0]}. The link may be from a newer version of the app.`);
+  }
+  if (bytes.length !== OFFER_LENGTH) {
+    throw new Error("The offer link is incomplete");
+  }
+
+  const offer = {};
+  let offset = 0;
+  OFFER_FIELDS.forEach(([field, type, size]) => {
+    const slice = bytes.slice(offset, offset + size);
+    offset += size;
+    switch (type) {
+      case 'uint':
+        offer[field] = ethers.toBigInt(slice);
+        break;
+      case 'address':
+        offer[field] = ethers.getAddress(ethers.hexlify(slice));
+        break;
+      default:
+        offer[field] = ethers.hexlify(slice);
+    }
+  });
+
+  return {
+    ...offer,
+    version: Number(offer.version),
+    chainId: Number(offer.chainId),
+    timeout: Number(offer.timeout),
+    value: offer.value.toString(),
+    sellPrice: offer.sellPrice.toString(),
+  };
+}
+
+export function getOfferUrl(offer, origin = window.location.origin) {
+  return `${origin}/swap?${OFFER_PARAM}=${encodeSwapOffer(offer)}`;
+}
+
+// Encoded offer in the current page URL, or null
+export function readOfferFromLocation() {
+  if (typeof window === 'undefined') return null;
+  return new URLSearchParams(window.location.search).get(OFFER_PARAM);
+}
+
+// Check an offer against the chain. Returns { issues, lock }: issues are
+// { level: 'error' | 'warning', message } like the timeout checks, and lock is
+// the LockBuy leg from the offer's transaction (null if it wasn't found).
+export async function verifySwapOffer(offer, { provider, contract, chainId, account }) {
+  const issues = [];
+  const error = (message) => issues.push({ level: 'error', message });
+
+  if (Number(chainId) !== offer.chainId) {
+    error(`This offer is for chain ${offer.chainId}, but your wallet is on chain ${chainId}. Switch networks to answer it.`);
+    return { issues, lock: null };
+  }
+  if (contract.target.toLowerCase() !== offer.contract.toLowerCase()) {
+    error(`This offer is for the swap contract at ${offer.contract}, not the one this app uses.`);
+    return { issues, lock: null };
+  }
+
+  let signer = null;
+  try {
+    signer = ethers.verifyMessage(getOfferMessage(offer), offer.signature);
+  } catch (signatureError) {
+    console.error("Invalid offer signature:", signatureError);
+  }
+  if (!signer || signer.toLowerCase() !== offer.creator.toLowerCase()) {
+    error("The offer is not signed by the creator of the lock.");
+  }
+
+  const lockId = getOfferLockId(offer);
+  const receipt = await provider.getTransactionReceipt(offer.transactionHash);
+  if (!receipt || receipt.status !== 1) {
+    error("The LockBuy transaction named in the offer was not found on chain, or it failed.");
+    return { issues, lock: null };
+  }
+
+  const log = receipt.logs
+    .filter(entry => entry.address.toLowerCase() === offer.contract.toLowerCase())
+    .map(entry => {
+      try {
+        return contract.interface.parseLog(entry);
+      } catch (parseError) {
+        return null;
+      }
+    })
+    .find(parsed => parsed && parsed.name === 'LockBuy' && parsed.args.lockId.toLowerCase() === lockId.toLowerCase());
+  if (!log) {
+    error("The offer's transaction did not create this lock.");
+    return { issues, lock: null };
+  }
+
+  const lock = {
+    lockId,
+    token: log.args.token,
+    creator: log.args.creator,
+    recipient: log.args.recipient,
+    hashedSecret: log.args.hashedSecret,
+    timeout: Number(log.args.timeout),
+    value: log.args.value.toString(),
+    event: {
+      type: 'LockBuy',
+      sellAssetId: log.args.sellAssetId,
+      sellPrice: log.args.sellPrice.toString(),
+    },
+  };
+  if (lock.value !== offer.value || lock.event.sellAssetId !== offer.sellAssetId || lock.event.sellPrice !== offer.sellPrice) {
+    error("The offer's value or price doesn't match the LockBuy event.");
+  }
+
+  const [lockedValue, chainTime] = await Promise.all([
+    contract.getLockValue(lockId),
+    getChainTime(provider),
+  ]);
+  if (lockedValue === 0n) {
+    error("The lock is no longer funded. It was already unlocked, retrieved or declined.");
+  } else if (getResponseDuration(lock, chainTime) === null) {
+    error("The lock expires too soon to answer safely.");
+  }
+  if (account && account.toLowerCase() !== offer.recipient.toLowerCase()) {
+    error(`Only ${offer.recipient} can unlock this lock. Connect that account to answer the offer.`);
+  }
+
+  return { issues, lock };
+}
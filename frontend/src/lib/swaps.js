@@ -0,0 +1,197 @@
+// Correlates raw contract events into swap records. A swap links a LockBuy to
+// the LockSell that answers it (via buyLockId, or the shared hashedSecret) and
+// to the Unlock/Retrieve/Decline events that close each leg.
+import { ethers } from 'ethers';
+
+export const SWAP_STATES = {
+  AWAITING_COUNTER_LOCK: 'awaiting_counter_lock',
+  BOTH_LOCKED: 'both_locked',
+  SECRET_REVEALED: 'secret_revealed',
+  COMPLETED: 'completed',
+  REFUNDED: 'refunded',
+  DECLINED: 'declined',
+};
+
+export const SWAP_STATE_LABELS = {
+  [SWAP_STATES.AWAITING_COUNTER_LOCK]: 'Awaiting counter-lock',
+  [SWAP_STATES.BOTH_LOCKED]: 'Both locked',
+  [SWAP_STATES.SECRET_REVEALED]: 'Secret revealed',
+  [SWAP_STATES.COMPLETED]: 'Completed',
+  [SWAP_STATES.REFUNDED]: 'Refunded',
+  [SWAP_STATES.DECLINED]: 'Declined',
+};
+
+// Status of a single leg (lock) of a swap
+export const LEG_STATUS = {
+  LOCKED: 'locked',
+  UNLOCKED: 'unlocked',
+  RETRIEVED: 'retrieved',
+  DECLINED: 'declined',
+};
+
+export const LEG_STATUS_LABELS = {
+  [LEG_STATUS.LOCKED]: 'Locked',
+  [LEG_STATUS.UNLOCKED]: 'Unlocked',
+  [LEG_STATUS.RETRIEVED]: 'Retrieved',
+  [LEG_STATUS.DECLINED]: 'Declined',
+};
+
+const closingStatus = {
+  Unlock: LEG_STATUS.UNLOCKED,
+  Retrieve: LEG_STATUS.RETRIEVED,
+  Decline: LEG_STATUS.DECLINED,
+};
+
+const sameHash = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const createLeg = (event) => ({
+  lockId: event.lockId,
+  token: event.token,
+  creator: event.creator,
+  recipient: event.recipient,
+  hashedSecret: event.hashedSecret,
+  timeout: event.timeout,
+  value: event.value,
+  status: LEG_STATUS.LOCKED,
+  event,
+  closingEvent: null,
+});
+
+const createSwap = (hashedSecret) => ({
+  id: null,
+  hashedSecret,
+  buyLock: null,
+  sellLock: null,
+  secret: null,
+  state: SWAP_STATES.AWAITING_COUNTER_LOCK,
+  deadlines: { buyTimeout: null, sellTimeout: null, next: null },
+  events: [],
+  updatedAt: 0,
+});
+
+// Derive the swap state from the status of its legs
+export const deriveState = (swap) => {
+  const legs = [swap.buyLock, swap.sellLock].filter(Boolean);
+  const statuses = legs.map(leg => leg.status);
+
+  if (swap.buyLock && swap.sellLock && statuses.every(status => status === LEG_STATUS.UNLOCKED)) {
+    return SWAP_STATES.COMPLETED;
+  }
+  if (statuses.includes(LEG_STATUS.UNLOCKED)) return SWAP_STATES.SECRET_REVEALED;
+  if (statuses.includes(LEG_STATUS.DECLINED)) return SWAP_STATES.DECLINED;
+  if (statuses.includes(LEG_STATUS.RETRIEVED)) return SWAP_STATES.REFUNDED;
+  if (swap.buyLock && swap.sellLock) return SWAP_STATES.BOTH_LOCKED;
+  return SWAP_STATES.AWAITING_COUNTER_LOCK;
+};
+
+// Build swap records from a list of formatted events (any order)
+export function buildSwaps(events) {
+  const swaps = [];
+  const swapByLockId = new Map();
+
+  const ordered = [...events].sort((a, b) => a.timestamp - b.timestamp);
+  const register = (swap, leg) => {
+    if (leg.lockId) swapByLockId.set(leg.lockId.toLowerCase(), swap);
+  };
+
+  // Buy legs first, so sell legs can attach to them regardless of order
+  ordered.filter(event => event.type === 'LockBuy').forEach(event => {
+    // The same event may arrive both from the listener and from a history fetch
+    if (event.lockId && swapByLockId.has(event.lockId.toLowerCase())) return;
+
+    const swap = createSwap(event.hashedSecret);
+    swap.buyLock = createLeg(event);
+    swap.id = event.lockId;
+    swap.events.push(event);
+    swaps.push(swap);
+    register(swap, swap.buyLock);
+  });
+
+  ordered.filter(event => event.type === 'LockSell').forEach(event => {
+    if (event.lockId && swapByLockId.has(event.lockId.toLowerCase())) return;
+
+    const referencesBuy = event.buyLockId && event.buyLockId !== ethers.ZeroHash;
+    let swap = referencesBuy ? swapByLockId.get(event.buyLockId.toLowerCase()) : null;
+
+    // Fall back to the shared hashedSecret if the buy lock isn't referenced
+    if (!swap) {
+      swap = swaps.find(candidate => !candidate.sellLock && candidate.buyLock && sameHash(candidate.hashedSecret, event.hashedSecret));
+    }
+    if (!swap || swap.sellLock) {
+      swap = createSwap(event.hashedSecret);
+      swap.id = event.lockId;
+      swaps.push(swap);
+    }
+
+    swap.sellLock = createLeg(event);
+    swap.events.push(event);
+    register(swap, swap.sellLock);
+  });
+
+  ordered.filter(event => closingStatus[event.type]).forEach(event => {
+    const swap = event.lockId ? swapByLockId.get(event.lockId.toLowerCase()) : null;
+    if (!swap) return;
+
+    const leg = [swap.buyLock, swap.sellLock].find(candidate => candidate && sameHash(candidate.lockId, event.lockId));
+    if (leg.closingEvent) return;
+
+    leg.status = closingStatus[event.type];
+    leg.closingEvent = event;
+    if (event.type === 'Unlock' && event.secret) {
+      swap.secret = event.secret;
+    }
+    swap.events.push(event);
+  });
+
+  swaps.forEach(swap => {
+    swap.state = deriveState(swap);
+    swap.deadlines = {
+      buyTimeout: swap.buyLock ? swap.buyLock.timeout : null,
+      sellTimeout: swap.sellLock ? swap.sellLock.timeout : null,
+      // Earliest timeout among legs that are still locked
+      next: [swap.buyLock, swap.sellLock]
+        .filter(leg => leg && leg.status === LEG_STATUS.LOCKED)
+        .reduce((earliest, leg) => (earliest === null || leg.timeout < earliest ? leg.timeout : earliest), null),
+    };
+    swap.events.sort((a, b) => b.timestamp - a.timestamp);
+    swap.updatedAt = swap.events.length > 0 ? swap.events[0].timestamp : 0;
+  });
+
+  // Most recently active first
+  return swaps.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// Whether the account is a party to either leg of the swap
+export function isSwapParticipant(swap, account) {
+  if (!account) return false;
+  const normalized = account.toLowerCase();
+  return [swap.buyLock, swap.sellLock].some(leg =>
+    leg && (leg.creator?.toLowerCase() === normalized || leg.recipient?.toLowerCase() === normalized)
+  );
+}
+
+// Legs of swaps with this hashedSecret that are still locked for the account,
+// i.e. the locks the account can unlock once the secret is known
+export function findCounterLocks(swaps, hashedSecret, account) {
+  if (!account || !hashedSecret) return [];
+  const normalized = account.toLowerCase();
+  return swaps
+    .filter(swap => sameHash(swap.hashedSecret, hashedSecret))
+    .flatMap(swap => [swap.buyLock, swap.sellLock])
+    .filter(leg => leg && leg.status === LEG_STATUS.LOCKED && leg.recipient?.toLowerCase() === normalized);
+}
+
+// Counter-locks the account can claim right now because their secret is public
+export function getCounterUnlocks(swaps, account) {
+  return swaps
+    .filter(swap => swap.secret)
+    .flatMap(swap => findCounterLocks([swap], swap.hashedSecret, account).map(leg => ({ ...leg, secret: swap.secret })));
+}
+
+// The leg (buy or sell lock) with this lockId, or null if it isn't among the loaded events
+export function findLock(swaps, lockId) {
+  if (!lockId) return null;
+  return swaps
+    .flatMap(swap => [swap.buyLock, swap.sellLock])
+    .find(leg => leg && sameHash(leg.lockId, lockId)) || null;
+}
@@ -0,0 +1,104 @@
+// Lock timeouts. The contract compares timeouts against block.timestamp, so
+// durations are converted to absolute timestamps using the latest block time,
+// not the local clock.
+//
+// The initiator's LockBuy must outlive the responder's LockSell by a safety
+// margin: after the initiator reveals the secret on the LockSell, the responder
+// needs time to use it on the LockBuy before the initiator can retrieve it.
+
+const HOUR = 3600;
+
+export const DEFAULT_BUY_DURATION = 24 * HOUR;
+export const DEFAULT_SELL_DURATION = 12 * HOUR;
+export const DEFAULT_SAFETY_MARGIN = 6 * HOUR;
+// Least time a lock should have left when it is created or answered
+export const MIN_REMAINING = HOUR;
+
+// Latest block timestamp in seconds
+export async function getChainTime(provider) {
+  const block = await provider.getBlock('latest');
+  if (!block) {
+    throw new Error("Could not fetch the latest block");
+  }
+  return Number(block.timestamp);
+}
+
+// Absolute timeout for a lock that should last `duration` seconds from chainTime
+export function toAbsoluteTimeout(duration, chainTime) {
+  return Math.floor(Number(chainTime)) + Math.floor(Number(duration));
+}
+
+// Human readable duration, e.g. "1d 2h 5m"
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.floor(Number(seconds)));
+  const days = Math.floor(total / 86400);
+  const hours = Math.floor((total % 86400) / HOUR);
+  const minutes = Math.floor((total % HOUR) / 60);
+  const parts = [];
+  if (days) parts.push(`${days}d`);
+  if (hours) parts.push(`${hours}h`);
+  if (minutes || parts.length === 0) parts.push(`${minutes}m`);
+  return parts.join(' ');
+}
+
+export function formatTimeout(timeout) {
+  return new Date(Number(timeout) * 1000).toLocaleString();
+}
+
+// Problems with a LockBuy timeout. Each issue is { level: 'error' | 'warning', message }.
+export function checkBuyTimeout(timeout, chainTime) {
+  const issues = [];
+  const remaining = Number(timeout) - Number(chainTime);
+
+  if (!Number.isFinite(remaining)) {
+    issues.push({ level: 'error', message: "The timeout is not set" });
+  } else if (remaining <= 0) {
+    issues.push({ level: 'error', message: "The timeout is in the past. The lock could be retrieved immediately." });
+  } else if (remaining < DEFAULT_SAFETY_MARGIN + MIN_REMAINING) {
+    issues.push({
+      level: 'warning',
+      message: `The lock expires in ${formatDuration(remaining)}. That leaves little time for the counterparty to lock and for you to unlock.`,
+    });
+  }
+  return issues;
+}
+
+// Problems with a LockSell timeout answering a LockBuy that times out at buyTimeout
+export function checkSellTimeout(timeout, buyTimeout, chainTime, safetyMargin = DEFAULT_SAFETY_MARGIN) {
+  const issues = [];
+  const remaining = Number(timeout) - Number(chainTime);
+
+  if (!Number.isFinite(remaining)) {
+    issues.push({ level: 'error', message: "The timeout is not set" });
+    return issues;
+  }
+  if (remaining <= 0) {
+    issues.push({ level: 'error', message: "The timeout is in the past. The lock could be retrieved immediately." });
+  } else if (remaining < MIN_REMAINING) {
+    issues.push({
+      level: 'warning',
+      message: `The lock expires in ${formatDuration(remaining)}. The counterparty may not have time to unlock it.`,
+    });
+  }
+
+  if (buyTimeout === null || buyTimeout === undefined) {
+    issues.push({
+      level: 'warning',
+      message: "The buy lock was not found, so the timeout can't be checked against it. Make sure yours expires well before it.",
+    });
+  } else {
+    const lead = Number(buyTimeout) - Number(timeout);
+    if (lead < safetyMargin) {
+      issues.push({
+        level: 'error',
+        message: `The timeout must be at least ${formatDuration(safetyMargin)} before the buy lock's timeout (${formatTimeout(buyTimeout)}), so you have time to unlock it after the secret is revealed.`,
+      });
+    }
+  }
+  return issues;
+}
+
+// Latest safe LockSell timeout for a buy lock
+export function maxSellTimeout(buyTimeout, safetyMargin = DEFAULT_SAFETY_MARGIN) {
+  return Math.floor(Number(buyTimeout)) - Math.floor(Number(safetyMargin));
+}
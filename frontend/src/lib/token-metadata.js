@@ -0,0 +1,167 @@
+// Token metadata layer: resolves decimals, symbol and name for any ERC20 and
+// caches them per chain, in memory and in localStorage (metadata never changes).
+// The zero address stands for the chain's native currency, as in the contract.
+import { ethers } from 'ethers';
+import { erc20Abi } from './contractrefs.js';
+import { getNetwork } from './networks.js';
+
+const STORAGE_KEY = 'p2pswap:token-metadata';
+const DEFAULT_DECIMALS = 18;
+
+// In-flight and resolved lookups, keyed by chainId:address
+const cache = new Map();
+
+// Token address of native currency locks
+export const NATIVE_TOKEN = ethers.ZeroAddress;
+
+export function isNativeToken(tokenAddress) {
+  return typeof tokenAddress === 'string' && tokenAddress.toLowerCase() === NATIVE_TOKEN;
+}
+
+// Metadata of the chain's native currency, from the network registry
+export function getNativeTokenMetadata(chainId) {
+  const currency = getNetwork(chainId)?.nativeCurrency || { name: 'Ether', symbol: 'ETH', decimals: 18 };
+  return {
+    address: NATIVE_TOKEN,
+    decimals: currency.decimals,
+    decimalsKnown: true,
+    symbol: currency.symbol,
+    name: currency.name,
+    native: true,
+  };
+}
+
+const cacheKey = (chainId, tokenAddress) => `${chainId ?? 'unknown'}:${tokenAddress.toLowerCase()}`;
+
+const readStorage = () => {
+  if (typeof window === 'undefined' || !window.localStorage) return {};
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn("Could not read cached token metadata:", error);
+    return {};
+  }
+};
+
+const writeStorage = (key, metadata) => {
+  if (typeof window === 'undefined' || !window.localStorage) return;
+  try {
+    const stored = readStorage();
+    stored[key] = metadata;
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.warn("Could not cache token metadata:", error);
+  }
+};
+
+// Fetch metadata from the token contract. Tokens that don't implement the
+// optional ERC20 getters fall back to 18 decimals and a shortened address.
+const fetchTokenMetadata = async (runner, tokenAddress) => {
+  const tokenContract = new ethers.Contract(tokenAddress, erc20Abi, runner);
+  const [decimals, symbol, name] = await Promise.allSettled([
+    tokenContract.decimals(),
+    tokenContract.symbol(),
+    tokenContract.name(),
+  ]);
+
+  if (decimals.status === 'rejected') {
+    console.warn(`Could not fetch decimals for ${tokenAddress}, assuming ${DEFAULT_DECIMALS}:`, decimals.reason);
+  }
+
+  const shortAddress = `${tokenAddress.substring(0, 6)}...${tokenAddress.substring(tokenAddress.length - 4)}`;
+
+  return {
+    address: ethers.getAddress(tokenAddress),
+    decimals: decimals.status === 'fulfilled' ? Number(decimals.value) : DEFAULT_DECIMALS,
+    decimalsKnown: decimals.status === 'fulfilled',
+    symbol: symbol.status === 'fulfilled' && symbol.value ? symbol.value : shortAddress,
+    name: name.status === 'fulfilled' && name.value ? name.value : shortAddress,
+  };
+};
+
+// Return cached metadata synchronously, or null if it hasn't been resolved yet
+export function getCachedTokenMetadata(chainId, tokenAddress) {
+  if (!tokenAddress || !ethers.isAddress(tokenAddress)) return null;
+  if (isNativeToken(tokenAddress)) return getNativeTokenMetadata(chainId);
+  const key = cacheKey(chainId, tokenAddress);
+  const entry = cache.get(key);
+  if (entry && entry.metadata) return entry.metadata;
+
+  const stored = readStorage()[key];
+  if (stored) {
+    cache.set(key, { metadata: stored, promise: Promise.resolve(stored) });
+    return stored;
+  }
+  return null;
+}
+
+// Resolve metadata for a token, fetching it once per chain
+export function getTokenMetadata(runner, chainId, tokenAddress) {
+  if (!tokenAddress || !ethers.isAddress(tokenAddress)) {
+    return Promise.reject(new Error(`Invalid token address: ${tokenAddress}`));
+  }
+
+  const cached = getCachedTokenMetadata(chainId, tokenAddress);
+  if (cached) return Promise.resolve(cached);
+
+  const key = cacheKey(chainId, tokenAddress);
+  const pending = cache.get(key);
+  if (pending) return pending.promise;
+
+  const entry = { metadata: null, promise: null };
+  entry.promise = fetchTokenMetadata(runner, tokenAddress)
+    .then(metadata => {
+      entry.metadata = metadata;
+      // Only persist definitive answers; a failed decimals() call may be a flaky RPC
+      if (metadata.decimalsKnown) {
+        writeStorage(key, metadata);
+      }
+      return metadata;
+    })
+    .catch(error => {
+      cache.delete(key);
+      throw error;
+    });
+  cache.set(key, entry);
+  return entry.promise;
+}
+
+// Convert a human amount ("1.5") to base units using the token's decimals
+export function parseTokenAmount(value, decimals) {
+  const trimmed = String(value).trim();
+  if (trimmed === '') {
+    throw new Error("Please provide an amount");
+  }
+  try {
+    return ethers.parseUnits(trimmed, decimals);
+  } catch (error) {
+    throw new Error(`Invalid amount: ${value}. Use at most ${decimals} decimal places.`);
+  }
+}
+
+// Parse a raw base-unit amount ("1500000")
+export function parseRawAmount(value) {
+  const trimmed = String(value).trim();
+  if (!/^\d+$/.test(trimmed)) {
+    throw new Error(`Invalid raw amount: ${value}. Please provide a whole number of base units.`);
+  }
+  return BigInt(trimmed);
+}
+
+// Parse a form amount for a token: raw base units, or a human amount in the
+// token's decimals. A human amount is refused when the token doesn't report its
+// decimals, because the assumed 18 could be off by orders of magnitude.
+export function parseAmountForToken(value, metadata, useRaw = false) {
+  if (useRaw) return parseRawAmount(value);
+  if (!metadata.decimalsKnown) {
+    throw new Error(`${metadata.symbol} does not report its decimals. Please enter the amount in base units instead.`);
+  }
+  return parseTokenAmount(value, metadata.decimals);
+}
+
+// Convert base units to a human amount, trimming trailing zeros
+export function formatTokenAmount(value, decimals) {
+  if (value === null || value === undefined || value === '') return '0';
+  const formatted = ethers.formatUnits(BigInt(value), decimals);
+  return formatted.endsWith('.0') ? formatted.slice(0, -2) : formatted;
+}
@@ -0,0 +1,137 @@
+// Lifecycle of every transaction the app sends, from the wallet prompt to its
+// receipt. Records are kept in localStorage, so transactions still pending when
+// the page is closed can be picked up again after a reload.
+import { isError } from 'ethers';
+import { describeContractError, recoverRevertError } from './contract-errors.js';
+
+export const TX_STATUS = {
+  AWAITING_SIGNATURE: 'awaiting-signature',
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  REPLACED: 'replaced',
+};
+
+export const TX_STATUS_LABELS = {
+  [TX_STATUS.AWAITING_SIGNATURE]: 'Awaiting signature',
+  [TX_STATUS.PENDING]: 'Pending',
+  [TX_STATUS.CONFIRMED]: 'Confirmed',
+  [TX_STATUS.FAILED]: 'Failed',
+  [TX_STATUS.REPLACED]: 'Replaced',
+};
+
+const STORAGE_KEY = 'p2pswap:transactions';
+const MAX_RECORDS = 50;
+
+export function loadTransactions() {
+  if (typeof window === 'undefined' || !window.localStorage) return [];
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    console.warn("Could not read saved transactions:", error);
+    return [];
+  }
+}
+
+// Save the newest records; older finished ones are dropped
+export function saveTransactions(records) {
+  if (typeof window === 'undefined' || !window.localStorage) return;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(records.slice(0, MAX_RECORDS)));
+  } catch (error) {
+    console.warn("Could not save transactions:", error);
+  }
+}
+
+// New record for a transaction about to be sent to the wallet
+export function createTransactionRecord({ chainId, account, action, description }) {
+  const now = Date.now();
+  return {
+    id: `${now}-${Math.random().toString(36).substring(2, 8)}`,
+    chainId: Number(chainId),
+    account,
+    action,
+    description,
+    status: TX_STATUS.AWAITING_SIGNATURE,
+    hash: null,
+    from: null,
+    nonce: null,
+    startBlock: null, // Block number before sending, to scan for replacements
+    blockNumber: null,
+    replacementHash: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+export function isActiveTransaction(record) {
+  return record.status === TX_STATUS.AWAITING_SIGNATURE || record.status === TX_STATUS.PENDING;
+}
+
+// Short, human message for a failed send or wait
+export function describeTransactionError(error) {
+  if (isError(error, 'ACTION_REJECTED')) return "Rejected in the wallet";
+  const explanation = describeContractError(error);
+  if (explanation) return explanation;
+  if (isError(error, 'CALL_EXCEPTION') && error.receipt) return "Reverted by the contract";
+  return error.shortMessage || error.message;
+}
+
+// Wait for a sent transaction to settle. Resolves with { status, succeeded,
+// receipt, replacementHash, error }. A sped-up (repriced) replacement counts as
+// confirmed; only a cancelled or different transaction counts as replaced. Pass
+// tx.replaceableTransaction(startBlock) so replacements are detected at all.
+// For a reverted transaction, error is the replayed revert when it has data.
+export async function waitForTransaction(tx) {
+  try {
+    const receipt = await tx.wait();
+    return { status: TX_STATUS.CONFIRMED, succeeded: true, receipt, replacementHash: null, error: null };
+  } catch (error) {
+    if (isError(error, 'TRANSACTION_REPLACED') && (error.cancelled || error.receipt.status === 1)) {
+      return {
+        status: error.cancelled ? TX_STATUS.REPLACED : TX_STATUS.CONFIRMED,
+        succeeded: !error.cancelled,
+        receipt: error.cancelled ? null : error.receipt,
+        replacementHash: error.replacement ? error.replacement.hash : null,
+        error: error.cancelled ? new Error(`The transaction was ${error.reason} in the wallet`) : null,
+      };
+    }
+    // Reverted, either as sent or as a sped-up replacement
+    const revertError = error.receipt ? await recoverRevertError(tx, error.receipt) : null;
+    return {
+      status: TX_STATUS.FAILED,
+      succeeded: false,
+      receipt: error.receipt || null,
+      replacementHash: null,
+      error: revertError || error,
+    };
+  }
+}
+
+// Pick up waiting for a transaction saved by an earlier page load
+export async function resumeTransaction(provider, record) {
+  const tx = await provider.getTransaction(record.hash);
+  if (tx) {
+    return waitForTransaction(record.startBlock !== null ? tx.replaceableTransaction(record.startBlock) : tx);
+  }
+
+  // The node no longer knows it: replaced if its nonce has been used since
+  const nonce = await provider.getTransactionCount(record.from, 'latest');
+  if (record.nonce !== null && nonce > record.nonce) {
+    return {
+      status: TX_STATUS.REPLACED,
+      succeeded: false,
+      receipt: null,
+      replacementHash: null,
+      error: new Error("Another transaction from this account used the same nonce"),
+    };
+  }
+  return {
+    status: TX_STATUS.FAILED,
+    succeeded: false,
+    receipt: null,
+    replacementHash: null,
+    error: new Error("The transaction was dropped by the node"),
+  };
+}
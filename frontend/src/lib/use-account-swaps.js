@@ -0,0 +1,41 @@
+"use client";
+
+import { useEffect, useMemo, useState } from 'react';
+import { useBlockchain } from './blockchain-context';
+import { fetchIndexedAccountLocks } from './indexer-api';
+import { isSameEvent, sortEvents } from './event-indexer';
+import { buildSwaps, isSwapParticipant } from './swaps';
+
+// Swaps where the connected account is creator or recipient of either leg. The
+// account's history comes from the server's index (/api/locks?account=), merged
+// with the loaded events so live and not yet indexed blocks show too. Without the
+// API it falls back to the events loaded from the chain.
+export function useAccountSwaps() {
+  const { events, account, chainId, swapContract } = useBlockchain();
+  const [indexedEvents, setIndexedEvents] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIndexedEvents([]);
+    if (!account || chainId == null || !swapContract) return;
+
+    fetchIndexedAccountLocks(Number(chainId), swapContract.target, account)
+      .then(indexed => {
+        if (cancelled || !indexed) return;
+        setIndexedEvents(indexed.locks.flatMap(lock => [lock.event, lock.closingEvent]).filter(Boolean));
+      })
+      .catch(error => console.error("Error loading the account's indexed locks:", error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [account, chainId, swapContract]);
+
+  return useMemo(() => {
+    const merged = [...events];
+    indexedEvents.forEach(event => {
+      if (!merged.some(existing => isSameEvent(existing, event))) merged.push(event);
+    });
+    return buildSwaps(sortEvents(merged)).filter(swap => isSwapParticipant(swap, account));
+  }, [events, indexedEvents, account]);
+}
@@ -0,0 +1,51 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { useBlockchain } from './blockchain-context';
+import { erc20Abi } from './contractrefs';
+import { TX_STATUS } from './transactions';
+
+// Allowance the connected account grants the swap contract for several tokens,
+// keyed by lowercase address: a bigint, or null if the lookup failed. Tokens
+// still being read are missing from the map. They are read again whenever a
+// transaction confirms (approvals and locks both change them), or on `refresh`.
+export function useSwapAllowances(tokenAddresses) {
+  const { provider, swapContract, account, transactions } = useBlockchain();
+  const [allowancesByToken, setAllowancesByToken] = useState({});
+  const [version, setVersion] = useState(0);
+
+  const tokensKey = [...new Set(
+    tokenAddresses
+      .filter(address => address && ethers.isAddress(address))
+      .map(address => address.toLowerCase())
+  )].sort().join(',');
+
+  const confirmedCount = transactions.filter(record => record.status === TX_STATUS.CONFIRMED).length;
+
+  useEffect(() => {
+    let cancelled = false;
+    const tokens = tokensKey ? tokensKey.split(',') : [];
+
+    if (provider && swapContract && account) {
+      tokens.forEach(address => {
+        new ethers.Contract(address, erc20Abi, provider).allowance(account, swapContract.target)
+          .then(allowance => {
+            if (!cancelled) setAllowancesByToken(prev => ({ ...prev, [address]: allowance }));
+          })
+          .catch(error => {
+            console.error(`Error reading allowance for token ${address}:`, error);
+            if (!cancelled) setAllowancesByToken(prev => ({ ...prev, [address]: null }));
+          });
+      });
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, swapContract, account, tokensKey, confirmedCount, version]);
+
+  const refresh = () => setVersion(current => current + 1);
+
+  return { allowances: allowancesByToken, refresh };
+}
@@ -0,0 +1,23 @@
+"use client";
+
+import { useMemo } from 'react';
+import { useBlockchain } from './blockchain-context';
+import { supportedChainIds } from './networks';
+import { resolveAsset } from './assets';
+
+// Asset ID resolver that, besides the registry, recognises the ERC20 asset of
+// every token seen in the contract's events on every chain the contract is on
+export function useAssetResolver() {
+  const { events } = useBlockchain();
+
+  const tokensKey = [...new Set(
+    events.map(event => event.token?.toLowerCase()).filter(Boolean)
+  )].sort().join(',');
+
+  const candidates = useMemo(() => {
+    const tokens = tokensKey ? tokensKey.split(',') : [];
+    return supportedChainIds.flatMap(chainId => tokens.map(token => ({ chainId, token })));
+  }, [tokensKey]);
+
+  return (assetId) => resolveAsset(assetId, candidates);
+}
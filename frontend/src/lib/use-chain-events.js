@@ -0,0 +1,86 @@
+"use client";
+
+import { useCallback, useEffect, useState } from 'react';
+import { getNetwork } from './networks';
+import { getReadContract } from './read-providers';
+import { syncEvents, createBrowserStore } from './event-indexer';
+import { getChainTime } from './timeouts';
+
+// How often the chains are checked for new events, in milliseconds
+export const CHAIN_EVENTS_POLL_INTERVAL = 15000;
+
+// Kept apart from the wallet's index, which syncs the wallet's chain on its own
+const chainEventsStore = createBrowserStore('chain-events');
+
+// Indexed events of several registered networks, read through their read-only
+// providers, so no wallet is needed. Networks without an RPC URL or without the
+// contract at their address are skipped. Returns events, latest block time and
+// sync error keyed by chainId, and a refresh function.
+export function useChainEvents(chainIds, interval = CHAIN_EVENTS_POLL_INTERVAL) {
+  const [eventsByChain, setEventsByChain] = useState({});
+  const [chainTimes, setChainTimes] = useState({});
+  const [errors, setErrors] = useState({});
+  const [refreshCount, setRefreshCount] = useState(0);
+
+  const chainIdsKey = [...new Set(chainIds.map(Number))].sort((a, b) => a - b).join(',');
+
+  useEffect(() => {
+    const ids = (chainIdsKey ? chainIdsKey.split(',').map(Number) : []).filter(chainId => getReadContract(chainId));
+    if (ids.length === 0) return;
+
+    let cancelled = false;
+    // Chains with a sync still running, so a slow RPC doesn't pile up polls
+    const syncing = new Set();
+    // Chains whose contract address was checked, and those with no contract there
+    const checked = new Set();
+    const undeployed = new Set();
+
+    const syncChain = async (chainId) => {
+      if (syncing.has(chainId) || undeployed.has(chainId)) return;
+      const contract = getReadContract(chainId);
+
+      syncing.add(chainId);
+      try {
+        const provider = contract.runner;
+        if (!checked.has(chainId)) {
+          if (await provider.getCode(contract.target) === '0x') {
+            undeployed.add(chainId);
+            throw new Error(`The swap contract is not deployed at ${contract.target}`);
+          }
+          checked.add(chainId);
+        }
+
+        const [events, chainTime] = await Promise.all([
+          syncEvents(contract, provider, {
+            chainId,
+            deploymentBlock: getNetwork(chainId).deploymentBlock,
+            store: chainEventsStore,
+          }),
+          getChainTime(provider),
+        ]);
+        if (cancelled) return;
+        setEventsByChain(prev => ({ ...prev, [chainId]: events }));
+        setChainTimes(prev => ({ ...prev, [chainId]: chainTime }));
+        setErrors(prev => ({ ...prev, [chainId]: null }));
+      } catch (error) {
+        console.error(`Error syncing chain ${chainId}:`, error);
+        if (!cancelled) setErrors(prev => ({ ...prev, [chainId]: error.message }));
+      } finally {
+        syncing.delete(chainId);
+      }
+    };
+
+    const poll = () => ids.forEach(syncChain);
+    poll();
+    const timer = setInterval(poll, interval);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [chainIdsKey, interval, refreshCount]);
+
+  const refresh = useCallback(() => setRefreshCount(count => count + 1), []);
+
+  return { eventsByChain, chainTimes, errors, refresh };
+}
@@ -0,0 +1,26 @@
+"use client";
+
+import { useCallback, useEffect, useState } from 'react';
+import { useBlockchain } from './blockchain-context';
+import { getChainTime } from './timeouts';
+
+// Latest block timestamp (seconds) on the connected chain, or null before it loads
+export function useChainTime() {
+  const { provider, chainId } = useBlockchain();
+  const [chainTime, setChainTime] = useState(null);
+
+  const refreshChainTime = useCallback(async () => {
+    if (!provider) return null;
+    const time = await getChainTime(provider);
+    setChainTime(time);
+    return time;
+  }, [provider]);
+
+  useEffect(() => {
+    refreshChainTime().catch(error => {
+      console.error("Error fetching latest block time:", error);
+    });
+  }, [refreshChainTime, chainId]);
+
+  return { chainTime, refreshChainTime };
+}
@@ -0,0 +1,20 @@
+"use client";
+
+import { useMemo } from 'react';
+import { useBlockchain } from './blockchain-context';
+import { supportedChainIds } from './networks';
+import { useChainEvents } from './use-chain-events';
+import { findCrossChainSwaps } from './cross-chain';
+
+// Cross-chain swaps of the connected account, kept up to date by indexing every
+// registered network through its read-only provider, independently of the
+// wallet's chain. Also returns each chain's latest block time and sync error.
+export function useCrossChainSwaps() {
+  const { account } = useBlockchain();
+  // One network can't hold a cross-chain swap
+  const { eventsByChain, chainTimes, errors, refresh } = useChainEvents(supportedChainIds.length > 1 ? supportedChainIds : []);
+
+  const swaps = useMemo(() => findCrossChainSwaps(eventsByChain, account), [eventsByChain, account]);
+
+  return { swaps, chainTimes, errors, refresh };
+}
@@ -0,0 +1,38 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import { useBlockchain } from './blockchain-context';
+
+// On-chain value (getLockValue) of several locks, keyed by lowercase lockId:
+// a bigint, 0n if the lock is no longer funded, or null if the lookup failed.
+// Locks still being checked are missing from the map.
+export function useLockValues(lockIds) {
+  const { swapContract } = useBlockchain();
+  const [valuesByLock, setValuesByLock] = useState({});
+
+  const lockIdsKey = [...new Set(lockIds.map(lockId => lockId.toLowerCase()))].sort().join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    const ids = lockIdsKey ? lockIdsKey.split(',') : [];
+
+    if (swapContract) {
+      ids.forEach(lockId => {
+        swapContract.getLockValue(lockId)
+          .then(value => {
+            if (!cancelled) setValuesByLock(prev => ({ ...prev, [lockId]: value }));
+          })
+          .catch(error => {
+            console.error(`Error checking lock ${lockId}:`, error);
+            if (!cancelled) setValuesByLock(prev => ({ ...prev, [lockId]: null }));
+          });
+      });
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [swapContract, lockIdsKey]);
+
+  return valuesByLock;
+}
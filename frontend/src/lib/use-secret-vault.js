@@ -0,0 +1,69 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import { useBlockchain } from './blockchain-context';
+import { getVaultStatus, getSecret, lockVault, unlockVault, subscribeToVault } from './secret-vault';
+
+// Vault status plus unlock/lock actions, updated whenever the vault changes
+export function useSecretVault() {
+  const { signer } = useBlockchain();
+  const [status, setStatus] = useState({ supported: true, initialized: false, method: null, unlocked: false });
+
+  useEffect(() => {
+    let cancelled = false;
+    const refresh = () => {
+      getVaultStatus()
+        .then(result => {
+          if (!cancelled) setStatus(result);
+        })
+        .catch(error => {
+          console.error("Error reading secret vault status:", error);
+        });
+    };
+
+    refresh();
+    const unsubscribe = subscribeToVault(refresh);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  const unlockWithPassphrase = (passphrase) => unlockVault({ passphrase });
+
+  const unlockWithWallet = () => {
+    if (!signer) {
+      return Promise.reject(new Error("Connect your wallet to unlock the vault with a signature"));
+    }
+    return unlockVault({ signer });
+  };
+
+  return { ...status, unlockWithPassphrase, unlockWithWallet, lock: lockVault };
+}
+
+// Vault entry for a hashedSecret, or null while locked or when nothing is stored
+export function useVaultSecret(hashedSecret) {
+  const [entry, setEntry] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const lookup = () => {
+      getSecret(hashedSecret)
+        .then(result => {
+          if (!cancelled) setEntry(result);
+        })
+        .catch(error => {
+          console.error("Error reading secret from vault:", error);
+        });
+    };
+
+    lookup();
+    const unsubscribe = subscribeToVault(lookup);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [hashedSecret]);
+
+  return entry;
+}
@@ -0,0 +1,80 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { useBlockchain } from './blockchain-context';
+import { getCachedTokenMetadata, getTokenMetadata } from './token-metadata';
+
+// Metadata for a single token, or null while it is loading or the address is invalid
+export function useTokenMetadata(tokenAddress) {
+  const { provider, chainId } = useBlockchain();
+  const [metadata, setMetadata] = useState(() => getCachedTokenMetadata(chainId, tokenAddress));
+
+  useEffect(() => {
+    let cancelled = false;
+    setMetadata(getCachedTokenMetadata(chainId, tokenAddress));
+
+    if (provider && tokenAddress && ethers.isAddress(tokenAddress)) {
+      getTokenMetadata(provider, chainId, tokenAddress)
+        .then(result => {
+          if (!cancelled) setMetadata(result);
+        })
+        .catch(error => {
+          console.error("Error loading token metadata:", error);
+        });
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, chainId, tokenAddress]);
+
+  return metadata;
+}
+
+// Metadata for several tokens, keyed by lowercase address
+export function useTokensMetadata(tokenAddresses) {
+  const { provider, chainId } = useBlockchain();
+  const [metadataByToken, setMetadataByToken] = useState({});
+
+  const uniqueTokens = [...new Set(
+    tokenAddresses
+      .filter(address => address && ethers.isAddress(address))
+      .map(address => address.toLowerCase())
+  )].sort();
+  const tokensKey = uniqueTokens.join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    const tokens = tokensKey ? tokensKey.split(',') : [];
+
+    const cached = {};
+    tokens.forEach(address => {
+      const metadata = getCachedTokenMetadata(chainId, address);
+      if (metadata) cached[address] = metadata;
+    });
+    setMetadataByToken(cached);
+
+    if (provider) {
+      tokens
+        .filter(address => !cached[address])
+        .forEach(address => {
+          getTokenMetadata(provider, chainId, address)
+            .then(metadata => {
+              if (!cancelled) {
+                setMetadataByToken(prev => ({ ...prev, [address]: metadata }));
+              }
+            })
+            .catch(error => {
+              console.error(`Error loading metadata for token ${address}:`, error);
+            });
+        });
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, chainId, tokensKey]);
+
+  return metadataByToken;
+}
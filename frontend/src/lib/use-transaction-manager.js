@@ -0,0 +1,135 @@
+"use client";
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  TX_STATUS,
+  loadTransactions,
+  saveTransactions,
+  createTransactionRecord,
+  describeTransactionError,
+  waitForTransaction,
+  resumeTransaction,
+  isActiveTransaction,
+} from './transactions.js';
+
+// Transaction manager for BlockchainProvider: sends transactions, tracks them
+// through their lifecycle, and resumes the ones left pending by a reload
+export function useTransactionManager({ provider, chainId, account, toast }) {
+  const [transactions, setTransactions] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const transactionsRef = useRef([]);
+  // Hashes being waited on, so a resumed transaction isn't watched twice
+  const watchingRef = useRef(new Set());
+
+  const commit = useCallback((records) => {
+    transactionsRef.current = records;
+    saveTransactions(records);
+    setTransactions(records);
+  }, []);
+
+  const updateTransaction = useCallback((id, changes) => {
+    commit(transactionsRef.current.map(record => (
+      record.id === id ? { ...record, ...changes, updatedAt: Date.now() } : record
+    )));
+  }, [commit]);
+
+  // A wallet prompt can't survive a reload, so those records have failed
+  useEffect(() => {
+    commit(loadTransactions().map(record => (
+      record.status === TX_STATUS.AWAITING_SIGNATURE
+        ? { ...record, status: TX_STATUS.FAILED, error: "The page was closed before the transaction was signed" }
+        : record
+    )));
+    setLoaded(true);
+  }, [commit]);
+
+  const settleTransaction = useCallback((id, outcome) => {
+    updateTransaction(id, {
+      status: outcome.status,
+      blockNumber: outcome.receipt ? outcome.receipt.blockNumber : null,
+      replacementHash: outcome.replacementHash,
+      error: outcome.error ? describeTransactionError(outcome.error) : null,
+    });
+  }, [updateTransaction]);
+
+  // Send a transaction and wait for it. `send` returns the wallet's
+  // TransactionResponse. Resolves with { tx, receipt }; throws if the
+  // transaction is rejected, reverts, or is cancelled by a replacement.
+  const trackTransaction = async ({ action, description, send }) => {
+    const record = createTransactionRecord({ chainId, account, action, description });
+    commit([record, ...transactionsRef.current]);
+
+    let tx;
+    let startBlock;
+    try {
+      startBlock = await provider.getBlockNumber();
+      tx = await send();
+      watchingRef.current.add(tx.hash);
+      updateTransaction(record.id, {
+        status: TX_STATUS.PENDING,
+        hash: tx.hash,
+        from: tx.from,
+        nonce: tx.nonce,
+        startBlock,
+      });
+    } catch (error) {
+      updateTransaction(record.id, { status: TX_STATUS.FAILED, error: describeTransactionError(error) });
+      throw error;
+    }
+
+    toast({
+      title: "Transaction Submitted",
+      description: `Your ${description} transaction has been submitted`,
+    });
+
+    try {
+      // Follow the nonce from startBlock, so a sped-up or cancelled
+      // replacement settles the record instead of leaving it pending
+      const outcome = await waitForTransaction(tx.replaceableTransaction(startBlock));
+      settleTransaction(record.id, outcome);
+      if (!outcome.succeeded) throw outcome.error;
+      return { tx, receipt: outcome.receipt };
+    } finally {
+      watchingRef.current.delete(tx.hash);
+    }
+  };
+
+  // Resume waiting for this chain's pending transactions
+  useEffect(() => {
+    if (!loaded || !provider || !chainId) return;
+    const pending = transactionsRef.current.filter(record => (
+      record.status === TX_STATUS.PENDING
+      && record.chainId === Number(chainId)
+      && !watchingRef.current.has(record.hash)
+    ));
+
+    pending.forEach(record => {
+      watchingRef.current.add(record.hash);
+      console.log("Resuming pending transaction:", record.hash);
+      resumeTransaction(provider, record)
+        .then(outcome => {
+          settleTransaction(record.id, outcome);
+          toast({
+            title: outcome.succeeded ? "Transaction Confirmed" : "Transaction Failed",
+            description: outcome.succeeded
+              ? `Your ${record.description} transaction has been confirmed`
+              : `Your ${record.description} transaction did not go through: ${describeTransactionError(outcome.error)}`,
+            variant: outcome.succeeded ? undefined : "destructive",
+          });
+        })
+        .catch(error => {
+          console.error("Error resuming transaction:", error);
+        })
+        .finally(() => {
+          watchingRef.current.delete(record.hash);
+        });
+    });
+  }, [loaded, provider, chainId, settleTransaction, toast]);
+
+  // Drop finished transactions from the activity list
+  const clearFinishedTransactions = () => {
+    commit(transactionsRef.current.filter(isActiveTransaction));
+  };
+
+  return { transactions, trackTransaction, clearFinishedTransactions };
+}